@@ -0,0 +1,391 @@
+/**
+ * Benchmark Comparison
+ * Diffs metrics.json reports against a baseline, tests significance and gates on regression budgets
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Metrics that can be compared. `better` says which direction is an improvement;
+ * `samples` names the per-sample array used for the significance test, and `test`
+ * how it is tested. Budgets are the default allowed regression: a string ending in
+ * '%' is relative to the baseline, a number is absolute in the metric's unit.
+ */
+const METRICS = [
+    { key: 'median_latency_ms', label: 'Median latency', unit: 'ms', better: 'lower', samples: 'latency_ms', test: 'median', budget: '10%' },
+    { key: 'p95_latency_ms', label: 'P95 latency', unit: 'ms', better: 'lower', samples: 'latency_ms', test: 'p95', budget: '15%' },
+    { key: 'client_rtt_median_ms', label: 'Client RTT median', unit: 'ms', better: 'lower', samples: 'client_rtt_ms', test: 'median', budget: '10%' },
+    { key: 'client_rtt_p95_ms', label: 'Client RTT p95', unit: 'ms', better: 'lower', samples: 'client_rtt_ms', test: 'p95', budget: '15%' },
+    { key: 'processed_fps', label: 'Processed FPS', unit: 'fps', better: 'higher', samples: 'fps', test: 'median', budget: '10%' },
+    { key: 'drop_rate', label: 'Drop rate', unit: '%', better: 'lower', test: 'proportion', budget: 2 },
+    { key: 'map_50', label: 'mAP@0.5', unit: '', better: 'higher', budget: 0.01 },
+    { key: 'map_50_95', label: 'mAP@0.5:0.95', unit: '', better: 'higher', budget: 0.01 }
+];
+
+const BOOTSTRAP_ROUNDS = 500;
+
+// Two-sided p-value of a standard normal z score
+function normalPValue(z) {
+    // Abramowitz & Stegun 7.1.26 approximation of erf
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return Math.min(1, 1 - erf);
+}
+
+/**
+ * Mann-Whitney U test (normal approximation with tie and continuity correction).
+ * Tests whether one sample tends to be larger than the other; robust to the
+ * long tails latency distributions have.
+ */
+function mannWhitneyU(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 === 0 || n2 === 0) return null;
+
+    const ranked = [
+        ...a.map(value => ({ value, group: 0 })),
+        ...b.map(value => ({ value, group: 1 }))
+    ].sort((x, y) => x.value - y.value);
+
+    let rankSumA = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < ranked.length;) {
+        let j = i;
+        while (j + 1 < ranked.length && ranked[j + 1].value === ranked[i].value) j++;
+
+        const rank = (i + j) / 2 + 1;
+        const ties = j - i + 1;
+        tieTerm += ties ** 3 - ties;
+        for (let k = i; k <= j; k++) {
+            if (ranked[k].group === 0) rankSumA += rank;
+        }
+        i = j + 1;
+    }
+
+    const n = n1 + n2;
+    const u = rankSumA - n1 * (n1 + 1) / 2;
+    const mean = n1 * n2 / 2;
+    const variance = n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+    if (variance <= 0) return 1;
+
+    const z = (Math.abs(u - mean) - 0.5) / Math.sqrt(variance);
+    return normalPValue(Math.max(0, z));
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((x, y) => x - y);
+    const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * p) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+// Small seeded PRNG so the bootstrap gives the same answer on every run
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Bootstrap test for a difference in a percentile: the p-value is twice the
+ * share of resampled differences on the far side of zero.
+ */
+function bootstrapPercentile(a, b, p, rounds = BOOTSTRAP_ROUNDS) {
+    if (a.length === 0 || b.length === 0) return null;
+
+    const random = mulberry32(0x5EED);
+    const resample = (values) => Array.from({ length: values.length }, () => values[Math.floor(random() * values.length)]);
+
+    let above = 0;
+    let below = 0;
+    for (let i = 0; i < rounds; i++) {
+        const difference = percentile(resample(b), p) - percentile(resample(a), p);
+        if (difference >= 0) above++;
+        if (difference <= 0) below++;
+    }
+
+    return Math.min(1, 2 * Math.min(above, below) / rounds);
+}
+
+/**
+ * Two-proportion z-test, e.g. dropped frames out of frames offered.
+ */
+function twoProportionZ(hitsA, totalA, hitsB, totalB) {
+    if (!totalA || !totalB) return null;
+
+    const pooled = (hitsA + hitsB) / (totalA + totalB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+    if (standardError === 0) return 1;
+
+    return normalPValue((hitsB / totalB - hitsA / totalA) / standardError);
+}
+
+function parseBudget(value) {
+    const text = String(value).trim();
+    if (text.endsWith('%')) {
+        const percent = parseFloat(text);
+        return Number.isFinite(percent) ? { relative: Math.abs(percent) } : null;
+    }
+    const absolute = parseFloat(text);
+    return Number.isFinite(absolute) ? { absolute: Math.abs(absolute) } : null;
+}
+
+function formatBudget(budget) {
+    return budget.relative !== undefined ? `${budget.relative}%` : String(budget.absolute);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+/**
+ * Compare one candidate report against the baseline. Each metric present in both
+ * gets its delta, p-value (null when there are no samples to test) and a status:
+ * 'improved', 'regressed' (over budget and significant), 'worse' (worse but within
+ * budget or not significant), 'unchanged' or 'missing'.
+ */
+function compareReports(baseline, candidate, options = {}) {
+    const alpha = options.alpha !== undefined ? options.alpha : 0.05;
+    const budgets = options.budgets || {};
+
+    return METRICS.map((metric) => {
+        const base = baseline[metric.key];
+        const value = candidate[metric.key];
+        const budget = budgets[metric.key] || parseBudget(metric.budget);
+
+        if (typeof base !== 'number' || typeof value !== 'number') {
+            return { ...metric, baseline: base ?? null, candidate: value ?? null, status: 'missing', budget };
+        }
+
+        const delta = value - base;
+        const deltaPercent = base !== 0 ? (delta / Math.abs(base)) * 100 : null;
+        const regression = metric.better === 'lower' ? delta : -delta;
+
+        let pValue = null;
+        if (metric.test === 'proportion') {
+            pValue = twoProportionZ(baseline.frames_dropped, baseline.frames_offered, candidate.frames_dropped, candidate.frames_offered);
+        } else if (metric.samples) {
+            const a = (baseline.samples && baseline.samples[metric.samples]) || [];
+            const b = (candidate.samples && candidate.samples[metric.samples]) || [];
+            pValue = metric.test === 'p95' ? bootstrapPercentile(a, b, 0.95) : mannWhitneyU(a, b);
+        }
+
+        const allowed = budget.relative !== undefined ? Math.abs(base) * budget.relative / 100 : budget.absolute;
+        const overBudget = regression > allowed;
+
+        // Without samples there is nothing to test, so the budget alone decides
+        const significant = pValue === null || pValue < alpha;
+
+        let status = 'unchanged';
+        if (regression > 0 && overBudget && significant) status = 'regressed';
+        else if (regression > 0 && (overBudget || significant)) status = 'worse';
+        else if (regression < 0 && significant) status = 'improved';
+
+        return { ...metric, baseline: base, candidate: value, delta, deltaPercent, pValue, budget, allowed, status };
+    });
+}
+
+class BenchmarkComparison {
+    constructor() {
+        this.config = {
+            files: [],
+            alpha: 0.05,
+            budgets: {},
+            htmlFile: null
+        };
+    }
+
+    parseArguments(args) {
+        for (let i = 0; i < args.length; i++) {
+            switch (args[i]) {
+                case '--alpha':
+                    this.config.alpha = parseFloat(args[++i]);
+                    if (!(this.config.alpha > 0 && this.config.alpha < 1)) {
+                        throw new Error('--alpha must be between 0 and 1');
+                    }
+                    break;
+                case '--budget': {
+                    const [key, value] = (args[++i] || '').split('=');
+                    const budget = parseBudget(value);
+                    if (!METRICS.some(metric => metric.key === key) || !budget) {
+                        throw new Error(`Invalid budget "${args[i]}" (expected METRIC=VALUE or METRIC=PERCENT%)`);
+                    }
+                    this.config.budgets[key] = budget;
+                    break;
+                }
+                case '--html':
+                    this.config.htmlFile = args[++i];
+                    break;
+                case '--help':
+                    this.showHelp();
+                    process.exit(0);
+                    break;
+                default:
+                    if (args[i].startsWith('--')) {
+                        throw new Error(`Unknown option: ${args[i]}`);
+                    }
+                    this.config.files.push(args[i]);
+            }
+        }
+
+        if (this.config.files.length < 2) {
+            throw new Error('Need a baseline and at least one report to compare');
+        }
+    }
+
+    showHelp() {
+        console.log(`
+WebRTC VLM Detection Benchmark Comparison
+
+Usage: node run_bench.js compare BASELINE.json CANDIDATE.json [CANDIDATE.json ...] [OPTIONS]
+
+Every candidate is compared to the first (baseline) report. Exits with 1 when a
+metric regresses beyond its budget with statistical significance, 2 on bad input.
+
+Options:
+  --budget METRIC=VALUE  Allowed regression, relative (10%) or absolute in the metric's unit (repeatable)
+  --alpha P              Significance level (default: 0.05)
+  --html FILE            Also write an HTML summary
+  --help                 Show this help message
+
+Metrics and default budgets:
+${METRICS.map(metric => `  ${metric.key.padEnd(22)} ${String(metric.budget).padEnd(5)} ${metric.better} is better`).join('\n')}
+
+Examples:
+  node run_bench.js compare baseline.json metrics.json
+  node run_bench.js compare baseline.json yolov5n.json yolov8n.json --budget p95_latency_ms=20% --html compare.html
+`);
+    }
+
+    async run(args) {
+        try {
+            this.parseArguments(args);
+        } catch (error) {
+            console.error(`[ERROR] ${error.message}`);
+            this.showHelp();
+            return 2;
+        }
+
+        let reports;
+        try {
+            reports = await Promise.all(this.config.files.map(async file => ({
+                file,
+                report: JSON.parse(await fs.readFile(file, 'utf8'))
+            })));
+        } catch (error) {
+            console.error(`[ERROR] Failed to read report: ${error.message}`);
+            return 2;
+        }
+
+        const [baseline, ...candidates] = reports;
+        const comparisons = candidates.map(candidate => ({
+            file: candidate.file,
+            rows: compareReports(baseline.report, candidate.report, {
+                alpha: this.config.alpha,
+                budgets: this.config.budgets
+            })
+        }));
+
+        comparisons.forEach(comparison => this.printTable(baseline.file, comparison));
+
+        if (this.config.htmlFile) {
+            await fs.writeFile(this.config.htmlFile, this.renderHtml(baseline.file, comparisons));
+            console.log(`📄 HTML summary saved to: ${this.config.htmlFile}`);
+        }
+
+        const regressions = comparisons.flatMap(comparison =>
+            comparison.rows.filter(row => row.status === 'regressed').map(row => `${comparison.file}: ${row.label}`)
+        );
+
+        if (regressions.length > 0) {
+            console.log(`❌ ${regressions.length} regression(s) over budget:`);
+            regressions.forEach(regression => console.log(`   ${regression}`));
+            return 1;
+        }
+
+        console.log('✅ No regressions over budget');
+        return 0;
+    }
+
+    formatValue(row, value) {
+        if (value === null || value === undefined) return '-';
+        const digits = row.unit === '' ? 4 : 2;
+        return `${value.toFixed(digits)}${row.unit && row.unit !== '%' ? ` ${row.unit}` : row.unit}`;
+    }
+
+    formatRow(row) {
+        const sign = value => (value > 0 ? '+' : '');
+        return {
+            label: row.label,
+            baseline: this.formatValue(row, row.baseline),
+            candidate: this.formatValue(row, row.candidate),
+            delta: row.delta === undefined ? '-' : `${sign(row.delta)}${this.formatValue(row, row.delta)}`,
+            deltaPercent: row.deltaPercent === undefined || row.deltaPercent === null ? '-' : `${sign(row.deltaPercent)}${row.deltaPercent.toFixed(1)}%`,
+            pValue: row.pValue === null || row.pValue === undefined ? 'n/a' : row.pValue < 0.001 ? '<0.001' : row.pValue.toFixed(3),
+            budget: formatBudget(row.budget),
+            status: row.status
+        };
+    }
+
+    printTable(baselineFile, comparison) {
+        const columns = [
+            ['label', 'Metric'], ['baseline', 'Baseline'], ['candidate', 'Candidate'], ['delta', 'Δ'],
+            ['deltaPercent', 'Δ%'], ['pValue', 'p'], ['budget', 'Budget'], ['status', 'Status']
+        ];
+        const rows = comparison.rows.filter(row => row.status !== 'missing').map(row => this.formatRow(row));
+        const widths = columns.map(([key, title]) => Math.max(title.length, ...rows.map(row => row[key].length)));
+        const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+        console.log(`\n📊 ${path.basename(comparison.file)} vs ${path.basename(baselineFile)}`);
+        console.log('===================');
+        console.log(line(columns.map(([, title]) => title)));
+        console.log(line(widths.map(width => '-'.repeat(width))));
+        rows.forEach(row => console.log(line(columns.map(([key]) => row[key]))));
+        console.log('===================\n');
+    }
+
+    renderHtml(baselineFile, comparisons) {
+        const colors = { regressed: '#f8d7da', worse: '#fff3cd', improved: '#d4edda' };
+        const sections = comparisons.map((comparison) => {
+            const rows = comparison.rows.filter(row => row.status !== 'missing').map((row) => {
+                const cells = this.formatRow(row);
+                const background = colors[row.status] ? ` style="background:${colors[row.status]}"` : '';
+                return `<tr${background}>${['label', 'baseline', 'candidate', 'delta', 'deltaPercent', 'pValue', 'budget', 'status']
+                    .map(key => `<td>${escapeHtml(cells[key])}</td>`).join('')}</tr>`;
+            }).join('\n');
+
+            return `<h2>${escapeHtml(comparison.file)} vs ${escapeHtml(baselineFile)}</h2>
+<table>
+<tr><th>Metric</th><th>Baseline</th><th>Candidate</th><th>Δ</th><th>Δ%</th><th>p</th><th>Budget</th><th>Status</th></tr>
+${rows}
+</table>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Benchmark Comparison</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+</style>
+</head>
+<body>
+<h1>Benchmark Comparison</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}, significance level ${this.config.alpha}.</p>
+${sections}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = { BenchmarkComparison, compareReports, mannWhitneyU, bootstrapPercentile, twoProportionZ, METRICS };
@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+
+/**
+ * Accuracy Evaluation for WebRTC VLM Detection System
+ * Runs images through the server detector and scores them against COCO ground truth (mAP, per-class AP, PR curves)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// COCO evaluation constants: IoU thresholds 0.50:0.05:0.95, 101 recall points, 100 detections per image
+const IOU_THRESHOLDS = Array.from({ length: 10 }, (_, i) => Math.round((0.5 + i * 0.05) * 100) / 100);
+const RECALL_POINTS = Array.from({ length: 101 }, (_, i) => i / 100);
+const MAX_DETECTIONS = 100;
+
+function round(value, digits = 4) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function boxIoU(a, b, crowd = false) {
+    const [ax, ay, aw, ah] = a;
+    const [bx, by, bw, bh] = b;
+    const iw = Math.min(ax + aw, bx + bw) - Math.max(ax, bx);
+    const ih = Math.min(ay + ah, by + bh) - Math.max(ay, by);
+    if (iw <= 0 || ih <= 0) return 0;
+
+    const intersection = iw * ih;
+    // Crowd regions only need to cover the detection, as in pycocotools
+    const union = crowd ? aw * ah : aw * ah + bw * bh - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Match detections to ground-truth images and categories by name, since the
+ * model's class ids and the dataset's rarely agree.
+ */
+function alignDetections(groundTruth, detections) {
+    const gtImages = new Map();
+    const gtImagesByBase = new Map();
+    groundTruth.images.forEach((image) => {
+        gtImages.set(image.file_name, image.id);
+        gtImagesByBase.set(path.basename(image.file_name), image.id);
+    });
+
+    const gtCategories = new Map(groundTruth.categories.map(category => [category.name, category.id]));
+    const dtCategories = new Map((detections.categories || []).map(category => [category.id, category.name]));
+
+    const imageIds = new Map();
+    (detections.images || []).forEach((image) => {
+        const id = gtImages.get(image.file_name) ?? gtImagesByBase.get(path.basename(image.file_name));
+        if (id !== undefined) imageIds.set(image.id, id);
+    });
+
+    const aligned = [];
+    for (const annotation of detections.annotations || []) {
+        const imageId = imageIds.get(annotation.image_id);
+        const categoryId = gtCategories.get(dtCategories.get(annotation.category_id));
+        if (imageId === undefined || categoryId === undefined) continue;
+        aligned.push({ ...annotation, image_id: imageId, category_id: categoryId });
+    }
+
+    return { annotations: aligned, matchedImages: imageIds.size };
+}
+
+/**
+ * Greedy COCO matching for one image/category at one IoU threshold.
+ * Returns per-detection 1 (TP), 0 (FP) or -1 (ignored: matched a crowd region).
+ */
+function matchImage(dets, gts, ious, threshold) {
+    const matched = new Array(gts.length).fill(false);
+
+    return dets.map((det, d) => {
+        let best = -1;
+        let bestIoU = threshold;
+
+        // Non-crowd ground truth first; crowds only absorb otherwise-unmatched detections
+        gts.forEach((gt, g) => {
+            if (gt.iscrowd || matched[g]) return;
+            if (ious[d][g] >= bestIoU) {
+                bestIoU = ious[d][g];
+                best = g;
+            }
+        });
+
+        if (best >= 0) {
+            matched[best] = true;
+            return 1;
+        }
+
+        const crowdHit = gts.some((gt, g) => gt.iscrowd && ious[d][g] >= threshold);
+        return crowdHit ? -1 : 0;
+    });
+}
+
+/**
+ * Average precision from score-sorted TP/FP flags: precision is made monotone
+ * (the PR envelope) and sampled at 101 recall points.
+ */
+function averagePrecision(flags, gtCount) {
+    let tp = 0;
+    let fp = 0;
+    const recall = [];
+    const precision = [];
+
+    flags.forEach((flag) => {
+        if (flag === -1) return;
+        if (flag === 1) tp++;
+        else fp++;
+        recall.push(tp / gtCount);
+        precision.push(tp / (tp + fp));
+    });
+
+    for (let i = precision.length - 2; i >= 0; i--) {
+        precision[i] = Math.max(precision[i], precision[i + 1]);
+    }
+
+    const sampled = RECALL_POINTS.map((point) => {
+        const index = recall.findIndex(value => value >= point);
+        return index >= 0 ? precision[index] : 0;
+    });
+
+    return {
+        ap: sampled.reduce((sum, value) => sum + value, 0) / sampled.length,
+        precision: sampled,
+        maxRecall: recall.length > 0 ? recall[recall.length - 1] : 0,
+        finalPrecision: precision.length > 0 ? tp / (tp + fp) : 0
+    };
+}
+
+/**
+ * Score COCO-style detections against COCO ground truth.
+ * Returns mAP@0.5, mAP@0.5:0.95, per-class AP and PR curves at IoU 0.5.
+ */
+function evaluateCoco(groundTruth, detections) {
+    const { annotations, matchedImages } = alignDetections(groundTruth, detections);
+
+    const evaluatedImages = new Set(groundTruth.images.map(image => image.id));
+    const key = (imageId, categoryId) => `${imageId}|${categoryId}`;
+
+    const gtByKey = new Map();
+    groundTruth.annotations.forEach((gt) => {
+        if (!evaluatedImages.has(gt.image_id) || gt.ignore) return;
+        const k = key(gt.image_id, gt.category_id);
+        if (!gtByKey.has(k)) gtByKey.set(k, []);
+        gtByKey.get(k).push(gt);
+    });
+
+    // Keep each image's top detections, as COCO's maxDets does
+    const dtByImage = new Map();
+    annotations.forEach((dt) => {
+        if (!dtByImage.has(dt.image_id)) dtByImage.set(dt.image_id, []);
+        dtByImage.get(dt.image_id).push(dt);
+    });
+    const dtByKey = new Map();
+    dtByImage.forEach((dts) => {
+        dts.sort((a, b) => b.score - a.score).slice(0, MAX_DETECTIONS).forEach((dt) => {
+            const k = key(dt.image_id, dt.category_id);
+            if (!dtByKey.has(k)) dtByKey.set(k, []);
+            dtByKey.get(k).push(dt);
+        });
+    });
+
+    const perClass = [];
+    groundTruth.categories.forEach((category) => {
+        const gtCount = groundTruth.annotations.filter(gt =>
+            gt.category_id === category.id && evaluatedImages.has(gt.image_id) && !gt.iscrowd && !gt.ignore
+        ).length;
+
+        // Per-image IoUs are shared by every threshold
+        const images = [];
+        let detectionCount = 0;
+        evaluatedImages.forEach((imageId) => {
+            const dets = (dtByKey.get(key(imageId, category.id)) || []).slice().sort((a, b) => b.score - a.score);
+            const gts = gtByKey.get(key(imageId, category.id)) || [];
+            if (dets.length === 0) return;
+
+            detectionCount += dets.length;
+            const ious = dets.map(det => gts.map(gt => boxIoU(det.bbox, gt.bbox, Boolean(gt.iscrowd))));
+            images.push({ dets, gts, ious });
+        });
+
+        // A class with no ground truth has no AP; it is left out of the means
+        if (gtCount === 0) {
+            perClass.push({ id: category.id, name: category.name, gt: 0, detections: detectionCount, ap50: null, ap: null });
+            return;
+        }
+
+        const byThreshold = IOU_THRESHOLDS.map((threshold) => {
+            const scored = [];
+            images.forEach(({ dets, gts, ious }) => {
+                const flags = matchImage(dets, gts, ious, threshold);
+                dets.forEach((det, d) => scored.push({ score: det.score, flag: flags[d] }));
+            });
+            scored.sort((a, b) => b.score - a.score);
+            return averagePrecision(scored.map(entry => entry.flag), gtCount);
+        });
+
+        const at50 = byThreshold[0];
+        perClass.push({
+            id: category.id,
+            name: category.name,
+            gt: gtCount,
+            detections: detectionCount,
+            ap50: at50.ap,
+            ap75: byThreshold[IOU_THRESHOLDS.indexOf(0.75)].ap,
+            ap: byThreshold.reduce((sum, result) => sum + result.ap, 0) / byThreshold.length,
+            recall50: at50.maxRecall,
+            precision50: at50.finalPrecision,
+            pr_curve50: at50.precision
+        });
+    });
+
+    const scoredClasses = perClass.filter(entry => entry.ap !== null);
+    const mean = (field) => scoredClasses.length > 0
+        ? scoredClasses.reduce((sum, entry) => sum + entry[field], 0) / scoredClasses.length
+        : 0;
+
+    // Class-averaged PR curve at IoU 0.5
+    const meanCurve = RECALL_POINTS.map((_, i) => scoredClasses.length > 0
+        ? scoredClasses.reduce((sum, entry) => sum + entry.pr_curve50[i], 0) / scoredClasses.length
+        : 0);
+
+    return {
+        map_50: mean('ap50'),
+        map_75: mean('ap75'),
+        map_50_95: mean('ap'),
+        images: groundTruth.images.length,
+        matched_images: matchedImages,
+        classes_evaluated: scoredClasses.length,
+        iou_thresholds: IOU_THRESHOLDS,
+        recall_points: RECALL_POINTS,
+        pr_curve50: meanCurve,
+        per_class: perClass
+    };
+}
+
+class AccuracyEvaluator {
+    constructor() {
+        this.config = {
+            images: null,
+            annotations: null,
+            detections: null,
+            model: null,
+            workers: undefined,
+            batchSize: 1,
+            // COCO AP integrates over the low-score tail, so keep almost every box
+            scoreThreshold: 0.001,
+            maxImages: null,
+            outputFile: 'metrics.json',
+            saveDetections: null,
+            verbose: false
+        };
+    }
+
+    parseArguments() {
+        const args = process.argv.slice(2);
+
+        for (let i = 0; i < args.length; i++) {
+            switch (args[i]) {
+                case '--images':
+                    this.config.images = args[++i];
+                    break;
+                case '--annotations':
+                    this.config.annotations = args[++i];
+                    break;
+                case '--detections':
+                    this.config.detections = args[++i];
+                    break;
+                case '--model':
+                    this.config.model = args[++i];
+                    break;
+                case '--workers':
+                    this.config.workers = parseInt(args[++i]) || undefined;
+                    break;
+                case '--batch-size':
+                    this.config.batchSize = parseInt(args[++i]) || 1;
+                    break;
+                case '--score-threshold': {
+                    const value = parseFloat(args[++i]);
+                    this.config.scoreThreshold = Number.isFinite(value) ? value : 0.001;
+                    break;
+                }
+                case '--max-images':
+                    this.config.maxImages = parseInt(args[++i]) || null;
+                    break;
+                case '--output':
+                    this.config.outputFile = args[++i] || 'metrics.json';
+                    break;
+                case '--save-detections':
+                    this.config.saveDetections = args[++i];
+                    break;
+                case '--verbose':
+                    this.config.verbose = true;
+                    break;
+                case '--help':
+                    this.showHelp();
+                    process.exit(0);
+                    break;
+                default:
+                    console.error(`Unknown option: ${args[i]}`);
+                    this.showHelp();
+                    process.exit(1);
+            }
+        }
+
+        if (!this.config.annotations || (!this.config.images && !this.config.detections)) {
+            this.showHelp();
+            process.exit(1);
+        }
+    }
+
+    showHelp() {
+        console.log(`
+WebRTC VLM Detection Accuracy Evaluation
+
+Usage: node evaluate.js --annotations FILE (--images DIR | --detections FILE) [OPTIONS]
+
+Options:
+  --annotations FILE     COCO ground truth (instances_*.json)
+  --images DIR           Image directory; images are run through the server detector
+  --detections FILE      Score an existing COCO detections file (server/cli.js output) instead
+  --model NAME           Model from models/config.json (default: registry default)
+  --workers N            Inference worker threads
+  --batch-size N         Frames per inference batch (default: 1)
+  --score-threshold N    Detector confidence threshold for this run (default: 0.001)
+  --max-images N         Only evaluate the first N annotated images
+  --save-detections FILE Also write the raw detections as COCO JSON
+  --output FILE          Metrics file to add the accuracy results to (default: metrics.json)
+  --verbose              Print per-class AP
+  --help                 Show this help message
+
+Examples:
+  node evaluate.js --images ./coco/val2017 --annotations ./coco/instances_val2017.json --max-images 500
+  node evaluate.js --detections results.json --annotations ./coco/instances_val2017.json
+`);
+    }
+
+    log(message, ...args) {
+        if (this.config.verbose) {
+            console.log(`[EVAL] ${message}`, ...args);
+        }
+    }
+
+    async run() {
+        try {
+            this.parseArguments();
+            console.log('🎯 Starting accuracy evaluation');
+
+            const groundTruth = await this.loadGroundTruth();
+            const detections = await this.loadDetections(groundTruth);
+
+            const accuracy = evaluateCoco(groundTruth, detections);
+            accuracy.timestamp = new Date().toISOString();
+            accuracy.model = detections.info?.model || this.config.model || null;
+            accuracy.annotations = this.config.annotations;
+            // Threshold only known when this run produced the detections
+            accuracy.score_threshold = this.config.detections ? null : this.config.scoreThreshold;
+            accuracy.elapsed_ms = detections.info?.elapsed_ms ?? null;
+
+            await this.writeReport(accuracy);
+            this.printSummary(accuracy);
+
+            console.log('✅ Evaluation completed successfully');
+            console.log(`📊 Results saved to: ${this.config.outputFile}`);
+        } catch (error) {
+            console.error('[ERROR] Evaluation failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    async loadGroundTruth() {
+        const groundTruth = JSON.parse(await fs.readFile(this.config.annotations, 'utf8'));
+
+        if (!Array.isArray(groundTruth.images) || !Array.isArray(groundTruth.annotations) ||
+            !Array.isArray(groundTruth.categories)) {
+            throw new Error(`${this.config.annotations} is not a COCO annotations file`);
+        }
+
+        if (this.config.maxImages) {
+            groundTruth.images = groundTruth.images.slice(0, this.config.maxImages);
+        }
+
+        this.log(`Ground truth: ${groundTruth.images.length} images, ${groundTruth.annotations.length} annotations`);
+        return groundTruth;
+    }
+
+    async loadDetections(groundTruth) {
+        if (this.config.detections) {
+            return JSON.parse(await fs.readFile(this.config.detections, 'utf8'));
+        }
+
+        // Same pipeline as the live server: worker pool, batching, model registry
+        const { detectFiles } = require('../server/cli');
+        const baseDir = path.resolve(this.config.images);
+        const files = groundTruth.images.map(image => path.join(baseDir, image.file_name));
+
+        console.log(`📷 Running ${files.length} images through the server detector...`);
+        const { coco, failed } = await detectFiles(files, {
+            baseDir,
+            source: this.config.images,
+            model: this.config.model,
+            workers: this.config.workers,
+            batchSize: this.config.batchSize,
+            confidenceThreshold: this.config.scoreThreshold
+        });
+
+        if (failed > 0) {
+            console.warn(`⚠️ ${failed} image(s) failed and count as missed detections`);
+        }
+
+        if (this.config.saveDetections) {
+            await fs.writeFile(this.config.saveDetections, JSON.stringify(coco, null, 2));
+        }
+
+        return coco;
+    }
+
+    async writeReport(accuracy) {
+        // Accuracy joins the latency results from run_bench.js in the same metrics file
+        const outputPath = path.resolve(this.config.outputFile);
+        let report = {};
+        try {
+            report = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+        } catch (error) {
+            this.log(`Starting a new metrics file at ${outputPath}`);
+        }
+
+        report.map_50 = round(accuracy.map_50);
+        report.map_50_95 = round(accuracy.map_50_95);
+        report.accuracy = {
+            ...accuracy,
+            map_50: round(accuracy.map_50),
+            map_75: round(accuracy.map_75),
+            map_50_95: round(accuracy.map_50_95),
+            pr_curve50: accuracy.pr_curve50.map(value => round(value)),
+            per_class: accuracy.per_class.map(entry => ({
+                ...entry,
+                ap50: entry.ap50 === null ? null : round(entry.ap50),
+                ap75: entry.ap75 === undefined ? undefined : round(entry.ap75),
+                ap: entry.ap === null ? null : round(entry.ap),
+                recall50: entry.recall50 === undefined ? undefined : round(entry.recall50),
+                precision50: entry.precision50 === undefined ? undefined : round(entry.precision50),
+                pr_curve50: entry.pr_curve50 ? entry.pr_curve50.map(value => round(value)) : undefined
+            }))
+        };
+
+        await fs.writeFile(outputPath, JSON.stringify(report, null, 2));
+    }
+
+    printSummary(accuracy) {
+        console.log('\n🎯 Accuracy Summary');
+        console.log('===================');
+        console.log(`Model: ${accuracy.model || '-'}`);
+        console.log(`Images: ${accuracy.matched_images}/${accuracy.images} matched`);
+        console.log(`Classes evaluated: ${accuracy.classes_evaluated}`);
+        console.log(`mAP@0.5: ${(accuracy.map_50 * 100).toFixed(2)}`);
+        console.log(`mAP@0.75: ${(accuracy.map_75 * 100).toFixed(2)}`);
+        console.log(`mAP@0.5:0.95: ${(accuracy.map_50_95 * 100).toFixed(2)}`);
+
+        if (this.config.verbose) {
+            console.log('\nPer-class AP@0.5 / AP@0.5:0.95');
+            accuracy.per_class
+                .filter(entry => entry.ap !== null)
+                .sort((a, b) => b.ap50 - a.ap50)
+                .forEach((entry) => {
+                    console.log(`  ${entry.name.padEnd(16)} ${(entry.ap50 * 100).toFixed(1).padStart(5)} / ${(entry.ap * 100).toFixed(1).padStart(5)}  (${entry.gt} gt, ${entry.detections} det)`);
+                });
+        }
+        console.log('===================\n');
+    }
+}
+
+// Run evaluation if called directly
+if (require.main === module) {
+    const evaluator = new AccuracyEvaluator();
+    evaluator.run().catch(console.error);
+}
+
+module.exports = AccuracyEvaluator;
+module.exports.evaluateCoco = evaluateCoco;
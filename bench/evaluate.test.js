@@ -0,0 +1,112 @@
+const { evaluateCoco } = require('./evaluate');
+
+function groundTruth(annotations, images = [{ id: 1, file_name: 'a.jpg' }, { id: 2, file_name: 'b.jpg' }]) {
+    return {
+        images,
+        categories: [{ id: 1, name: 'person' }, { id: 17, name: 'cat' }],
+        annotations: annotations.map((annotation, i) => ({ id: i + 1, iscrowd: 0, ...annotation }))
+    };
+}
+
+// Detections use their own category ids and file names; they are matched by name
+function detections(annotations) {
+    return {
+        images: [{ id: 10, file_name: 'images/a.jpg' }, { id: 20, file_name: 'images/b.jpg' }],
+        categories: [{ id: 0, name: 'person' }, { id: 15, name: 'cat' }],
+        annotations
+    };
+}
+
+const gtPerson = { image_id: 1, category_id: 1, bbox: [0, 0, 100, 100] };
+const gtPerson2 = { image_id: 2, category_id: 1, bbox: [50, 50, 100, 100] };
+
+describe('evaluateCoco', () => {
+    test('scores perfect detections at 1.0 across every IoU threshold', () => {
+        const result = evaluateCoco(groundTruth([gtPerson, gtPerson2]), detections([
+            { image_id: 10, category_id: 0, bbox: [0, 0, 100, 100], score: 0.9 },
+            { image_id: 20, category_id: 0, bbox: [50, 50, 100, 100], score: 0.8 }
+        ]));
+
+        expect(result.map_50).toBeCloseTo(1);
+        expect(result.map_50_95).toBeCloseTo(1);
+        expect(result.matched_images).toBe(2);
+    });
+
+    test('scores no detections at 0', () => {
+        const result = evaluateCoco(groundTruth([gtPerson]), detections([]));
+
+        expect(result.map_50).toBe(0);
+        expect(result.map_50_95).toBe(0);
+    });
+
+    test('counts a box only at the IoU thresholds it reaches', () => {
+        // IoU 0.75: a hit at 0.50, 0.55, ... 0.75 and a miss at 0.80 and above
+        const result = evaluateCoco(groundTruth([gtPerson]), detections([
+            { image_id: 10, category_id: 0, bbox: [0, 0, 100, 75], score: 0.9 }
+        ]));
+
+        expect(result.map_50).toBeCloseTo(1);
+        expect(result.map_75).toBeCloseTo(1);
+        expect(result.map_50_95).toBeCloseTo(0.6);
+    });
+
+    test('samples precision at 101 recall points', () => {
+        // Half the ground truth found with perfect precision: recall points 0..0.5 score 1
+        const result = evaluateCoco(groundTruth([gtPerson, gtPerson2]), detections([
+            { image_id: 10, category_id: 0, bbox: [0, 0, 100, 100], score: 0.9 }
+        ]));
+
+        expect(result.map_50).toBeCloseTo(51 / 101);
+    });
+
+    test('penalizes a false positive only when it outranks the true positive', () => {
+        const truePositive = { image_id: 10, category_id: 0, bbox: [0, 0, 100, 100], score: 0.6 };
+
+        const lowFalsePositive = evaluateCoco(groundTruth([gtPerson]), detections([
+            truePositive,
+            { image_id: 10, category_id: 0, bbox: [300, 300, 50, 50], score: 0.5 }
+        ]));
+        const highFalsePositive = evaluateCoco(groundTruth([gtPerson]), detections([
+            truePositive,
+            { image_id: 10, category_id: 0, bbox: [300, 300, 50, 50], score: 0.9 }
+        ]));
+
+        expect(lowFalsePositive.map_50).toBeCloseTo(1);
+        expect(highFalsePositive.map_50).toBeCloseTo(0.5);
+    });
+
+    test('matches each ground-truth box at most once', () => {
+        const result = evaluateCoco(groundTruth([gtPerson]), detections([
+            { image_id: 10, category_id: 0, bbox: [0, 0, 100, 100], score: 0.9 },
+            { image_id: 10, category_id: 0, bbox: [0, 0, 100, 100], score: 0.8 }
+        ]));
+
+        const person = result.per_class.find(entry => entry.name === 'person');
+        expect(person.recall50).toBe(1);
+        expect(person.precision50).toBe(0.5);
+    });
+
+    test('ignores detections that fall on crowd regions', () => {
+        const result = evaluateCoco(groundTruth([
+            gtPerson,
+            { image_id: 1, category_id: 1, bbox: [200, 200, 100, 100], iscrowd: 1 }
+        ]), detections([
+            { image_id: 10, category_id: 0, bbox: [210, 210, 50, 50], score: 0.95 },
+            { image_id: 10, category_id: 0, bbox: [0, 0, 100, 100], score: 0.9 }
+        ]));
+
+        expect(result.map_50).toBeCloseTo(1);
+    });
+
+    test('leaves classes without ground truth out of the mean', () => {
+        const result = evaluateCoco(groundTruth([gtPerson]), detections([
+            { image_id: 10, category_id: 0, bbox: [0, 0, 100, 100], score: 0.9 },
+            { image_id: 10, category_id: 15, bbox: [300, 300, 50, 50], score: 0.9 }
+        ]));
+
+        const cat = result.per_class.find(entry => entry.name === 'cat');
+        expect(cat).toMatchObject({ gt: 0, detections: 1, ap: null });
+        expect(result.classes_evaluated).toBe(1);
+        expect(result.map_50).toBeCloseTo(1);
+    });
+});
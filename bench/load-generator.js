@@ -0,0 +1,264 @@
+/**
+ * Load Generator
+ * Headless Socket.IO clients that stream frames through 'detect-frame' and measure round-trip time
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+const jpeg = require('jpeg-js');
+const { io } = require('socket.io-client');
+
+const { encodeFrame } = require('../server/webrtc/frame-codec');
+const { decodeImage, createThumbnail } = require('../server/detection/image-processing');
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png']);
+const PATTERN_FRAMES = 30;
+
+// Frames still unanswered this long after the run are counted as lost
+const DRAIN_TIMEOUT_MS = 3000;
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * p) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+/**
+ * Render one frame of the synthetic test pattern: a gradient background with
+ * three blocks moving across it, so consecutive frames differ.
+ */
+function renderPattern(width, height, index, quality = 75) {
+    const data = Buffer.alloc(width * height * 4);
+    const phase = index / PATTERN_FRAMES;
+    const blocks = [
+        { color: [220, 40, 40], y: 0.15, speed: 1 },
+        { color: [40, 200, 60], y: 0.45, speed: 2 },
+        { color: [40, 80, 220], y: 0.7, speed: 3 }
+    ].map(block => ({
+        ...block,
+        x0: Math.floor(((phase * block.speed) % 1) * width * 0.8),
+        y0: Math.floor(block.y * height),
+        w: Math.floor(width * 0.2),
+        h: Math.floor(height * 0.2)
+    }));
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            let color = [Math.floor(255 * x / width), Math.floor(255 * y / height), 128];
+
+            for (const block of blocks) {
+                if (x >= block.x0 && x < block.x0 + block.w && y >= block.y0 && y < block.y0 + block.h) {
+                    color = block.color;
+                }
+            }
+
+            data[offset] = color[0];
+            data[offset + 1] = color[1];
+            data[offset + 2] = color[2];
+            data[offset + 3] = 255;
+        }
+    }
+
+    return jpeg.encode({ width, height, data }, quality).data;
+}
+
+class LoadGenerator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.serverUrl = options.serverUrl || 'http://localhost:3000';
+        this.clientCount = options.clients || 1;
+        this.fps = options.fps || 10;
+        this.width = options.width || 640;
+        this.height = options.height || 480;
+        this.rampUpMs = (options.rampUpSeconds || 0) * 1000;
+        this.framesDir = options.framesDir || null;
+        this.roomId = options.roomId || 'bench';
+
+        this.frames = [];
+        this.clients = [];
+        this.rampTimers = [];
+        this.running = false;
+
+        this.startTime = null;
+        this.endTime = null;
+        this.stats = {
+            sent: 0,
+            completed: 0,
+            dropped: 0,
+            errors: 0,
+            lost: 0,
+            bytesSent: 0,
+            roundTrips: []
+        };
+    }
+
+    /**
+     * Encode the frames the clients will cycle through: images from framesDir
+     * scaled to the target width, or the synthetic pattern at the exact resolution.
+     */
+    async prepareFrames() {
+        if (this.framesDir) {
+            const entries = await fs.readdir(this.framesDir);
+            const files = entries
+                .filter(name => IMAGE_EXTENSIONS.has(path.extname(name).toLowerCase()))
+                .sort();
+
+            for (const name of files) {
+                const thumbnail = createThumbnail(await fs.readFile(path.join(this.framesDir, name)), this.width, 80);
+                const { width, height } = decodeImage(thumbnail);
+                this.frames.push({ payload: thumbnail, width, height });
+            }
+
+            if (this.frames.length === 0) {
+                throw new Error(`No JPEG/PNG images found in ${this.framesDir}`);
+            }
+        } else {
+            for (let i = 0; i < PATTERN_FRAMES; i++) {
+                this.frames.push({ payload: renderPattern(this.width, this.height, i), width: this.width, height: this.height });
+            }
+        }
+
+        return this.frames.length;
+    }
+
+    async start() {
+        if (this.frames.length === 0) {
+            await this.prepareFrames();
+        }
+
+        this.running = true;
+        this.startTime = Date.now();
+
+        // Spread client start-up evenly over the ramp-up period
+        const step = this.clientCount > 1 ? this.rampUpMs / (this.clientCount - 1) : 0;
+        for (let i = 0; i < this.clientCount; i++) {
+            this.rampTimers.push(setTimeout(() => this.startClient(i), Math.round(i * step)));
+        }
+    }
+
+    startClient(index) {
+        if (!this.running) return;
+
+        const socket = io(this.serverUrl, { transports: ['websocket'], forceNew: true, reconnection: false });
+        const client = { index, socket, timer: null, sequence: 0, pending: new Map(), connected: false };
+        this.clients.push(client);
+
+        socket.on('connect', () => {
+            client.connected = true;
+            socket.emit('register', { type: 'loadgen' });
+            socket.emit('join-room', { roomId: this.roomId });
+            this.emit('client-connected', { index, active: this.clients.length });
+
+            if (!client.timer) {
+                client.timer = setInterval(() => this.sendFrame(client), 1000 / this.fps);
+            }
+        });
+
+        socket.on('detection-result', (result) => {
+            const sentAt = client.pending.get(result.frame_id);
+            if (sentAt === undefined) return;
+
+            client.pending.delete(result.frame_id);
+            this.stats.completed++;
+            this.stats.roundTrips.push(Date.now() - sentAt);
+        });
+
+        socket.on('detection-dropped', (drop) => {
+            if (client.pending.delete(drop.frame_id)) {
+                this.stats.dropped++;
+            }
+        });
+
+        socket.on('detection-error', () => {
+            // Errors carry no frame id; the oldest pending frame is the one that failed
+            const oldest = client.pending.keys().next();
+            if (!oldest.done) client.pending.delete(oldest.value);
+            this.stats.errors++;
+        });
+
+        socket.on('connect_error', (error) => {
+            this.stats.errors++;
+            this.emit('client-error', { index, error: error.message });
+        });
+    }
+
+    sendFrame(client) {
+        if (!this.running || !client.socket.connected) return;
+
+        const frame = this.frames[client.sequence % this.frames.length];
+        const frameId = ++client.sequence;
+        const now = Date.now();
+
+        const [chunk] = encodeFrame({
+            frameId,
+            captureTs: now,
+            width: frame.width,
+            height: frame.height,
+            codec: 'jpeg',
+            payload: frame.payload
+        });
+
+        client.pending.set(frameId, now);
+        client.socket.emit('detect-frame', chunk);
+
+        this.stats.sent++;
+        this.stats.bytesSent += chunk.length;
+    }
+
+    /**
+     * Stop sending, give in-flight frames a moment to come back, then disconnect.
+     */
+    async stop() {
+        this.running = false;
+        this.rampTimers.forEach(timer => clearTimeout(timer));
+        this.clients.forEach(client => clearInterval(client.timer));
+        this.endTime = Date.now();
+
+        const deadline = Date.now() + DRAIN_TIMEOUT_MS;
+        while (Date.now() < deadline && this.clients.some(client => client.pending.size > 0)) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        this.clients.forEach((client) => {
+            this.stats.lost += client.pending.size;
+            client.pending.clear();
+            client.socket.disconnect();
+        });
+    }
+
+    getStats() {
+        const durationSeconds = ((this.endTime || Date.now()) - (this.startTime || Date.now())) / 1000;
+        const sorted = [...this.stats.roundTrips].sort((a, b) => a - b);
+        const mean = sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : 0;
+
+        return {
+            clients: this.clientCount,
+            connected_clients: this.clients.filter(client => client.connected).length,
+            target_fps: this.fps,
+            resolution: `${this.width}x${this.height}`,
+            ramp_up_seconds: this.rampUpMs / 1000,
+            source: this.framesDir || 'synthetic',
+            duration_seconds: durationSeconds,
+            frames_sent: this.stats.sent,
+            frames_completed: this.stats.completed,
+            frames_dropped: this.stats.dropped,
+            frames_lost: this.stats.lost,
+            errors: this.stats.errors,
+            sent_fps: durationSeconds > 0 ? this.stats.sent / durationSeconds : 0,
+            completed_fps: durationSeconds > 0 ? this.stats.completed / durationSeconds : 0,
+            uplink_kbps: durationSeconds > 0 ? (this.stats.bytesSent * 8 / 1000) / durationSeconds : 0,
+            round_trip_ms: {
+                min: sorted[0] || 0,
+                median: percentile(sorted, 0.5),
+                p95: percentile(sorted, 0.95),
+                p99: percentile(sorted, 0.99),
+                max: sorted[sorted.length - 1] || 0,
+                mean
+            }
+        };
+    }
+}
+
+module.exports = LoadGenerator;
@@ -8,6 +8,16 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { spawn } = require('child_process');
+const LoadGenerator = require('./load-generator');
+
+// Per-sample arrays kept in the report for significance tests in `compare`
+const MAX_SAMPLES = 5000;
+
+function downsample(values, max = MAX_SAMPLES) {
+    if (values.length <= max) return values;
+    const step = values.length / max;
+    return Array.from({ length: max }, (_, i) => values[Math.floor(i * step)]);
+}
 
 class BenchmarkRunner {
     constructor() {
@@ -16,7 +26,16 @@ class BenchmarkRunner {
             mode: 'wasm',
             serverUrl: 'http://localhost:3000',
             outputFile: 'metrics.json',
-            verbose: false
+            verbose: false,
+            
+            // Synthetic load (0 clients = only observe existing traffic)
+            clients: 0,
+            fps: 10,
+            width: 640,
+            height: 480,
+            rampUp: 0,
+            framesDir: null,
+            room: 'bench'
         };
         
         this.metrics = {
@@ -27,10 +46,12 @@ class BenchmarkRunner {
             latencies: [],
             bandwidth: [],
             system: [],
+            counters: [],
             errors: []
         };
         
         this.serverProcess = null;
+        this.loadGenerator = null;
         this.isRunning = false;
     }
     
@@ -51,6 +72,31 @@ class BenchmarkRunner {
                 case '--output':
                     this.config.outputFile = args[++i] || 'metrics.json';
                     break;
+                case '--clients':
+                    this.config.clients = parseInt(args[++i]) || 0;
+                    break;
+                case '--fps':
+                    this.config.fps = parseFloat(args[++i]) || 10;
+                    break;
+                case '--resolution': {
+                    const [width, height] = (args[++i] || '').split('x').map(value => parseInt(value));
+                    if (!width || !height) {
+                        console.error('--resolution must look like 640x480');
+                        process.exit(1);
+                    }
+                    this.config.width = width;
+                    this.config.height = height;
+                    break;
+                }
+                case '--ramp-up':
+                    this.config.rampUp = parseFloat(args[++i]) || 0;
+                    break;
+                case '--frames':
+                    this.config.framesDir = args[++i];
+                    break;
+                case '--room':
+                    this.config.room = args[++i] || 'bench';
+                    break;
                 case '--verbose':
                     this.config.verbose = true;
                     break;
@@ -71,6 +117,7 @@ class BenchmarkRunner {
 WebRTC VLM Detection Benchmark Tool
 
 Usage: node run_bench.js [OPTIONS]
+       node run_bench.js compare BASELINE.json CANDIDATE.json [...] [COMPARE OPTIONS]
 
 Options:
   --duration SECONDS    Duration of benchmark in seconds (default: 30)
@@ -80,10 +127,19 @@ Options:
   --verbose            Enable verbose logging
   --help               Show this help message
 
+Synthetic load:
+  --clients N          Headless clients streaming frames via 'detect-frame' (default: 0, observe only)
+  --fps N              Frames per second per client (default: 10)
+  --resolution WxH     Frame size (default: 640x480; images from --frames keep their aspect ratio)
+  --ramp-up SECONDS    Spread client start-up over this many seconds (default: 0)
+  --frames DIR         Cycle through JPEG/PNG images from DIR instead of a synthetic test pattern
+  --room ID            Room the clients join (default: bench)
+
 Examples:
   node run_bench.js --duration 30 --mode wasm
   node run_bench.js --duration 60 --mode server --verbose
   node run_bench.js --output benchmark-results.json
+  node run_bench.js --mode server --clients 4 --fps 15 --resolution 320x240 --ramp-up 10
         `);
     }
     
@@ -99,10 +155,13 @@ Examples:
     
     async run() {
         try {
+            this.parseArguments();
+            
             console.log('🚀 Starting WebRTC VLM Detection Benchmark');
             console.log(`Duration: ${this.config.duration}s, Mode: ${this.config.mode}`);
-            
-            this.parseArguments();
+            if (this.config.clients > 0) {
+                console.log(`Load: ${this.config.clients} client(s) x ${this.config.fps} FPS at ${this.config.width}x${this.config.height}, ramp-up ${this.config.rampUp}s`);
+            }
             
             // Check if server is running
             const serverRunning = await this.checkServer();
@@ -177,6 +236,10 @@ Examples:
     async runBenchmark() {
         this.log('Starting benchmark collection...');
         
+        if (this.config.clients > 0) {
+            await this.startLoad();
+        }
+        
         this.metrics.startTime = Date.now();
         this.isRunning = true;
         
@@ -225,9 +288,38 @@ Examples:
         clearInterval(metricsInterval);
         clearInterval(systemInterval);
         
+        if (this.loadGenerator) {
+            await this.loadGenerator.stop();
+        }
+        
         this.log(`Benchmark completed. Collected ${this.metrics.frames.length} frame metrics`);
     }
     
+    async startLoad() {
+        this.loadGenerator = new LoadGenerator({
+            serverUrl: this.config.serverUrl,
+            clients: this.config.clients,
+            fps: this.config.fps,
+            width: this.config.width,
+            height: this.config.height,
+            rampUpSeconds: this.config.rampUp,
+            framesDir: this.config.framesDir,
+            roomId: this.config.room
+        });
+        
+        this.loadGenerator.on('client-connected', ({ index }) => {
+            this.log(`Load client ${index + 1}/${this.config.clients} connected`);
+        });
+        this.loadGenerator.on('client-error', ({ index, error }) => {
+            this.metrics.errors.push({ timestamp: Date.now(), error: `Load client ${index}: ${error}` });
+        });
+        
+        const frameCount = await this.loadGenerator.prepareFrames();
+        this.log(`Prepared ${frameCount} frame(s) from ${this.config.framesDir || 'synthetic pattern'}`);
+        
+        await this.loadGenerator.start();
+    }
+    
     async collectMetrics() {
         try {
             const response = await fetch(`${this.config.serverUrl}/api/metrics`, {
@@ -255,6 +347,16 @@ Examples:
                 });
             }
             
+            // Store frame counters (cumulative on the server) for per-second FPS and drop rate
+            if (metrics.frames) {
+                this.metrics.counters.push({
+                    timestamp: Date.now(),
+                    total: metrics.frames.total,
+                    processed: metrics.frames.processed,
+                    dropped: metrics.frames.dropped
+                });
+            }
+            
             // Store bandwidth data
             if (metrics.bandwidth) {
                 this.metrics.bandwidth.push({
@@ -299,6 +401,8 @@ Examples:
     async generateReport() {
         this.log('Generating benchmark report...');
         
+        const loadTest = this.loadGenerator ? this.loadGenerator.getStats() : null;
+        const drops = this.calculateDropStats();
         const report = {
             benchmark: {
                 timestamp: new Date().toISOString(),
@@ -313,9 +417,17 @@ Examples:
             processed_fps: this.calculateAverageFPS(),
             uplink_kbps: this.calculateAverageBandwidth('uplink'),
             downlink_kbps: this.calculateAverageBandwidth('downlink'),
+            drop_rate: drops.rate,
+            
+            // Client-side round trip under synthetic load (send to detection-result)
+            client_rtt_median_ms: loadTest ? loadTest.round_trip_ms.median : null,
+            client_rtt_p95_ms: loadTest ? loadTest.round_trip_ms.p95 : null,
+            load_test: loadTest,
             
             // Additional metrics
             total_frames: this.metrics.frames.length,
+            frames_offered: drops.offered,
+            frames_dropped: drops.dropped,
             error_count: this.metrics.errors.length,
             
             // Detailed statistics
@@ -327,10 +439,12 @@ Examples:
             // Raw data (limited for file size)
             sample_frames: this.metrics.frames.slice(0, 10),
             sample_latencies: this.metrics.latencies.slice(0, 10),
+            samples: this.collectSamples(),
             errors: this.metrics.errors
         };
         
-        // Write to file
+        // Write to file. Accuracy from an earlier evaluate.js run is not carried over:
+        // it describes another run, so run evaluate.js after the benchmark to add it.
         const outputPath = path.resolve(this.config.outputFile);
         await fs.writeFile(outputPath, JSON.stringify(report, null, 2));
         
@@ -363,6 +477,53 @@ Examples:
         return this.metrics.frames.length / this.metrics.duration;
     }
     
+    calculateDropStats() {
+        // Counters are cumulative since the server's last reset, so use the change over the run
+        const counters = this.metrics.counters;
+        if (counters.length < 2) {
+            return { rate: 0, offered: 0, dropped: 0 };
+        }
+        
+        const first = counters[0];
+        const last = counters[counters.length - 1];
+        const offered = Math.max(0, last.total - first.total);
+        const dropped = Math.max(0, last.dropped - first.dropped);
+        
+        return {
+            rate: offered > 0 ? (dropped / offered) * 100 : 0,
+            offered,
+            dropped
+        };
+    }
+    
+    collectSamples() {
+        // recentFrames overlap between polls; keep each frame once
+        const seen = new Set();
+        const latencies = [];
+        this.metrics.frames.forEach((frame) => {
+            const key = `${frame.frameId}|${frame.captureTs}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            latencies.push(frame.endToEndLatency);
+        });
+        
+        const fps = [];
+        for (let i = 1; i < this.metrics.counters.length; i++) {
+            const previous = this.metrics.counters[i - 1];
+            const current = this.metrics.counters[i];
+            const seconds = (current.timestamp - previous.timestamp) / 1000;
+            if (seconds > 0 && current.processed >= previous.processed) {
+                fps.push((current.processed - previous.processed) / seconds);
+            }
+        }
+        
+        return {
+            latency_ms: downsample(latencies),
+            fps: downsample(fps),
+            client_rtt_ms: this.loadGenerator ? downsample(this.loadGenerator.stats.roundTrips) : []
+        };
+    }
+    
     calculateAverageBandwidth(type) {
         const values = this.metrics.bandwidth.map(b => b[type]).filter(v => v > 0);
         if (values.length === 0) return 0;
@@ -429,13 +590,23 @@ Examples:
         console.log(`P95 Latency: ${report.p95_latency_ms.toFixed(2)}ms`);
         console.log(`Uplink: ${report.uplink_kbps.toFixed(2)} kbps`);
         console.log(`Downlink: ${report.downlink_kbps.toFixed(2)} kbps`);
+        console.log(`Drop Rate: ${report.drop_rate.toFixed(2)}%`);
         console.log(`Errors: ${report.error_count}`);
+        if (report.load_test) {
+            const load = report.load_test;
+            console.log(`Load: ${load.connected_clients}/${load.clients} clients, ${load.frames_completed}/${load.frames_sent} frames answered (${load.frames_dropped} dropped, ${load.frames_lost} lost)`);
+            console.log(`Client RTT: median ${load.round_trip_ms.median.toFixed(2)}ms, p95 ${load.round_trip_ms.p95.toFixed(2)}ms`);
+        }
         console.log('===================\n');
     }
     
     async cleanup() {
         this.log('Cleaning up...');
         
+        if (this.loadGenerator && this.loadGenerator.running) {
+            await this.loadGenerator.stop();
+        }
+        
         if (this.serverProcess) {
             this.serverProcess.kill('SIGTERM');
             
@@ -453,8 +624,13 @@ Examples:
 
 // Run benchmark if called directly
 if (require.main === module) {
-    const runner = new BenchmarkRunner();
-    runner.run().catch(console.error);
+    if (process.argv[2] === 'compare') {
+        const { BenchmarkComparison } = require('./compare');
+        new BenchmarkComparison().run(process.argv.slice(3)).then(code => process.exit(code));
+    } else {
+        const runner = new BenchmarkRunner();
+        runner.run().catch(console.error);
+    }
 }
 
 module.exports = BenchmarkRunner;
@@ -4,9 +4,24 @@
  */
 
 import * as ort from 'onnxruntime-web';
+import { ModelRegistry } from './model-registry.js';
+import { ObjectTracker } from './tracker.js';
+import { encodeFrame, getMimeType } from '../webrtc/frame-codec.js';
+
+function isDrawable(source) {
+    return (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) ||
+        (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement) ||
+        (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement);
+}
+
+function createClientId() {
+    // crypto.randomUUID needs a secure context; phones on the LAN often are not one
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
 class DetectionManager extends EventTarget {
-    constructor(mode = 'wasm') {
+    constructor(mode = 'wasm', modelName = null) {
         super();
         this.mode = mode;
         this.session = null;
@@ -23,20 +38,35 @@ class DetectionManager extends EventTarget {
         this.lastProcessTime = 0;
         this.frameInterval = 1000 / this.targetFPS;
         
-        // Real ML Model configuration (YOLOv5n)
-        this.modelConfig = {
-            modelPath: '/models/yolov5n.onnx',
-            inputShape: [1, 3, 640, 640],
-            outputShape: [1, 25200, 85], // YOLOv5n format
-            classNames: this.getCocoClassNames(),
-            confidenceThreshold: 0.5,
-            nmsThreshold: 0.4,
-            anchors: [
-                [10, 13, 16, 30, 33, 23],
-                [30, 61, 62, 45, 59, 119],
-                [116, 90, 156, 198, 373, 326]
-            ]
-        };
+        // Model configuration is resolved by name from models/config.json
+        this.registry = new ModelRegistry();
+        this.modelName = modelName;
+        this.modelConfig = null;
+        
+        // Optional ClockSync so result timestamps share the server timebase
+        this.clock = null;
+        
+        // Room whose zones count server-side results
+        this.roomId = null;
+        
+        // Identifies this page to the server's per-client queue and tracker, which
+        // would otherwise be shared by everyone behind the same IP
+        this.clientId = createClientId();
+        
+        // Assigns stable trackIds in WASM mode (the server tracks its own results)
+        this.tracker = new ObjectTracker();
+    }
+    
+    setClock(clock) {
+        this.clock = clock;
+    }
+    
+    now() {
+        return this.clock ? this.clock.now() : Date.now();
+    }
+    
+    setRoom(roomId) {
+        this.roomId = roomId;
     }
     
     async initialize() {
@@ -54,7 +84,7 @@ class DetectionManager extends EventTarget {
     
     async initializeWASM() {
         try {
-            console.log('🤖 Initializing WASM detection with real YOLOv5n model...');
+            console.log('🤖 Initializing WASM detection...');
 
             // Configure ONNX Runtime for WebAssembly
             ort.env.wasm.wasmPaths = '/node_modules/onnxruntime-web/dist/';
@@ -63,7 +93,11 @@ class DetectionManager extends EventTarget {
 
             // Try to load the real ONNX model
             try {
-                console.log('📥 Loading YOLOv5n ONNX model...');
+                await this.registry.load();
+                this.modelConfig = this.registry.get(this.modelName);
+                this.modelName = this.modelConfig.name;
+
+                console.log(`📥 Loading ${this.modelName} ONNX model...`);
                 this.session = await ort.InferenceSession.create(this.modelConfig.modelPath, {
                     executionProviders: ['wasm'],
                     graphOptimizationLevel: 'all'
@@ -156,10 +190,11 @@ class DetectionManager extends EventTarget {
     }
     
     async detectObjects(frameData) {
-        const startTime = Date.now();
+        const startTime = this.now();
         
-        // Check if we should process this frame (FPS limiting)
-        if (startTime - this.lastProcessTime < this.frameInterval) {
+        // Check if we should process this frame (FPS limiting). This uses the local
+        // monotonic clock: a clock sync can move the server-offset clock backwards.
+        if (performance.now() - this.lastProcessTime < this.frameInterval) {
             return null; // Skip frame
         }
         
@@ -167,13 +202,19 @@ class DetectionManager extends EventTarget {
             let detections;
             
             if (this.mode === 'wasm' && this.modelLoaded) {
-                detections = await this.detectWASM(frameData);
+                // Server results come back tracked; local ones are tracked here
+                detections = this.tracker.update(await this.detectWASM(frameData));
             } else {
                 detections = await this.detectServer(frameData);
             }
             
-            const endTime = Date.now();
-            this.lastProcessTime = endTime;
+            // Frame was dropped by the server queue; there is nothing to render
+            if (detections === null) {
+                return null;
+            }
+            
+            const endTime = this.now();
+            this.lastProcessTime = performance.now();
             
             const result = {
                 frameId: frameData.frameId || Date.now(),
@@ -242,10 +283,16 @@ class DetectionManager extends EventTarget {
                 return this.getMockDetections();
             }
 
-            console.log('🤖 Running real YOLOv5n inference...');
+            console.log(`🤖 Running real ${this.modelName} inference...`);
 
-            // Preprocess image data
-            const inputTensor = await this.preprocessImage(frameData.imageData);
+            // Preprocess image data (video frame bitmap, binary frame bytes or base64 data URL)
+            let source = frameData.imageData;
+            if (frameData.source) {
+                source = frameData.source;
+            } else if (frameData.payload) {
+                source = new Blob([frameData.payload], { type: getMimeType(frameData.codec) });
+            }
+            const inputTensor = await this.preprocessImage(source);
 
             // Run real ONNX inference
             const inputName = this.session.inputNames[0];
@@ -271,6 +318,49 @@ class DetectionManager extends EventTarget {
         }
     }
     
+    async loadImageSource(imageData) {
+        // Video frames sampled on the desktop are already drawable
+        if (isDrawable(imageData)) {
+            return imageData;
+        }
+        
+        // Create image from base64 data or binary frame bytes
+        const src = imageData instanceof Blob ? URL.createObjectURL(imageData) : imageData;
+        const img = new Image();
+        try {
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = reject;
+                img.src = src;
+            });
+        } finally {
+            if (src !== imageData) URL.revokeObjectURL(src);
+        }
+        
+        return img;
+    }
+    
+    async encodeFrameSource(frameData, quality = 0.8) {
+        // The server decodes JPEG bytes, so sampled video frames are encoded once here
+        const canvas = document.createElement('canvas');
+        canvas.width = frameData.width || frameData.source.width;
+        canvas.height = frameData.height || frameData.source.height;
+        canvas.getContext('2d').drawImage(frameData.source, 0, 0, canvas.width, canvas.height);
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+        if (!blob) {
+            throw new Error('Failed to encode video frame');
+        }
+        
+        return {
+            ...frameData,
+            width: canvas.width,
+            height: canvas.height,
+            codec: 'jpeg',
+            payload: new Uint8Array(await blob.arrayBuffer())
+        };
+    }
+    
     async preprocessImage(imageData) {
         if (!this.useRealModel) {
             // Mock preprocessing for fallback mode
@@ -286,15 +376,9 @@ class DetectionManager extends EventTarget {
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
 
-            // Create image from base64 data
-            const img = new Image();
-            await new Promise((resolve, reject) => {
-                img.onload = resolve;
-                img.onerror = reject;
-                img.src = imageData;
-            });
+            const img = await this.loadImageSource(imageData);
 
-            // Resize to model input size (640x640 for YOLOv5n)
+            // Resize to model input size from the registry entry
             const [batch, channels, height, width] = this.modelConfig.inputShape;
             canvas.width = width;
             canvas.height = height;
@@ -306,19 +390,21 @@ class DetectionManager extends EventTarget {
             const imageDataObj = ctx.getImageData(0, 0, width, height);
             const pixels = imageDataObj.data;
 
-            // Convert to RGB and normalize (0-1)
+            // Convert to RGB and normalize (0-1, then per-channel mean/std from the registry)
             const inputArray = new Float32Array(batch * channels * height * width);
+            const mean = this.modelConfig.preprocess.mean || [0, 0, 0];
+            const std = this.modelConfig.preprocess.std || [1, 1, 1];
 
-            // YOLOv5 expects CHW format (channels first)
+            // Models expect CHW format (channels first)
             for (let y = 0; y < height; y++) {
                 for (let x = 0; x < width; x++) {
                     const pixelIndex = (y * width + x) * 4; // RGBA
                     const tensorIndex = y * width + x;
 
-                    // Normalize to 0-1 and arrange as CHW
-                    inputArray[tensorIndex] = pixels[pixelIndex] / 255.0; // R
-                    inputArray[height * width + tensorIndex] = pixels[pixelIndex + 1] / 255.0; // G
-                    inputArray[2 * height * width + tensorIndex] = pixels[pixelIndex + 2] / 255.0; // B
+                    // Normalize and arrange as CHW
+                    inputArray[tensorIndex] = (pixels[pixelIndex] / 255.0 - mean[0]) / std[0]; // R
+                    inputArray[height * width + tensorIndex] = (pixels[pixelIndex + 1] / 255.0 - mean[1]) / std[1]; // G
+                    inputArray[2 * height * width + tensorIndex] = (pixels[pixelIndex + 2] / 255.0 - mean[2]) / std[2]; // B
                 }
             }
 
@@ -342,66 +428,215 @@ class DetectionManager extends EventTarget {
         }
 
         try {
-            // YOLOv5 output format: [batch, 25200, 85]
-            // 85 = 4 (bbox) + 1 (confidence) + 80 (classes)
-            const output = results[this.session.outputNames[0]];
-            const outputData = output.data;
-            const [batch, numBoxes, numClasses] = output.dims;
-
-            const detections = [];
-            const confidenceThreshold = this.modelConfig.confidenceThreshold;
-
-            // Process each detection
-            for (let i = 0; i < numBoxes; i++) {
-                const offset = i * numClasses;
-
-                // Extract bbox coordinates (center_x, center_y, width, height)
-                const centerX = outputData[offset + 0];
-                const centerY = outputData[offset + 1];
-                const width = outputData[offset + 2];
-                const height = outputData[offset + 3];
-                const objectness = outputData[offset + 4];
-
-                // Find best class
-                let maxClassScore = 0;
-                let bestClass = 0;
-
-                for (let j = 5; j < numClasses; j++) {
-                    const classScore = outputData[offset + j];
-                    if (classScore > maxClassScore) {
-                        maxClassScore = classScore;
-                        bestClass = j - 5; // Subtract 5 to get class index
-                    }
+            const outputs = this.session.outputNames.map(name => results[name]);
+
+            // Decoder is chosen by the model's "decoder" entry in models/config.json
+            switch (this.modelConfig.decoder) {
+                case 'yolov5':
+                    return this.decodeYoloV5(outputs[0]);
+                case 'ssd':
+                    return this.decodeSSD(outputs);
+                default:
+                    throw new Error(`Unsupported decoder type: ${this.modelConfig.decoder}`);
+            }
+
+        } catch (error) {
+            console.error('Postprocessing failed:', error);
+            return this.getMockDetections();
+        }
+    }
+
+    decodeYoloV5(output) {
+        // YOLOv5 output format: [batch, 25200, 85]
+        // 85 = 4 (bbox) + 1 (confidence) + 80 (classes)
+        const outputData = output.data;
+        const [batch, numBoxes, numClasses] = output.dims;
+
+        const detections = [];
+        const confidenceThreshold = this.modelConfig.confidenceThreshold;
+        const [, , inputHeight, inputWidth] = this.modelConfig.inputShape;
+
+        // Process each detection
+        for (let i = 0; i < numBoxes; i++) {
+            const offset = i * numClasses;
+
+            // Extract bbox coordinates (center_x, center_y, width, height)
+            const centerX = outputData[offset + 0];
+            const centerY = outputData[offset + 1];
+            const width = outputData[offset + 2];
+            const height = outputData[offset + 3];
+            const objectness = outputData[offset + 4];
+
+            // Find best class
+            let maxClassScore = 0;
+            let bestClass = 0;
+
+            for (let j = 5; j < numClasses; j++) {
+                const classScore = outputData[offset + j];
+                if (classScore > maxClassScore) {
+                    maxClassScore = classScore;
+                    bestClass = j - 5; // Subtract 5 to get class index
                 }
+            }
 
-                // Calculate final confidence
-                const confidence = objectness * maxClassScore;
-
-                if (confidence > confidenceThreshold) {
-                    // Convert to normalized coordinates (0-1)
-                    const xmin = Math.max(0, (centerX - width / 2) / 640);
-                    const ymin = Math.max(0, (centerY - height / 2) / 640);
-                    const xmax = Math.min(1, (centerX + width / 2) / 640);
-                    const ymax = Math.min(1, (centerY + height / 2) / 640);
-
-                    detections.push({
-                        label: this.modelConfig.classNames[bestClass] || `class_${bestClass}`,
-                        score: confidence,
-                        xmin,
-                        ymin,
-                        xmax,
-                        ymax
-                    });
+            // Calculate final confidence
+            const confidence = objectness * maxClassScore;
+
+            if (confidence > confidenceThreshold) {
+                // Convert to normalized coordinates (0-1)
+                const xmin = Math.max(0, (centerX - width / 2) / inputWidth);
+                const ymin = Math.max(0, (centerY - height / 2) / inputHeight);
+                const xmax = Math.min(1, (centerX + width / 2) / inputWidth);
+                const ymax = Math.min(1, (centerY + height / 2) / inputHeight);
+
+                detections.push({
+                    label: this.modelConfig.classNames[bestClass] || `class_${bestClass}`,
+                    score: confidence,
+                    xmin,
+                    ymin,
+                    xmax,
+                    ymax
+                });
+            }
+        }
+
+        // Apply Non-Maximum Suppression (simplified)
+        return this.applyNMS(detections);
+    }
+
+    decodeSSD(outputs) {
+        // SSD outputs: box encodings [1, 1917, 4] and class logits [1, 1917, 91]
+        const boxesTensor = outputs.find(output => output.dims[output.dims.length - 1] === 4);
+        const scoresTensor = outputs.find(output => output !== boxesTensor);
+
+        if (!boxesTensor || !scoresTensor) {
+            throw new Error('SSD model must output box encodings and class scores');
+        }
+
+        const boxes = boxesTensor.data;
+        const scores = scoresTensor.data;
+        const [, numPriors, numClasses] = scoresTensor.dims;
+        const { classNames, confidenceThreshold } = this.modelConfig;
+        const variances = this.modelConfig.variances || [0.1, 0.1, 0.2, 0.2];
+        const useSoftmax = (this.modelConfig.scoreActivation || 'softmax') === 'softmax';
+        const priors = this.getSSDPriors();
+
+        if (priors.length / 4 !== numPriors) {
+            throw new Error(`SSD prior count ${priors.length / 4} does not match model output ${numPriors}`);
+        }
+
+        const detections = [];
+
+        for (let i = 0; i < numPriors; i++) {
+            const offset = i * numClasses;
+
+            // Softmax over all classes (index 0 is background)
+            let maxLogit = -Infinity;
+            for (let c = 0; c < numClasses; c++) {
+                maxLogit = Math.max(maxLogit, scores[offset + c]);
+            }
+
+            let sum = 0;
+            if (useSoftmax) {
+                for (let c = 0; c < numClasses; c++) {
+                    sum += Math.exp(scores[offset + c] - maxLogit);
                 }
             }
 
-            // Apply Non-Maximum Suppression (simplified)
-            return this.applyNMS(detections);
+            // Best foreground class; null labels are unused COCO-91 ids
+            let bestClass = -1;
+            let bestScore = 0;
+            for (let c = 1; c < numClasses; c++) {
+                if (!classNames[c]) continue;
 
-        } catch (error) {
-            console.error('Postprocessing failed:', error);
-            return this.getMockDetections();
+                const score = useSoftmax
+                    ? Math.exp(scores[offset + c] - maxLogit) / sum
+                    : 1 / (1 + Math.exp(-scores[offset + c]));
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestClass = c;
+                }
+            }
+
+            if (bestClass < 0 || bestScore <= confidenceThreshold) continue;
+
+            // Decode offsets relative to the prior box, scaled by the variances
+            const b = i * 4;
+            const [ty, tx, th, tw] = this.modelConfig.boxEncoding === 'xywh'
+                ? [boxes[b + 1], boxes[b], boxes[b + 3], boxes[b + 2]]
+                : [boxes[b], boxes[b + 1], boxes[b + 2], boxes[b + 3]];
+
+            const cy = ty * variances[0] * priors[b + 2] + priors[b];
+            const cx = tx * variances[1] * priors[b + 3] + priors[b + 1];
+            const h = Math.exp(th * variances[2]) * priors[b + 2];
+            const w = Math.exp(tw * variances[3]) * priors[b + 3];
+
+            // Input is stretched to the model size, so normalized input coords are frame coords
+            detections.push({
+                label: classNames[bestClass],
+                score: bestScore,
+                xmin: Math.max(0, cx - w / 2),
+                ymin: Math.max(0, cy - h / 2),
+                xmax: Math.min(1, cx + w / 2),
+                ymax: Math.min(1, cy + h / 2)
+            });
         }
+
+        return this.applyNMS(detections);
+    }
+
+    getSSDPriors() {
+        if (this.ssdPriors && this.ssdPriorsModel === this.modelName) {
+            return this.ssdPriors;
+        }
+
+        // Prior layout defaults to SSD MobileNet v1 300x300 (TF Object Detection API)
+        const spec = {
+            featureMapSizes: [19, 10, 5, 3, 2, 1],
+            minScale: 0.2,
+            maxScale: 0.95,
+            aspectRatios: [1.0, 2.0, 0.5, 3.0, 0.3333],
+            interpolatedScaleAspectRatio: 1.0,
+            reduceBoxesInLowestLayer: true,
+            ...(this.modelConfig.anchors || {})
+        };
+
+        const { featureMapSizes, minScale, maxScale, aspectRatios } = spec;
+        const numLayers = featureMapSizes.length;
+        const scales = featureMapSizes.map((_, i) =>
+            numLayers > 1 ? minScale + (maxScale - minScale) * i / (numLayers - 1) : minScale
+        );
+        scales.push(1.0);
+
+        // Flat (cy, cx, h, w) per prior: layer, then grid row/column, then box spec
+        const priors = [];
+        featureMapSizes.forEach((size, layer) => {
+            const scale = scales[layer];
+            let boxSpecs;
+
+            if (layer === 0 && spec.reduceBoxesInLowestLayer) {
+                boxSpecs = [[0.1, 1.0], [scale, 2.0], [scale, 0.5]];
+            } else {
+                boxSpecs = aspectRatios.map(ratio => [scale, ratio]);
+                if (spec.interpolatedScaleAspectRatio > 0) {
+                    boxSpecs.push([Math.sqrt(scale * scales[layer + 1]), spec.interpolatedScaleAspectRatio]);
+                }
+            }
+
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    boxSpecs.forEach(([boxScale, ratio]) => {
+                        const sqrtRatio = Math.sqrt(ratio);
+                        priors.push((y + 0.5) / size, (x + 0.5) / size, boxScale / sqrtRatio, boxScale * sqrtRatio);
+                    });
+                }
+            }
+        });
+
+        this.ssdPriors = Float32Array.from(priors);
+        this.ssdPriorsModel = this.modelName;
+        return this.ssdPriors;
     }
 
     applyNMS(detections) {
@@ -470,18 +705,40 @@ class DetectionManager extends EventTarget {
     
     async detectServer(frameData) {
         try {
-            const response = await fetch('/api/detect', {
+            if (frameData.source && !frameData.payload) {
+                frameData = await this.encodeFrameSource(frameData);
+            }
+            
+            // Binary frames are forwarded as-is, in a single chunk
+            const request = frameData.payload
+                ? {
+                    headers: { 'Content-Type': 'application/octet-stream', 'X-Client-Id': this.clientId },
+                    body: encodeFrame(frameData, Infinity)[0]
+                }
+                : {
+                    headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+                    body: JSON.stringify({
+                        imageData: frameData.imageData,
+                        frameId: frameData.frameId,
+                        captureTs: frameData.captureTs
+                    })
+                };
+            
+            const url = this.roomId ? `/api/detect?room=${encodeURIComponent(this.roomId)}` : '/api/detect';
+            const response = await fetch(url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    imageData: frameData.imageData,
-                    frameId: frameData.frameId,
-                    captureTs: frameData.captureTs
-                })
+                ...request
             });
             
+            if (response.status === 429) {
+                // Server shed this frame (busy or superseded by a newer one)
+                const drop = await response.json();
+                this.dispatchEvent(new CustomEvent('frameDropped', {
+                    detail: { frameId: frameData.frameId, reason: drop.reason }
+                }));
+                return null;
+            }
+            
             if (!response.ok) {
                 throw new Error(`Server detection failed: ${response.status}`);
             }
@@ -495,23 +752,6 @@ class DetectionManager extends EventTarget {
         }
     }
     
-    getCocoClassNames() {
-        return [
-            'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck',
-            'boat', 'traffic light', 'fire hydrant', 'stop sign', 'parking meter', 'bench',
-            'bird', 'cat', 'dog', 'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra',
-            'giraffe', 'backpack', 'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee',
-            'skis', 'snowboard', 'sports ball', 'kite', 'baseball bat', 'baseball glove',
-            'skateboard', 'surfboard', 'tennis racket', 'bottle', 'wine glass', 'cup',
-            'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple', 'sandwich', 'orange',
-            'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch',
-            'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse',
-            'remote', 'keyboard', 'cell phone', 'microwave', 'oven', 'toaster', 'sink',
-            'refrigerator', 'book', 'clock', 'vase', 'scissors', 'teddy bear', 'hair drier',
-            'toothbrush'
-        ];
-    }
-    
     updateSettings(settings) {
         if (settings.inputSize) {
             this.inputSize = settings.inputSize;
@@ -522,7 +762,7 @@ class DetectionManager extends EventTarget {
             this.frameInterval = 1000 / this.targetFPS;
         }
         
-        if (settings.confidenceThreshold) {
+        if (settings.confidenceThreshold && this.modelConfig) {
             this.modelConfig.confidenceThreshold = settings.confidenceThreshold;
         }
         
@@ -532,6 +772,7 @@ class DetectionManager extends EventTarget {
     getStatus() {
         return {
             mode: this.mode,
+            model: this.modelName,
             modelLoaded: this.modelLoaded,
             isProcessing: this.isProcessing,
             queueSize: this.processingQueue.length,
@@ -549,6 +790,7 @@ class DetectionManager extends EventTarget {
         this.processingQueue = [];
         this.modelLoaded = false;
         this.isProcessing = false;
+        this.tracker.reset();
         
         console.log('Detection manager cleaned up');
     }
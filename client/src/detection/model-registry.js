@@ -0,0 +1,124 @@
+/**
+ * Model Registry
+ * Resolves browser-side model definitions from the shared models/config.json
+ */
+
+class ModelRegistry {
+    constructor(configUrl = '/models/config.json') {
+        this.configUrl = configUrl;
+        this.models = new Map();
+        this.defaultModel = null;
+        this.defaults = {
+            confidenceThreshold: 0.5,
+            nmsThreshold: 0.4
+        };
+        this.loaded = false;
+    }
+
+    async load() {
+        const response = await fetch(this.configUrl);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load model registry: ${response.status}`);
+        }
+
+        this.applyConfig(await response.json());
+        return this;
+    }
+
+    applyConfig(config) {
+        if (!config || typeof config.models !== 'object') {
+            throw new Error('Invalid model config: missing "models"');
+        }
+
+        const defaults = { ...this.defaults };
+        if (typeof config.confidence_threshold === 'number') {
+            defaults.confidenceThreshold = config.confidence_threshold;
+        }
+
+        if (typeof config.nms_threshold === 'number') {
+            defaults.nmsThreshold = config.nms_threshold;
+        }
+
+        const classLists = config.classLists || {};
+
+        // Validate every entry before touching the live state, so a bad config
+        // leaves the previous models in place
+        const models = new Map();
+        for (const [name, entry] of Object.entries(config.models)) {
+            models.set(name, this.normalizeEntry(name, entry, classLists, defaults));
+        }
+
+        this.defaults = defaults;
+        this.models = models;
+        this.defaultModel = config.default && models.has(config.default)
+            ? config.default
+            : models.keys().next().value || null;
+
+        this.loaded = true;
+    }
+
+    normalizeEntry(name, entry, classLists, defaults = this.defaults) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`Model "${name}" must be an object`);
+        }
+
+        if (typeof entry.path !== 'string' || !entry.path) {
+            throw new Error(`Model "${name}" is missing "path"`);
+        }
+
+        // classNames may be inline or reference a shared list in "classLists"
+        let classNames = entry.classNames || [];
+        if (typeof classNames === 'string') {
+            classNames = classLists[classNames] || [];
+        }
+
+        return {
+            name,
+            // Config paths are relative to the project root ("./models/x.onnx"),
+            // which the server exposes under "/models"
+            modelPath: '/' + entry.path.replace(/^\.?\//, ''),
+            type: entry.type || 'onnx',
+            decoder: entry.decoder || 'yolov5',
+            inputShape: entry.inputShape,
+            outputShape: entry.outputShape || null,
+            outputLayout: entry.outputLayout || null,
+            anchors: entry.anchors || null,
+            variances: entry.variances || null,
+            boxEncoding: entry.boxEncoding || null,
+            scoreActivation: entry.scoreActivation || null,
+            classNames,
+            confidenceThreshold: typeof entry.confidenceThreshold === 'number'
+                ? entry.confidenceThreshold
+                : defaults.confidenceThreshold,
+            nmsThreshold: typeof entry.nmsThreshold === 'number'
+                ? entry.nmsThreshold
+                : defaults.nmsThreshold,
+            preprocess: entry.preprocess || {},
+            description: entry.description || name
+        };
+    }
+
+    has(name) {
+        return this.models.has(name);
+    }
+
+    get(name) {
+        const model = this.models.get(name || this.defaultModel);
+        if (!model) {
+            throw new Error(`Unknown model: ${name}`);
+        }
+        // Return a copy so runtime tweaks (e.g. threshold changes) stay local
+        return { ...model };
+    }
+
+    getDefaultName() {
+        return this.defaultModel;
+    }
+
+    list() {
+        return Array.from(this.models.values());
+    }
+}
+
+export { ModelRegistry };
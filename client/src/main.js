@@ -5,10 +5,15 @@
 
 import { io } from 'socket.io-client';
 import { WebRTCManager } from './webrtc/webrtc-manager.js';
+import { StatsPoller } from './webrtc/stats-poller.js';
 import { DetectionManager } from './detection/detection-manager.js';
 import { OverlayRenderer } from './rendering/overlay-renderer.js';
 import { MetricsDisplay } from './metrics/metrics-display.js';
 import { Logger } from './utils/logger.js';
+import { isFrameMessage, FrameAssembler } from './webrtc/frame-codec.js';
+import { ClockSync } from './utils/clock-sync.js';
+import { SessionPlayer } from './replay/session-player.js';
+import { FileSource } from './sources/file-source.js';
 
 class DesktopApp {
     constructor() {
@@ -17,10 +22,17 @@ class DesktopApp {
         this.detectionManager = null;
         this.overlayRenderer = null;
         this.metricsDisplay = null;
+        this.statsPoller = null;
+        this.clock = null;
+        this.frameAssembler = new FrameAssembler();
+        this.sessionPlayer = new SessionPlayer();
+        this.fileSource = new FileSource();
+        this.remoteStream = null;
         this.logger = new Logger('DesktopApp');
         
         this.config = {
             mode: 'wasm',
+            frameSource: 'datachannel', // 'datachannel' (phone uploads JPEGs) or 'video' (sample the WebRTC track)
             signalingPort: 8080,
             features: {}
         };
@@ -29,9 +41,15 @@ class DesktopApp {
             connected: false,
             detectionActive: false,
             phoneConnected: false,
-            currentRoom: null
+            currentRoom: null,
+            videoSampling: false,
+            videoFrameInFlight: false,
+            replaying: false,
+            fileSource: null // 'video' or 'images' while a local file replaces the phone
         };
         
+        this.videoFrameHandle = null;
+        
         this.elements = {};
         this.bindElements();
         this.setupEventListeners();
@@ -40,6 +58,7 @@ class DesktopApp {
     bindElements() {
         // Status elements
         this.elements.modeIndicator = document.getElementById('mode-indicator');
+        this.elements.modelIndicator = document.getElementById('model-indicator');
         this.elements.connectionStatus = document.getElementById('connection-status');
         this.elements.fpsCounter = document.getElementById('fps-counter');
         
@@ -53,12 +72,25 @@ class DesktopApp {
         this.elements.overlayCanvas = document.getElementById('overlay-canvas');
         this.elements.toggleDetection = document.getElementById('toggle-detection');
         this.elements.toggleFullscreen = document.getElementById('toggle-fullscreen');
+        this.elements.loadFile = document.getElementById('load-file');
+        this.elements.closeFile = document.getElementById('close-file');
+        this.elements.fileInput = document.getElementById('file-input');
         
         // Info elements
         this.elements.videoResolution = document.getElementById('video-resolution');
         this.elements.latencyDisplay = document.getElementById('latency-display');
         this.elements.detectionCount = document.getElementById('detection-count');
         
+        // Replay elements
+        this.elements.sessionSelect = document.getElementById('session-select');
+        this.elements.refreshSessions = document.getElementById('refresh-sessions');
+        this.elements.toggleReplay = document.getElementById('toggle-replay');
+        this.elements.downloadSession = document.getElementById('download-session');
+        this.elements.deleteSession = document.getElementById('delete-session');
+        this.elements.replayPlay = document.getElementById('replay-play');
+        this.elements.replaySeek = document.getElementById('replay-seek');
+        this.elements.replayTime = document.getElementById('replay-time');
+        
         // Metrics elements
         this.elements.e2eMedian = document.getElementById('e2e-median');
         this.elements.e2eP95 = document.getElementById('e2e-p95');
@@ -71,6 +103,8 @@ class DesktopApp {
         // Control elements
         this.elements.resetMetrics = document.getElementById('reset-metrics');
         this.elements.exportMetrics = document.getElementById('export-metrics');
+        this.elements.chartRange = document.getElementById('chart-range');
+        this.elements.pauseCharts = document.getElementById('pause-charts');
         this.elements.toggleDebug = document.getElementById('toggle-debug');
         this.elements.clearLogs = document.getElementById('clear-logs');
         
@@ -101,6 +135,51 @@ class DesktopApp {
             this.toggleFullscreen();
         });
         
+        // Local file source
+        this.elements.loadFile?.addEventListener('click', () => {
+            this.elements.fileInput.click();
+        });
+        
+        this.elements.fileInput?.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.openFileSource(e.target.files);
+            }
+            e.target.value = '';
+        });
+        
+        this.elements.closeFile?.addEventListener('click', () => {
+            this.closeFileSource();
+        });
+        
+        // Replay controls
+        this.elements.refreshSessions?.addEventListener('click', () => {
+            this.loadSessions();
+        });
+        
+        this.elements.toggleReplay?.addEventListener('click', () => {
+            this.toggleReplay();
+        });
+        
+        this.elements.downloadSession?.addEventListener('click', () => {
+            this.downloadSession();
+        });
+        
+        this.elements.deleteSession?.addEventListener('click', () => {
+            this.deleteSession();
+        });
+        
+        this.elements.replayPlay?.addEventListener('click', () => {
+            if (this.sessionPlayer.playing) {
+                this.sessionPlayer.pause();
+            } else {
+                this.sessionPlayer.play();
+            }
+        });
+        
+        this.elements.replaySeek?.addEventListener('input', (e) => {
+            this.sessionPlayer.seek(Number(e.target.value));
+        });
+        
         // Metrics controls
         this.elements.resetMetrics?.addEventListener('click', () => {
             this.resetMetrics();
@@ -110,6 +189,15 @@ class DesktopApp {
             this.exportMetrics();
         });
         
+        this.elements.chartRange?.addEventListener('change', (e) => {
+            this.metricsDisplay?.setChartRange(Number(e.target.value));
+        });
+        
+        this.elements.pauseCharts?.addEventListener('click', () => {
+            const paused = this.metricsDisplay?.toggleChartsPaused();
+            this.elements.pauseCharts.textContent = paused ? 'Resume Charts' : 'Pause Charts';
+        });
+        
         // Debug controls
         this.elements.toggleDebug?.addEventListener('click', () => {
             this.toggleDebug();
@@ -153,6 +241,8 @@ class DesktopApp {
             
             // Initialize detection manager
             this.detectionManager = new DetectionManager(this.config.mode);
+            this.detectionManager.setClock(this.clock);
+            this.detectionManager.setRoom(this.state.currentRoom);
             await this.detectionManager.initialize();
             
             // Initialize overlay renderer
@@ -160,17 +250,32 @@ class DesktopApp {
                 this.elements.overlayCanvas,
                 this.elements.remoteVideo
             );
+            await this.loadZones();
             
             // Initialize metrics display
             this.metricsDisplay = new MetricsDisplay(this.socket);
             this.metricsDisplay.initialize();
             
+            // Measure the peer connection and report it to the server
+            this.statsPoller = new StatsPoller(this.socket, () => this.webrtcManager?.peerConnection, { clientType: 'desktop' });
+            this.statsPoller.addEventListener('stats', (event) => {
+                this.metricsDisplay.recordTransportStats(event.detail);
+                if (this.elements.webrtcStats) {
+                    this.elements.webrtcStats.textContent = JSON.stringify(event.detail, null, 2);
+                }
+            });
+            this.statsPoller.start();
+            
             // Setup WebRTC event handlers
             this.setupWebRTCHandlers();
             
             // Setup detection event handlers
             this.setupDetectionHandlers();
             
+            // Setup session replay
+            this.setupReplayHandlers();
+            await this.loadSessions();
+            
             // Generate QR code
             await this.generateQRCode();
             
@@ -189,11 +294,21 @@ class DesktopApp {
     async loadConfiguration() {
         try {
             const response = await fetch('/api/config');
-            this.config = await response.json();
+            this.config = { ...this.config, ...await response.json() };
             this.logger.info('Configuration loaded:', this.config);
         } catch (error) {
             this.logger.warn('Failed to load configuration, using defaults:', error);
         }
+        
+        // ?source=video|datachannel overrides the server default
+        const params = new URLSearchParams(window.location.search);
+        const source = params.get('source');
+        if (source === 'video' || source === 'datachannel') {
+            this.config.frameSource = source;
+        }
+        
+        // Zones are defined per room; the phone joins main-room unless told otherwise
+        this.state.currentRoom = params.get('room') || 'main-room';
     }
     
     async initializeSocket() {
@@ -203,9 +318,22 @@ class DesktopApp {
                 timeout: 10000
             });
             
+            // Align local timestamps with the server clock (and so with the phone's)
+            this.clock = new ClockSync(this.socket, { clientType: 'desktop' });
+            this.clock.addEventListener('synced', (event) => {
+                this.logger.info(`Clock synced: offset ${event.detail.offset}ms, rtt ${event.detail.rtt}ms`);
+            });
+            this.clock.start();
+            
             this.socket.on('connect', () => {
                 this.logger.info('Socket connected');
                 this.state.connected = true;
+                
+                // Register as desktop client and join our room so room-scoped zone
+                // updates reach us; a reconnect gets a new socket, so repeat both
+                this.socket.emit('register', { type: 'desktop' });
+                this.socket.emit('join-room', { roomId: this.state.currentRoom });
+                
                 this.updateConnectionStatus();
                 resolve();
             });
@@ -221,17 +349,61 @@ class DesktopApp {
                 reject(error);
             });
             
-            // Register as desktop client
-            this.socket.emit('register', { type: 'desktop' });
+            // Server-side model was hot-swapped
+            this.socket.on('model-changed', (info) => {
+                this.logger.info(`Server model switched: ${info.previous} → ${info.model}`);
+                this.config.model = info.model;
+                this.updateUI();
+            });
+            
+            // Zone definitions and counters for our room
+            this.socket.on('zones-changed', (update) => {
+                if (update.roomId !== this.state.currentRoom) return;
+                this.overlayRenderer?.setZones(update.zones);
+            });
+            
+            this.socket.on('zone-counts', (update) => {
+                if (update.roomId !== this.state.currentRoom) return;
+                this.overlayRenderer?.setZoneCounts(update.counts);
+            });
+            
+            this.socket.on('zone-event', (event) => {
+                if (event.roomId !== this.state.currentRoom) return;
+                const direction = event.direction ? ` (${event.direction})` : '';
+                this.logger.info(`Zone ${event.zoneName}: ${event.label} #${event.trackId} ${event.type}${direction}`);
+            });
         });
     }
     
     setupWebRTCHandlers() {
         this.webrtcManager.on('remoteStream', (stream) => {
             this.logger.info('Received remote stream');
-            this.elements.remoteVideo.srcObject = stream;
+            this.remoteStream = stream;
             this.state.phoneConnected = true;
             this.updateUI();
+            
+            // A loaded file keeps the video element until it is closed
+            if (this.state.fileSource) return;
+            
+            this.elements.remoteVideo.srcObject = stream;
+            if (this.config.frameSource === 'video') {
+                this.startVideoSampling();
+            }
+        });
+        
+        this.webrtcManager.on('dataChannelOpen', () => {
+            // Phone only needs to upload JPEG frames when we are not sampling its video track
+            this.webrtcManager.sendDataChannelMessage({
+                type: 'config',
+                uploadFrames: this.config.frameSource !== 'video'
+            });
+        });
+        
+        this.webrtcManager.on('peerDisconnected', () => {
+            this.remoteStream = null;
+            if (!this.state.fileSource) {
+                this.stopVideoSampling();
+            }
         });
         
         this.webrtcManager.on('connectionStateChange', (state) => {
@@ -252,13 +424,184 @@ class DesktopApp {
         this.detectionManager.on('error', (error) => {
             this.logger.error('Detection error:', error);
         });
+        
+        this.detectionManager.on('frameDropped', (drop) => {
+            this.handleFrameDropped(drop);
+        });
+    }
+    
+    setupReplayHandlers() {
+        const player = this.sessionPlayer;
+        
+        player.addEventListener('frame', (event) => {
+            const frame = event.detail;
+            this.overlayRenderer.renderDetections(frame.detections, frame.captureTs);
+            if (this.elements.detectionCount) {
+                this.elements.detectionCount.textContent = frame.detections.length;
+            }
+        });
+        
+        player.addEventListener('seeked', () => {
+            // Jumping should not animate boxes across the timeline
+            this.overlayRenderer.clear();
+        });
+        
+        player.addEventListener('keyframe', (event) => {
+            const image = new Image();
+            image.onload = () => {
+                if (this.state.replaying) this.overlayRenderer.setBackgroundImage(image);
+            };
+            image.src = event.detail.src;
+        });
+        
+        player.addEventListener('timeupdate', (event) => {
+            const { position, duration } = event.detail;
+            this.elements.replaySeek.max = duration;
+            this.elements.replaySeek.value = position;
+            this.elements.replayTime.textContent = `${this.formatReplayTime(position)} / ${this.formatReplayTime(duration)}`;
+        });
+        
+        player.addEventListener('play', () => {
+            this.elements.replayPlay.textContent = 'Pause';
+        });
+        
+        player.addEventListener('pause', () => {
+            this.elements.replayPlay.textContent = 'Play';
+        });
+    }
+    
+    async loadSessions() {
+        try {
+            const response = await fetch(`/api/sessions?room=${encodeURIComponent(this.state.currentRoom)}`);
+            const { sessions } = await response.json();
+            
+            const select = this.elements.sessionSelect;
+            const selected = select.value;
+            select.innerHTML = '';
+            
+            sessions.forEach(session => {
+                const option = document.createElement('option');
+                const started = new Date(session.startedAt).toLocaleString();
+                const frames = session.frames !== null ? `${session.frames} frames` : 'incomplete';
+                option.value = session.id;
+                option.textContent = `${started} · ${session.active ? 'recording' : frames}`;
+                select.appendChild(option);
+            });
+            
+            if (sessions.some(session => session.id === selected)) {
+                select.value = selected;
+            }
+            
+            const hasSessions = sessions.length > 0;
+            this.elements.toggleReplay.disabled = !hasSessions && !this.state.replaying;
+            this.elements.downloadSession.disabled = !hasSessions;
+            this.elements.deleteSession.disabled = !hasSessions;
+        } catch (error) {
+            this.logger.warn('Failed to load recorded sessions:', error);
+        }
+    }
+    
+    async toggleReplay() {
+        if (this.state.replaying) {
+            this.stopReplay();
+            return;
+        }
+        
+        const sessionId = this.elements.sessionSelect.value;
+        if (!sessionId) return;
+        
+        try {
+            // Live results are ignored while the overlay shows the recording
+            this.state.replaying = true;
+            this.overlayRenderer.clear();
+            await this.sessionPlayer.load(sessionId);
+            
+            this.elements.toggleReplay.textContent = 'Exit Replay';
+            this.elements.replayPlay.disabled = false;
+            this.elements.replaySeek.disabled = false;
+            this.logger.info(`Replaying session ${sessionId} (${this.sessionPlayer.frames.length} frames)`);
+            this.sessionPlayer.play();
+        } catch (error) {
+            this.logger.error('Failed to replay session:', error);
+            this.stopReplay();
+        }
+    }
+    
+    stopReplay() {
+        this.sessionPlayer.unload();
+        this.state.replaying = false;
+        
+        this.overlayRenderer.setBackgroundImage(null);
+        this.overlayRenderer.clear();
+        
+        this.elements.toggleReplay.textContent = 'Replay';
+        this.elements.replayPlay.disabled = true;
+        this.elements.replayPlay.textContent = 'Play';
+        this.elements.replaySeek.disabled = true;
+        this.elements.replaySeek.value = 0;
+        this.elements.replayTime.textContent = '0:00 / 0:00';
+    }
+    
+    downloadSession() {
+        const sessionId = this.elements.sessionSelect.value;
+        if (!sessionId) return;
+        
+        const link = document.createElement('a');
+        link.href = `/api/sessions/${encodeURIComponent(sessionId)}/download`;
+        link.download = `${sessionId}.jsonl`;
+        link.click();
+    }
+    
+    async deleteSession() {
+        const sessionId = this.elements.sessionSelect.value;
+        if (!sessionId || !confirm(`Delete recorded session ${sessionId}?`)) return;
+        
+        try {
+            if (this.state.replaying && this.sessionPlayer.session?.id === sessionId) {
+                this.stopReplay();
+            }
+            
+            const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Delete failed: ${response.status}`);
+            }
+            await this.loadSessions();
+        } catch (error) {
+            this.logger.error('Failed to delete session:', error);
+        }
+    }
+    
+    formatReplayTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    handleFrameDropped(drop) {
+        // The server is shedding frames; ask the phone to send fewer
+        this.logger.warn('Frame dropped by server:', drop.reason);
+        this.webrtcManager.sendDataChannelMessage({
+            type: 'detection-dropped',
+            frameId: drop.frameId,
+            reason: drop.reason
+        });
     }
     
     handleDataChannelMessage(message) {
         try {
+            if (isFrameMessage(message)) {
+                // Binary frame chunk; process once the whole frame has arrived
+                const frame = this.frameAssembler.push(message);
+                if (frame && this.acceptsPhoneFrames()) {
+                    this.processFrame({ type: 'frame', ...frame });
+                }
+                return;
+            }
+            
             const data = JSON.parse(message);
             
             if (data.type === 'frame') {
+                // Frames are taken from the video track (or a local file) instead
+                if (!this.acceptsPhoneFrames()) return;
                 this.processFrame(data);
             } else if (data.type === 'metrics') {
                 this.updateMetrics(data.metrics);
@@ -268,14 +611,32 @@ class DesktopApp {
         }
     }
     
+    acceptsPhoneFrames() {
+        return this.config.frameSource !== 'video' && !this.state.fileSource;
+    }
+    
     async processFrame(frameData) {
-        if (!this.state.detectionActive) return;
+        if (!this.state.detectionActive || this.state.replaying) return null;
         
         try {
             const result = await this.detectionManager.detectObjects(frameData);
+            if (!result) return null;
             
             // Render overlays
-            this.overlayRenderer.renderDetections(result.detections);
+            this.overlayRenderer.renderDetections(result.detections, result.captureTs);
+            
+            // Browser-side results never reach the server; report them for metrics, zones, alerts and recording
+            if (this.config.mode === 'wasm') {
+                this.socket.emit('detection-report', {
+                    roomId: this.state.currentRoom,
+                    model: this.detectionManager.modelName,
+                    frame_id: result.frameId,
+                    capture_ts: result.captureTs,
+                    recv_ts: result.recvTs,
+                    inference_ts: result.inferenceTs,
+                    detections: result.detections
+                });
+            }
             
             // Update metrics
             this.metricsDisplay.recordFrame(result);
@@ -283,8 +644,186 @@ class DesktopApp {
             // Update UI
             this.updateFrameInfo(result);
             
+            return result;
         } catch (error) {
             this.logger.error('Frame processing error:', error);
+            return null;
+        }
+    }
+    
+    async openFileSource(files) {
+        try {
+            this.closeFileSource();
+            this.fileSource.load(files);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        
+        if (this.state.replaying) {
+            this.stopReplay();
+        }
+        
+        this.state.fileSource = this.fileSource.type;
+        this.elements.closeFile?.classList.remove('hidden');
+        this.logger.info(`Running detection on ${this.fileSource.name}`);
+        
+        if (!this.state.detectionActive) {
+            this.state.detectionActive = true;
+            this.elements.toggleDetection.textContent = 'Stop Detection';
+        }
+        
+        this.stopVideoSampling();
+        this.overlayRenderer.clear();
+        
+        const video = this.elements.remoteVideo;
+        if (this.fileSource.type === 'video') {
+            // Same sampling path as the WebRTC track, just with a local source
+            video.srcObject = null;
+            video.src = this.fileSource.url;
+            video.addEventListener('ended', () => {
+                this.logger.info(`Finished ${this.fileSource.name || 'video file'}`);
+            }, { once: true });
+            
+            try {
+                await video.play();
+            } catch (error) {
+                this.logger.error('Failed to play video file:', error);
+            }
+            this.startVideoSampling();
+            return;
+        }
+        
+        let previous = null;
+        this.fileSource.addEventListener('ended', (event) => {
+            this.logger.info(`Processed ${event.detail.total} image(s)`);
+        }, { once: true });
+        
+        await this.fileSource.runImages(async ({ bitmap, file, index }) => {
+            const frame = {
+                type: 'frame',
+                frameId: Date.now(),
+                captureTs: this.clock.now(),
+                width: bitmap.width,
+                height: bitmap.height,
+                source: bitmap
+            };
+            
+            // The detector rate-limits itself; wait it out instead of skipping images
+            let result = null;
+            for (let attempt = 0; attempt < 3 && !result && this.state.fileSource === 'images'; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, this.detectionManager.frameInterval));
+                result = await this.processFrame(frame);
+            }
+            
+            if (!result) {
+                this.logger.warn(`No detection result for ${file.name} (${index + 1})`);
+            }
+            
+            // Keep the image on screen under its boxes until the next one is ready
+            this.overlayRenderer.setBackgroundImage(bitmap);
+            if (previous) previous.close();
+            previous = bitmap;
+        });
+    }
+    
+    closeFileSource() {
+        if (!this.state.fileSource) return;
+        
+        const wasVideo = this.state.fileSource === 'video';
+        this.state.fileSource = null;
+        this.fileSource.close();
+        this.elements.closeFile?.classList.add('hidden');
+        
+        this.overlayRenderer.setBackgroundImage(null);
+        this.overlayRenderer.clear();
+        
+        const video = this.elements.remoteVideo;
+        if (wasVideo) {
+            this.stopVideoSampling();
+            video.removeAttribute('src');
+            video.load();
+        }
+        
+        // Back to the phone, if one is connected
+        video.srcObject = this.remoteStream;
+        if (this.remoteStream && this.config.frameSource === 'video') {
+            this.startVideoSampling();
+        }
+    }
+    
+    startVideoSampling() {
+        const video = this.elements.remoteVideo;
+        if (!video || this.state.videoSampling) return;
+        
+        this.state.videoSampling = true;
+        
+        // requestVideoFrameCallback fires once per decoded frame; fall back to rAF without it
+        const useFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+        this.logger.info(`Sampling remote video for detection (${useFrameCallback ? 'requestVideoFrameCallback' : 'requestAnimationFrame'})`);
+        
+        const onFrame = (now, metadata) => {
+            if (!this.state.videoSampling) return;
+            this.sampleVideoFrame(video, metadata);
+            schedule();
+        };
+        
+        const schedule = () => {
+            this.videoFrameHandle = useFrameCallback
+                ? video.requestVideoFrameCallback(onFrame)
+                : requestAnimationFrame((now) => onFrame(now, null));
+        };
+        
+        schedule();
+    }
+    
+    stopVideoSampling() {
+        if (!this.state.videoSampling) return;
+        
+        const video = this.elements.remoteVideo;
+        if (this.videoFrameHandle !== null) {
+            if (typeof video?.cancelVideoFrameCallback === 'function') {
+                video.cancelVideoFrameCallback(this.videoFrameHandle);
+            } else {
+                cancelAnimationFrame(this.videoFrameHandle);
+            }
+        }
+        
+        this.videoFrameHandle = null;
+        this.state.videoSampling = false;
+    }
+    
+    async sampleVideoFrame(video, metadata) {
+        // One frame in flight at a time; frames presented meanwhile are skipped
+        if (!this.state.detectionActive || this.state.videoFrameInFlight) return;
+        if (video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return;
+        
+        this.state.videoFrameInFlight = true;
+        let bitmap = null;
+        
+        try {
+            // Snapshot the frame; the element keeps playing while inference runs
+            bitmap = await createImageBitmap(video);
+            
+            // captureTime is the sender's capture time mapped onto our performance
+            // clock (remote WebRTC tracks only); shift it onto the server timebase
+            const captureTs = metadata && metadata.captureTime
+                ? this.clock.toServerTime(Math.round(performance.timeOrigin + metadata.captureTime))
+                : this.clock.now();
+            
+            await this.processFrame({
+                type: 'frame',
+                frameId: Date.now(),
+                captureTs,
+                width: bitmap.width,
+                height: bitmap.height,
+                source: bitmap
+            });
+        } catch (error) {
+            this.logger.error('Video frame sampling error:', error);
+        } finally {
+            if (bitmap) bitmap.close();
+            this.state.videoFrameInFlight = false;
         }
     }
     
@@ -300,6 +839,17 @@ class DesktopApp {
         }
     }
     
+    async loadZones() {
+        try {
+            const response = await fetch(`/api/rooms/${encodeURIComponent(this.state.currentRoom)}/zones`);
+            const data = await response.json();
+            this.overlayRenderer.setZones(data.zones);
+            this.logger.info(`Loaded ${data.zones.length} zone(s) for ${this.state.currentRoom}`);
+        } catch (error) {
+            this.logger.warn('Failed to load zones:', error);
+        }
+    }
+    
     async generateQRCode() {
         try {
             const response = await fetch('/qr');
@@ -355,7 +905,7 @@ class DesktopApp {
         // Create mock frame data
         const mockFrameData = {
             frameId: Date.now(),
-            captureTs: Date.now(),
+            captureTs: this.clock.now(),
             imageData: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAYEBQYFBAYGBQYHBwYIChAKCgkJChQODwwQFxQYGBcUFhYaHSUfGhsjHBYWICwgIyYnKSopGR8tMC0oMCUoKSj/2wBDAQcHBwoIChMKChMoGhYaKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCj/wAARCAABAAEDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAv/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAAAAX/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCdABmX/9k='
         };
 
@@ -489,6 +1039,14 @@ class DesktopApp {
             this.elements.modeIndicator.textContent = this.config.mode.toUpperCase();
         }
         
+        // Update model indicator
+        if (this.elements.modelIndicator) {
+            const model = this.config.mode === 'wasm'
+                ? this.detectionManager?.modelName
+                : this.config.model;
+            this.elements.modelIndicator.textContent = model || '-';
+        }
+        
         // Update connection status
         this.updateConnectionStatus();
         
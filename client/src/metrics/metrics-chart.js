@@ -0,0 +1,440 @@
+/**
+ * Metrics Chart
+ * Lightweight rolling canvas chart with bands, hover tooltips, pause and wheel zoom
+ */
+
+const MIN_WINDOW_MS = 10 * 1000;
+const PADDING = { top: 26, right: 12, bottom: 20, left: 44 };
+
+const GRID_COLOR = '#e2e8f0';
+const TEXT_COLOR = '#64748b';
+const FONT = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+// Round an axis maximum up to 1, 2, 2.5 or 5 times a power of ten
+function niceCeil(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 2.5, 5, 10].find(candidate => value / magnitude <= candidate);
+    return step * magnitude;
+}
+
+function formatValue(value, decimals) {
+    if (!Number.isFinite(value)) return '-';
+    return value.toFixed(decimals);
+}
+
+class MetricsChart {
+    /**
+     * series: [{ key, label, color, fillTo? }] - a series with fillTo is drawn as
+     * a band between its own values and those of the fillTo series.
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.title = options.title || '';
+        this.unit = options.unit || '';
+        this.decimals = options.decimals ?? 0;
+        this.series = options.series || [];
+        this.capacity = options.capacity || 900;
+        this.gapMs = options.gapMs || 3000;
+
+        this.points = [];          // live samples: { t, values }
+        this.snapshot = null;      // fixed data such as server history: { points, end, gapMs, message }
+
+        this.range = options.range || 60 * 1000;   // selected span
+        this.window = this.range;                   // visible span after zooming
+        this.paused = false;
+        this.pausedAt = null;
+        this.hoverX = null;
+
+        this.width = 0;
+        this.height = 0;
+
+        this.bindEvents();
+        this.resize();
+    }
+
+    bindEvents() {
+        this.listeners = {
+            mousemove: (event) => {
+                this.hoverX = event.offsetX;
+                this.render();
+            },
+            mouseleave: () => {
+                this.hoverX = null;
+                this.render();
+            },
+            wheel: (event) => {
+                event.preventDefault();
+                const factor = event.deltaY > 0 ? 1.25 : 0.8;
+                this.window = Math.min(this.range, Math.max(MIN_WINDOW_MS, this.window * factor));
+                this.render();
+            },
+            dblclick: () => {
+                this.window = this.range;
+                this.render();
+            }
+        };
+
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            this.canvas.addEventListener(type, listener, type === 'wheel' ? { passive: false } : undefined);
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => {
+                this.resize();
+                this.render();
+            });
+            this.resizeObserver.observe(this.canvas);
+        }
+    }
+
+    resize() {
+        const dpr = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+
+        this.width = rect.width;
+        this.height = rect.height;
+        this.canvas.width = Math.round(rect.width * dpr);
+        this.canvas.height = Math.round(rect.height * dpr);
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    hasSeries(key) {
+        return this.series.some(series => series.key === key);
+    }
+
+    addSeries(series) {
+        if (!this.hasSeries(series.key)) {
+            this.series.push(series);
+        }
+    }
+
+    push(t, values) {
+        this.points.push({ t, values });
+        if (this.points.length > this.capacity) {
+            this.points.shift();
+        }
+    }
+
+    /**
+     * Show fixed points (e.g. server history) ending at `end` instead of the live buffer.
+     */
+    setSnapshot(points, { end, gapMs, message = null } = {}) {
+        this.snapshot = { points, end, gapMs: gapMs || this.gapMs, message };
+        this.render();
+    }
+
+    clearSnapshot() {
+        this.snapshot = null;
+        this.render();
+    }
+
+    setRange(range) {
+        this.range = range;
+        this.window = range;
+        this.render();
+    }
+
+    pause() {
+        this.paused = true;
+        this.pausedAt = Date.now();
+    }
+
+    resume() {
+        this.paused = false;
+        this.pausedAt = null;
+        this.render();
+    }
+
+    clear() {
+        this.points = [];
+        this.snapshot = null;
+        this.series = this.series.filter(series => !series.dynamic);
+        this.render();
+    }
+
+    getViewEnd() {
+        if (this.snapshot) return this.snapshot.end;
+        return this.paused ? this.pausedAt : Date.now();
+    }
+
+    /**
+     * Visible points plus one on each side so lines run to the plot edges.
+     */
+    getVisiblePoints(start, end) {
+        const points = this.snapshot ? this.snapshot.points : this.points;
+        const inside = points.findIndex(point => point.t >= start);
+        const first = inside === -1 ? Math.max(0, points.length - 1) : Math.max(0, inside - 1);
+        let last = points.length;
+        while (last > 0 && points[last - 1].t > end) last--;
+        return points.slice(first, Math.min(points.length, last + 1));
+    }
+
+    render() {
+        const { ctx, width, height } = this;
+        if (width <= 0 || height <= 0) return;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = FONT;
+
+        const end = this.getViewEnd();
+        const start = end - this.window;
+        const plot = {
+            x: PADDING.left,
+            y: PADDING.top,
+            w: width - PADDING.left - PADDING.right,
+            h: height - PADDING.top - PADDING.bottom
+        };
+        if (plot.w <= 0 || plot.h <= 0) return;
+
+        const points = this.getVisiblePoints(start, end);
+
+        let max = 0;
+        points.forEach((point) => {
+            this.series.forEach((series) => {
+                const value = point.values[series.key];
+                if (Number.isFinite(value)) max = Math.max(max, value);
+            });
+        });
+        const yMax = max > 0 ? niceCeil(max) : 1;
+
+        const scale = {
+            x: t => plot.x + ((t - start) / this.window) * plot.w,
+            y: value => plot.y + plot.h - (value / yMax) * plot.h
+        };
+
+        this.drawAxes(plot, yMax, start, end);
+        this.drawLegend(plot);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.x, plot.y, plot.w, plot.h);
+        ctx.clip();
+
+        const gapMs = this.snapshot ? this.snapshot.gapMs : this.gapMs;
+        this.series.filter(series => series.fillTo).forEach(series => this.drawBand(points, series, scale, gapMs));
+        this.series.filter(series => !series.fillTo).forEach(series => this.drawLine(points, series, scale, gapMs));
+        ctx.restore();
+
+        if (points.length === 0 || (this.snapshot && this.snapshot.message)) {
+            ctx.fillStyle = TEXT_COLOR;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText((this.snapshot && this.snapshot.message) || 'No data', plot.x + plot.w / 2, plot.y + plot.h / 2);
+        }
+
+        if (this.paused && !this.snapshot) {
+            ctx.fillStyle = TEXT_COLOR;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText('⏸ paused', plot.x + plot.w - 4, plot.y + 4);
+        }
+
+        if (this.hoverX !== null && this.hoverX >= plot.x && this.hoverX <= plot.x + plot.w) {
+            this.drawTooltip(points, plot, scale, start);
+        }
+    }
+
+    drawAxes(plot, yMax, start, end) {
+        const { ctx } = this;
+
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        for (let i = 0; i <= 4; i++) {
+            const value = (yMax / 4) * i;
+            const y = Math.round(plot.y + plot.h - (plot.h / 4) * i) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(plot.x, y);
+            ctx.lineTo(plot.x + plot.w, y);
+            ctx.stroke();
+            ctx.fillText(formatValue(value, yMax < 4 ? 1 : 0), plot.x - 6, y);
+        }
+
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(new Date(start).toLocaleTimeString(), plot.x, plot.y + plot.h + 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(new Date(end).toLocaleTimeString(), plot.x + plot.w, plot.y + plot.h + 4);
+    }
+
+    drawLegend(plot) {
+        const { ctx } = this;
+
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = TEXT_COLOR;
+
+        const title = this.unit ? `${this.title} (${this.unit})` : this.title;
+        ctx.fillText(title, 4, 10);
+
+        // Legend entries right-aligned on the title row; ones that don't fit are left out
+        let x = plot.x + plot.w;
+        for (const series of [...this.series].reverse()) {
+            const textWidth = ctx.measureText(series.label).width;
+            const entryWidth = textWidth + 14;
+            if (x - entryWidth < ctx.measureText(title).width + 16) break;
+
+            x -= entryWidth;
+            ctx.fillStyle = series.color;
+            ctx.globalAlpha = series.fillTo ? 0.35 : 1;
+            ctx.fillRect(x, 6, 8, 8);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = TEXT_COLOR;
+            ctx.fillText(series.label, x + 11, 10);
+            x -= 8;
+        }
+    }
+
+    /**
+     * Split points into runs of consecutive finite values without time gaps.
+     */
+    getRuns(points, keys, gapMs) {
+        const runs = [];
+        let run = [];
+
+        points.forEach((point, i) => {
+            const complete = keys.every(key => Number.isFinite(point.values[key]));
+            const gap = i > 0 && point.t - points[i - 1].t > gapMs;
+
+            if (!complete || gap) {
+                if (run.length > 0) runs.push(run);
+                run = [];
+            }
+            if (complete) run.push(point);
+        });
+
+        if (run.length > 0) runs.push(run);
+        return runs;
+    }
+
+    drawLine(points, series, scale, gapMs) {
+        const { ctx } = this;
+
+        ctx.strokeStyle = series.color;
+        ctx.fillStyle = series.color;
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+
+        this.getRuns(points, [series.key], gapMs).forEach((run) => {
+            if (run.length === 1) {
+                ctx.fillRect(scale.x(run[0].t) - 1.5, scale.y(run[0].values[series.key]) - 1.5, 3, 3);
+                return;
+            }
+
+            ctx.beginPath();
+            run.forEach((point, i) => {
+                const x = scale.x(point.t);
+                const y = scale.y(point.values[series.key]);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+    }
+
+    drawBand(points, series, scale, gapMs) {
+        const { ctx } = this;
+
+        ctx.fillStyle = series.color;
+        ctx.globalAlpha = 0.2;
+
+        this.getRuns(points, [series.key, series.fillTo], gapMs).forEach((run) => {
+            ctx.beginPath();
+            run.forEach((point, i) => {
+                const x = scale.x(point.t);
+                const y = scale.y(point.values[series.key]);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            [...run].reverse().forEach((point) => {
+                ctx.lineTo(scale.x(point.t), scale.y(point.values[series.fillTo]));
+            });
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        ctx.globalAlpha = 1;
+    }
+
+    drawTooltip(points, plot, scale, start) {
+        const { ctx } = this;
+
+        const t = start + ((this.hoverX - plot.x) / plot.w) * this.window;
+        let nearest = null;
+        points.forEach((point) => {
+            if (!nearest || Math.abs(point.t - t) < Math.abs(nearest.t - t)) nearest = point;
+        });
+        if (!nearest) return;
+
+        const x = scale.x(nearest.t);
+        if (x < plot.x || x > plot.x + plot.w) return;
+
+        ctx.strokeStyle = TEXT_COLOR;
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(Math.round(x) + 0.5, plot.y);
+        ctx.lineTo(Math.round(x) + 0.5, plot.y + plot.h);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+
+        const time = this.window > 6 * 60 * 60 * 1000
+            ? new Date(nearest.t).toLocaleString()
+            : new Date(nearest.t).toLocaleTimeString();
+        const lines = [{ text: time, color: null }];
+        this.series.forEach((series) => {
+            const value = nearest.values[series.key];
+            if (value === undefined) return;
+            lines.push({ text: `${series.label}: ${formatValue(value, this.decimals)} ${this.unit}`.trim(), color: series.color });
+
+            if (Number.isFinite(value)) {
+                ctx.fillStyle = series.color;
+                ctx.beginPath();
+                ctx.arc(x, scale.y(value), 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+
+        const lineHeight = 14;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line.text).width)) + (lines.length > 1 ? 22 : 12);
+        const boxHeight = lines.length * lineHeight + 8;
+        let boxX = x + 10;
+        if (boxX + boxWidth > plot.x + plot.w) boxX = x - 10 - boxWidth;
+        const boxY = plot.y + 4;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.strokeRect(boxX + 0.5, boxY + 0.5, boxWidth - 1, boxHeight - 1);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        lines.forEach((line, i) => {
+            const y = boxY + 4 + lineHeight * i + lineHeight / 2;
+            let textX = boxX + 6;
+            if (line.color) {
+                ctx.fillStyle = line.color;
+                ctx.fillRect(textX, y - 4, 8, 8);
+                textX += 12;
+            }
+            ctx.fillStyle = line.color ? '#1e293b' : TEXT_COLOR;
+            ctx.fillText(line.text, textX, y);
+        });
+    }
+
+    destroy() {
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            this.canvas.removeEventListener(type, listener);
+        });
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+    }
+}
+
+export { MetricsChart };
@@ -3,6 +3,18 @@
  * Handles real-time metrics collection and display
  */
 
+import { MetricsChart } from './metrics-chart.js';
+
+// Ranges up to this are charted from the local 1s buffer; longer ones from server history
+const LIVE_RANGE_MS = 15 * 60 * 1000;
+const HISTORY_REFRESH_MS = 30 * 1000;
+
+const MAX_CLASS_SERIES = 8;
+const CLASS_COLORS = [
+    '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#F7DC6F',
+    '#DDA0DD', '#98D8C8', '#BB8FCE', '#85C1E9', '#FFEAA7'
+];
+
 class MetricsDisplay {
     constructor(socket) {
         this.socket = socket;
@@ -11,7 +23,8 @@ class MetricsDisplay {
             latencies: [],
             fps: 0,
             bandwidth: { uplink: 0, downlink: 0 },
-            system: { cpu: 0, memory: 0 }
+            system: { cpu: 0, memory: 0 },
+            transport: null
         };
         
         this.startTime = Date.now();
@@ -22,6 +35,13 @@ class MetricsDisplay {
         this.updateInterval = null;
         this.elements = {};
         
+        // Rolling charts, fed one aggregated sample per second
+        this.charts = {};
+        this.chartSample = this.createChartSample();
+        this.chartRange = 60 * 1000;
+        this.chartsPaused = false;
+        this.historyLoadedAt = 0;
+        
         this.bindElements();
     }
     
@@ -35,12 +55,21 @@ class MetricsDisplay {
         this.elements.cpuUsage = document.getElementById('cpu-usage');
         this.elements.memoryUsage = document.getElementById('memory-usage');
         this.elements.fpsCounter = document.getElementById('fps-counter');
+        
+        // Chart canvases
+        this.elements.latencyChart = document.getElementById('latency-chart');
+        this.elements.fpsChart = document.getElementById('fps-chart');
+        this.elements.bandwidthChart = document.getElementById('bandwidth-chart');
+        this.elements.detectionsChart = document.getElementById('detections-chart');
     }
     
     initialize() {
+        this.createCharts();
+        
         // Start periodic updates
         this.updateInterval = setInterval(() => {
             this.updateDisplay();
+            this.updateCharts();
             this.requestServerMetrics();
         }, 1000);
         
@@ -64,7 +93,10 @@ class MetricsDisplay {
             inferenceTs: frameResult.inferenceTs,
             endToEndLatency: frameResult.endToEndLatency,
             processingTime: frameResult.processingTime,
-            detectionCount: frameResult.detections ? frameResult.detections.length : 0
+            detectionCount: frameResult.detections ? frameResult.detections.length : 0,
+            trackIds: frameResult.detections
+                ? frameResult.detections.map(detection => detection.trackId).filter(id => id != null)
+                : []
         };
         
         this.metrics.frames.push(frameData);
@@ -84,6 +116,17 @@ class MetricsDisplay {
             this.metrics.latencies.shift();
         }
         
+        // Accumulate the current chart sample
+        const sample = this.chartSample;
+        sample.frames++;
+        if (frameResult.endToEndLatency) {
+            sample.latencies.push(frameResult.endToEndLatency);
+        }
+        (frameResult.detections || []).forEach(detection => {
+            const key = this.getClassSeries(detection.label || 'unknown');
+            sample.classCounts[key] = (sample.classCounts[key] || 0) + 1;
+        });
+        
         // Update FPS
         this.updateFPS();
     }
@@ -165,11 +208,19 @@ class MetricsDisplay {
     
     updateServerMetrics(serverMetrics) {
         if (serverMetrics.bandwidth) {
-            this.metrics.bandwidth = serverMetrics.bandwidth;
+            this.metrics.bandwidth = {
+                uplink: serverMetrics.bandwidth.uplink.current,
+                downlink: serverMetrics.bandwidth.downlink.current
+            };
+            this.charts.bandwidth?.push(Date.now(), { ...this.metrics.bandwidth });
         }
         
         if (serverMetrics.system) {
-            this.metrics.system = serverMetrics.system;
+            // Server process CPU % over the last interval (100 = one core) and heap MB
+            this.metrics.system = {
+                cpu: serverMetrics.system.cpu.current,
+                memory: serverMetrics.system.memory.current
+            };
         }
         
         // Update display immediately
@@ -177,12 +228,186 @@ class MetricsDisplay {
         this.updateSystemDisplay();
     }
     
+    /**
+     * Latest interval from this browser's StatsPoller (bitrate, loss, jitter, RTT, frames).
+     */
+    recordTransportStats(report) {
+        this.metrics.transport = report;
+    }
+    
     requestServerMetrics() {
         if (this.socket && this.socket.connected) {
             this.socket.emit('get-metrics');
         }
     }
     
+    createCharts() {
+        const options = { range: this.chartRange, capacity: LIVE_RANGE_MS / 1000 };
+        
+        if (this.elements.latencyChart) {
+            this.charts.latency = new MetricsChart(this.elements.latencyChart, {
+                ...options,
+                title: 'End-to-End Latency',
+                unit: 'ms',
+                series: [
+                    { key: 'p95', label: 'P95', color: '#f59e0b', fillTo: 'median' },
+                    { key: 'median', label: 'Median', color: '#2563eb' }
+                ]
+            });
+        }
+        
+        if (this.elements.fpsChart) {
+            this.charts.fps = new MetricsChart(this.elements.fpsChart, {
+                ...options,
+                title: 'Processing FPS',
+                decimals: 1,
+                series: [{ key: 'fps', label: 'Processed', color: '#10b981' }]
+            });
+        }
+        
+        if (this.elements.bandwidthChart) {
+            this.charts.bandwidth = new MetricsChart(this.elements.bandwidthChart, {
+                ...options,
+                title: 'Bandwidth',
+                unit: 'kbps',
+                series: [
+                    { key: 'uplink', label: 'Up', color: '#2563eb' },
+                    { key: 'downlink', label: 'Down', color: '#8b5cf6' }
+                ]
+            });
+        }
+        
+        if (this.elements.detectionsChart) {
+            this.charts.detections = new MetricsChart(this.elements.detectionsChart, {
+                ...options,
+                title: 'Detections per Frame',
+                decimals: 1,
+                series: []
+            });
+        }
+    }
+    
+    createChartSample(now = Date.now()) {
+        return { startedAt: now, frames: 0, latencies: [], classCounts: {} };
+    }
+    
+    /**
+     * Series key for a detected class; classes beyond the first few share "other".
+     */
+    getClassSeries(label) {
+        const chart = this.charts.detections;
+        if (!chart || chart.hasSeries(label)) return label;
+        
+        const key = chart.series.length < MAX_CLASS_SERIES - 1 ? label : 'other';
+        chart.addSeries({
+            key,
+            label: key,
+            color: CLASS_COLORS[chart.series.length % CLASS_COLORS.length],
+            dynamic: true
+        });
+        return key;
+    }
+    
+    updateCharts() {
+        const now = Date.now();
+        const sample = this.chartSample;
+        const elapsed = (now - sample.startedAt) / 1000;
+        this.chartSample = this.createChartSample(now);
+        
+        if (this.charts.latency && sample.latencies.length > 0) {
+            const sorted = sample.latencies.sort((a, b) => a - b);
+            this.charts.latency.push(now, {
+                median: this.calculatePercentile(sorted, 50),
+                p95: this.calculatePercentile(sorted, 95)
+            });
+        }
+        
+        this.charts.fps?.push(now, { fps: elapsed > 0 ? sample.frames / elapsed : 0 });
+        
+        // Average objects per frame; known classes missing from this second count as 0
+        if (this.charts.detections && sample.frames > 0) {
+            const values = {};
+            this.charts.detections.series.forEach(series => {
+                values[series.key] = (sample.classCounts[series.key] || 0) / sample.frames;
+            });
+            this.charts.detections.push(now, values);
+        }
+        
+        if (this.chartRange > LIVE_RANGE_MS && !this.chartsPaused && now - this.historyLoadedAt >= HISTORY_REFRESH_MS) {
+            this.loadChartHistory();
+        }
+        
+        Object.values(this.charts).forEach(chart => chart.render());
+    }
+    
+    /**
+     * Visible span in ms. Ranges longer than the live buffer are loaded from server history.
+     */
+    setChartRange(range) {
+        this.chartRange = range;
+        Object.values(this.charts).forEach(chart => chart.setRange(range));
+        
+        if (range > LIVE_RANGE_MS) {
+            this.loadChartHistory();
+        } else {
+            Object.values(this.charts).forEach(chart => chart.clearSnapshot());
+        }
+    }
+    
+    async loadChartHistory() {
+        this.historyLoadedAt = Date.now();
+        
+        try {
+            const history = await this.fetchHistory({ from: `-${this.chartRange}` });
+            const gapMs = history.step * 2.5;
+            const points = (map) => history.points.map(point => ({ t: point.t, values: map(point) }));
+            
+            this.charts.latency?.setSnapshot(points(point => ({
+                median: point.latency?.p50,
+                p95: point.latency?.p95
+            })), { end: history.to, gapMs });
+            
+            this.charts.fps?.setSnapshot(points(point => ({ fps: point.fps })), { end: history.to, gapMs });
+            
+            this.charts.bandwidth?.setSnapshot(points(point => ({
+                uplink: point.uplinkKbps?.avg,
+                downlink: point.downlinkKbps?.avg
+            })), { end: history.to, gapMs });
+            
+            // Per-class counts are not kept server-side
+            this.charts.detections?.setSnapshot([], { end: history.to, message: 'Live ranges only' });
+        } catch (error) {
+            console.error('Failed to load metrics history:', error);
+        }
+    }
+    
+    toggleChartsPaused() {
+        this.chartsPaused = !this.chartsPaused;
+        Object.values(this.charts).forEach(chart => {
+            if (this.chartsPaused) chart.pause();
+            else chart.resume();
+        });
+        return this.chartsPaused;
+    }
+    
+    /**
+     * Load server metrics history for charting. from/to accept ms, ISO dates or
+     * "-15m"; step accepts ms or "30s", "5m", "1h". Resolves to { step, resolution, points }.
+     */
+    async fetchHistory({ from = '-1h', to, step } = {}) {
+        const params = new URLSearchParams({ from: String(from) });
+        if (to !== undefined) params.set('to', String(to));
+        if (step !== undefined) params.set('step', String(step));
+
+        const response = await fetch(`/api/metrics/history?${params}`);
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(`Failed to load metrics history: ${error || response.status}`);
+        }
+
+        return response.json();
+    }
+
     calculatePercentile(sortedArray, percentile) {
         if (sortedArray.length === 0) return 0;
         
@@ -253,6 +478,9 @@ class MetricsDisplay {
             cpu_usage_percent: this.metrics.system.cpu,
             memory_usage_mb: this.metrics.system.memory,
             
+            // This browser's peer connection over the last poll interval
+            webrtc: this.metrics.transport,
+            
             // Raw data for analysis
             recent_frames: this.metrics.frames.slice(-10),
             recent_latencies: this.metrics.latencies.slice(-10)
@@ -266,9 +494,14 @@ class MetricsDisplay {
         this.frameCount = 0;
         this.startTime = Date.now();
         this.lastUpdateTime = Date.now();
+        this.chartSample = this.createChartSample();
         
         // Clear display
         this.clearDisplay();
+        Object.values(this.charts).forEach(chart => chart.clear());
+        if (this.chartRange > LIVE_RANGE_MS) {
+            this.loadChartHistory();
+        }
         
         // Request server to reset metrics
         if (this.socket && this.socket.connected) {
@@ -308,6 +541,9 @@ class MetricsDisplay {
             this.updateInterval = null;
         }
         
+        Object.values(this.charts).forEach(chart => chart.destroy());
+        this.charts = {};
+        
         // Remove socket listeners
         if (this.socket) {
             this.socket.off('metrics-update');
@@ -318,7 +554,8 @@ class MetricsDisplay {
             latencies: [],
             fps: 0,
             bandwidth: { uplink: 0, downlink: 0 },
-            system: { cpu: 0, memory: 0 }
+            system: { cpu: 0, memory: 0 },
+            transport: null
         };
         
         console.log('Metrics display cleaned up');
@@ -4,6 +4,12 @@
  */
 
 import { io } from 'socket.io-client';
+import { encodeFrame, codecFromMimeType, getMimeType } from './webrtc/frame-codec.js';
+import { ClockSync } from './utils/clock-sync.js';
+import { StatsPoller } from './webrtc/stats-poller.js';
+
+// Skip capture while this much frame data is still queued on the data channel
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
 
 class PhoneApp {
     constructor() {
@@ -11,6 +17,8 @@ class PhoneApp {
         this.peerConnection = null;
         this.localStream = null;
         this.dataChannel = null;
+        this.clock = null;
+        this.statsPoller = null;
         
         this.config = {
             iceServers: [
@@ -24,14 +32,19 @@ class PhoneApp {
             fps: 15,
             quality: 'medium',
             showOverlay: true,
-            autoFocus: true
+            autoFocus: true,
+            frameCodec: 'jpeg', // 'jpeg' or 'webp' (server-side detection needs jpeg)
+            frameQuality: 0.8,
+            uploadFrames: true // Desktop turns this off when it detects on the video track
         };
         
         this.state = {
             connected: false,
             cameraActive: false,
             streaming: false,
-            currentCamera: 'user' // 'user' or 'environment'
+            currentCamera: 'user', // 'user' or 'environment'
+            sendBackoff: 1, // Frame interval multiplier, raised when the server drops frames
+            lastDropTs: 0
         };
         
         this.stats = {
@@ -172,6 +185,10 @@ class PhoneApp {
                 timeout: 10000
             });
             
+            // Frames are stamped on the server clock so latency is comparable across devices
+            this.clock = new ClockSync(this.socket, { clientType: 'phone' });
+            this.clock.start();
+            
             this.socket.on('connect', () => {
                 console.log('Socket connected');
                 this.state.connected = true;
@@ -221,6 +238,10 @@ class PhoneApp {
         
         // Setup socket handlers for WebRTC signaling
         this.setupSignalingHandlers();
+        
+        // Report measured bitrate, loss, jitter and RTT to the server
+        this.statsPoller = new StatsPoller(this.socket, () => this.peerConnection, { clientType: 'phone' });
+        this.statsPoller.start();
     }
     
     setupSignalingHandlers() {
@@ -304,9 +325,34 @@ class PhoneApp {
         if (data.type === 'detection-result') {
             this.renderDetections(data.detections);
             this.updateLatency(data.endToEndLatency);
+        } else if (data.type === 'detection-dropped') {
+            this.throttleFrames(data.reason);
+        } else if (data.type === 'config') {
+            if (typeof data.uploadFrames === 'boolean') {
+                this.settings.uploadFrames = data.uploadFrames;
+                console.log(`Frame upload ${data.uploadFrames ? 'enabled' : 'disabled'} by desktop`);
+            }
         }
     }
     
+    throttleFrames(reason) {
+        // Halve the send rate on each drop, down to 1/8 of the configured FPS
+        this.state.sendBackoff = Math.min(this.state.sendBackoff * 2, 8);
+        this.state.lastDropTs = Date.now();
+        console.log(`Server dropped a frame (${reason}), sending at 1/${this.state.sendBackoff} rate`);
+    }
+    
+    getFrameDelay() {
+        // Recover gradually: step the backoff down after every 2s without drops
+        const now = Date.now();
+        if (this.state.sendBackoff > 1 && now - this.state.lastDropTs > 2000) {
+            this.state.sendBackoff = Math.max(1, this.state.sendBackoff / 2);
+            this.state.lastDropTs = now;
+        }
+        
+        return (1000 / this.settings.fps) * this.state.sendBackoff;
+    }
+    
     joinRoom() {
         const roomId = 'main-room'; // Simple room for demo
         this.socket.emit('join-room', { roomId });
@@ -402,37 +448,44 @@ class PhoneApp {
             if (!this.state.cameraActive) return;
             
             const video = this.elements.localVideo;
-            if (video.readyState === video.HAVE_ENOUGH_DATA) {
+            if (this.settings.uploadFrames && video.readyState === video.HAVE_ENOUGH_DATA) {
                 canvas.width = video.videoWidth;
                 canvas.height = video.videoHeight;
                 ctx.drawImage(video, 0, 0);
                 
-                // Convert to base64
-                const imageData = canvas.toDataURL('image/jpeg', 0.8);
-                
-                // Send frame data
-                this.sendFrame(imageData);
+                // Encode straight to bytes; base64 would add a third on top
+                const width = canvas.width;
+                const height = canvas.height;
+                canvas.toBlob((blob) => {
+                    if (blob) this.sendFrame(blob, width, height);
+                }, getMimeType(this.settings.frameCodec), this.settings.frameQuality);
             }
             
             // Schedule next frame
-            setTimeout(captureFrame, 1000 / this.settings.fps);
+            setTimeout(captureFrame, this.getFrameDelay());
         };
         
         captureFrame();
     }
     
-    sendFrame(imageData) {
+    async sendFrame(blob, width, height) {
         if (!this.dataChannel || this.dataChannel.readyState !== 'open') return;
         
-        const frameData = {
-            type: 'frame',
-            frameId: Date.now(),
-            captureTs: Date.now(),
-            imageData: imageData
-        };
+        // The channel is still draining earlier frames; sending more only adds latency
+        if (this.dataChannel.bufferedAmount > MAX_BUFFERED_AMOUNT) return;
         
         try {
-            this.dataChannel.send(JSON.stringify(frameData));
+            const chunks = encodeFrame({
+                frameId: Date.now(),
+                captureTs: this.clock.now(),
+                width,
+                height,
+                // Browsers may fall back to PNG when the requested type is unsupported
+                codec: codecFromMimeType(blob.type) || this.settings.frameCodec,
+                payload: new Uint8Array(await blob.arrayBuffer())
+            });
+            
+            chunks.forEach(chunk => this.dataChannel.send(chunk));
             this.stats.framesSent++;
             this.updateStats();
         } catch (error) {
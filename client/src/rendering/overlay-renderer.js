@@ -3,6 +3,24 @@
  * Renders detection bounding boxes and labels on video overlay
  */
 
+function boxOf(detection) {
+    return {
+        xmin: detection.xmin,
+        ymin: detection.ymin,
+        xmax: detection.xmax,
+        ymax: detection.ymax
+    };
+}
+
+function mapBox(a, b, fn) {
+    return {
+        xmin: fn(a.xmin, b.xmin),
+        ymin: fn(a.ymin, b.ymin),
+        xmax: fn(a.xmax, b.xmax),
+        ymax: fn(a.ymax, b.ymax)
+    };
+}
+
 class OverlayRenderer {
     constructor(canvas, video) {
         this.canvas = canvas;
@@ -20,12 +38,26 @@ class OverlayRenderer {
             fontFamily: 'Arial, sans-serif',
             showLabels: true,
             showConfidence: true,
-            minConfidence: 0.3
+            minConfidence: 0.3,
+            smoothing: true,          // Interpolate boxes between detection results
+            fadeOutMs: 500,           // Grace period over which vanished boxes fade out
+            maxExtrapolationMs: 150   // How far past the latest result boxes may coast
         };
         
         this.lastDetections = [];
         this.animationFrame = null;
         
+        // Smoothed boxes keyed by trackId (or label + position when untracked)
+        this.smoothedBoxes = new Map();
+        this.lastCaptureTs = null;
+        
+        // Room zones/tripwires (normalized points) and their live counters by zone id
+        this.zones = [];
+        this.zoneCounts = {};
+        
+        // Image drawn under everything, e.g. a keyframe while replaying a session
+        this.backgroundImage = null;
+        
         this.setupCanvas();
     }
     
@@ -58,7 +90,7 @@ class OverlayRenderer {
         this.canvas.height = videoRect.height;
     }
     
-    renderDetections(detections) {
+    renderDetections(detections, captureTs = null) {
         if (!detections || !Array.isArray(detections)) {
             detections = [];
         }
@@ -69,6 +101,126 @@ class OverlayRenderer {
         );
         
         this.lastDetections = filteredDetections;
+        
+        if (!this.settings.smoothing) {
+            this.render();
+            return;
+        }
+        
+        this.updateSmoothedBoxes(filteredDetections, captureTs, performance.now());
+        this.startAnimation();
+    }
+    
+    updateSmoothedBoxes(detections, captureTs, now) {
+        // Time between the two results on the capture clock, i.e. how long the
+        // transition to the new boxes should take to keep pace with the video
+        const interval = captureTs !== null && this.lastCaptureTs !== null
+            ? captureTs - this.lastCaptureTs
+            : null;
+        const duration = interval !== null && interval > 0 ? Math.min(interval, 250) : 66;
+        if (captureTs !== null) this.lastCaptureTs = captureTs;
+        
+        const seen = new Set();
+        
+        detections.forEach((detection, index) => {
+            const key = detection.trackId !== undefined && detection.trackId !== null
+                ? `track:${detection.trackId}`
+                : `${detection.label}:${index}`;
+            seen.add(key);
+            
+            const target = boxOf(detection);
+            const entry = this.smoothedBoxes.get(key);
+            
+            if (!entry) {
+                this.smoothedBoxes.set(key, {
+                    detection,
+                    from: target,
+                    to: target,
+                    velocity: null,
+                    startTime: now,
+                    duration,
+                    missingSince: null
+                });
+                return;
+            }
+            
+            // Velocity (per ms of capture time) lets boxes keep moving until the next result
+            const velocity = interval !== null && interval > 0 && entry.missingSince === null
+                ? mapBox(target, entry.to, (a, b) => (a - b) / interval)
+                : null;
+            
+            entry.from = this.getSmoothedBox(entry, now);
+            entry.to = target;
+            entry.velocity = velocity;
+            entry.detection = detection;
+            entry.startTime = now;
+            entry.duration = duration;
+            entry.missingSince = null;
+        });
+        
+        // Boxes missing from this result start fading instead of popping out
+        for (const [key, entry] of this.smoothedBoxes) {
+            if (seen.has(key) || entry.missingSince !== null) continue;
+            entry.from = this.getSmoothedBox(entry, now);
+            entry.to = entry.from;
+            entry.velocity = null;
+            entry.startTime = now;
+            entry.missingSince = now;
+        }
+    }
+    
+    getSmoothedBox(entry, now) {
+        const elapsed = now - entry.startTime;
+        const progress = Math.min(1, elapsed / entry.duration);
+        
+        let target = entry.to;
+        if (entry.velocity) {
+            const coast = Math.min(elapsed, this.settings.maxExtrapolationMs);
+            target = mapBox(entry.to, entry.velocity, (position, speed) => position + speed * coast);
+        }
+        
+        return mapBox(entry.from, target, (a, b) => a + (b - a) * progress);
+    }
+    
+    getSmoothedDetections(now) {
+        const detections = [];
+        
+        for (const [key, entry] of this.smoothedBoxes) {
+            let opacity = 1;
+            if (entry.missingSince !== null) {
+                opacity = 1 - (now - entry.missingSince) / this.settings.fadeOutMs;
+                if (opacity <= 0) {
+                    this.smoothedBoxes.delete(key);
+                    continue;
+                }
+            }
+            
+            detections.push({
+                ...entry.detection,
+                ...this.getSmoothedBox(entry, now),
+                opacity
+            });
+        }
+        
+        return detections;
+    }
+    
+    setZones(zones) {
+        this.zones = zones || [];
+        this.zoneCounts = {};
+        this.zones.forEach(zone => {
+            this.zoneCounts[zone.id] = zone.counts || {};
+        });
+        this.render();
+    }
+    
+    setZoneCounts(counts) {
+        this.zoneCounts = { ...this.zoneCounts, ...counts };
+        this.render();
+    }
+    
+    setBackgroundImage(image) {
+        this.backgroundImage = image;
         this.render();
     }
     
@@ -78,7 +230,22 @@ class OverlayRenderer {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        if (this.lastDetections.length === 0) return;
+        if (this.backgroundImage) {
+            this.ctx.drawImage(this.backgroundImage, 0, 0, this.canvas.width, this.canvas.height);
+        }
+        
+        // Zones sit underneath the boxes and stay up between results
+        this.renderZones();
+        
+        const detections = this.settings.smoothing
+            ? this.getSmoothedDetections(performance.now())
+            : this.lastDetections;
+        
+        if (detections.length === 0) {
+            // Nothing left to animate until the next result
+            this.stopAnimation();
+            return;
+        }
         
         // Get video dimensions
         const videoWidth = this.video.videoWidth || this.video.clientWidth;
@@ -93,13 +260,15 @@ class OverlayRenderer {
         const scaleY = canvasHeight / videoHeight;
         
         // Render each detection
-        this.lastDetections.forEach((detection, index) => {
+        detections.forEach((detection, index) => {
+            this.ctx.globalAlpha = detection.opacity !== undefined ? detection.opacity : 1;
             this.renderDetection(detection, index, scaleX, scaleY);
         });
+        this.ctx.globalAlpha = 1;
     }
     
     renderDetection(detection, index, scaleX, scaleY) {
-        const { label, score, xmin, ymin, xmax, ymax } = detection;
+        const { label, score, xmin, ymin, xmax, ymax, trackId } = detection;
         
         // Convert normalized coordinates to canvas coordinates
         const x = xmin * this.canvas.width;
@@ -107,8 +276,11 @@ class OverlayRenderer {
         const width = (xmax - xmin) * this.canvas.width;
         const height = (ymax - ymin) * this.canvas.height;
         
-        // Get color for this detection
-        const color = this.colors[index % this.colors.length];
+        // Tracked objects keep their color across frames; untracked ones fall back to position
+        const hasTrack = trackId !== undefined && trackId !== null;
+        const color = hasTrack
+            ? this.colors[trackId % this.colors.length]
+            : this.colors[index % this.colors.length];
         
         // Set drawing style
         this.ctx.strokeStyle = color;
@@ -120,7 +292,7 @@ class OverlayRenderer {
         
         // Draw label background and text
         if (this.settings.showLabels) {
-            this.renderLabel(label, score, x, y, color);
+            this.renderLabel(hasTrack ? `${label} #${trackId}` : label, score, x, y, color);
         }
         
         // Draw confidence indicator
@@ -129,6 +301,105 @@ class OverlayRenderer {
         }
     }
     
+    renderZones() {
+        this.zones.forEach(zone => {
+            const color = zone.color || this.getColorForClass(zone.name);
+            const points = zone.points.map(point => ({
+                x: point.x * this.canvas.width,
+                y: point.y * this.canvas.height
+            }));
+            
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+            this.ctx.lineWidth = this.settings.lineWidth;
+            this.ctx.setLineDash([6, 4]);
+            
+            this.ctx.beginPath();
+            points.forEach((point, i) => (i === 0 ? this.ctx.moveTo(point.x, point.y) : this.ctx.lineTo(point.x, point.y)));
+            if (zone.type === 'polygon') {
+                this.ctx.closePath();
+                this.ctx.globalAlpha = 0.15;
+                this.ctx.fill();
+                this.ctx.globalAlpha = 1;
+            }
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            if (zone.type === 'tripwire') {
+                this.renderTripwireArrow(points[0], points[1], color);
+            }
+            
+            this.renderZoneCounters(zone, points[0], color);
+        });
+    }
+    
+    renderTripwireArrow(a, b, color) {
+        // Points to the side a 'forward' crossing moves into (right of a→b on screen)
+        const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        const nx = -(b.y - a.y) / length;
+        const ny = (b.x - a.x) / length;
+        const mx = (a.x + b.x) / 2;
+        const my = (a.y + b.y) / 2;
+        const tip = { x: mx + nx * 16, y: my + ny * 16 };
+        
+        this.ctx.strokeStyle = color;
+        this.ctx.beginPath();
+        this.ctx.moveTo(mx, my);
+        this.ctx.lineTo(tip.x, tip.y);
+        this.ctx.lineTo(tip.x - nx * 5 + ny * 5, tip.y - ny * 5 - nx * 5);
+        this.ctx.moveTo(tip.x, tip.y);
+        this.ctx.lineTo(tip.x - nx * 5 - ny * 5, tip.y - ny * 5 + nx * 5);
+        this.ctx.stroke();
+    }
+    
+    renderZoneCounters(zone, anchor, color) {
+        const counts = this.zoneCounts[zone.id] || {};
+        const lines = [zone.name];
+        
+        if (zone.type === 'polygon') {
+            const labels = new Set([
+                ...Object.keys(counts.occupancy || {}),
+                ...Object.keys(counts.enter || {}),
+                ...Object.keys(counts.exit || {})
+            ]);
+            labels.forEach(label => {
+                const inside = (counts.occupancy || {})[label] || 0;
+                const entered = (counts.enter || {})[label] || 0;
+                const exited = (counts.exit || {})[label] || 0;
+                lines.push(`${label}: ${inside} inside · ${entered} in · ${exited} out`);
+            });
+        } else {
+            const labels = new Set([
+                ...Object.keys(counts.forward || {}),
+                ...Object.keys(counts.backward || {})
+            ]);
+            labels.forEach(label => {
+                const forward = (counts.forward || {})[label] || 0;
+                const backward = (counts.backward || {})[label] || 0;
+                lines.push(`${label}: ${forward} → · ${backward} ←`);
+            });
+        }
+        
+        const fontSize = this.settings.fontSize - 2;
+        this.ctx.font = `${fontSize}px ${this.settings.fontFamily}`;
+        const width = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 8;
+        const height = lines.length * (fontSize + 4) + 4;
+        
+        // Keep the panel on screen even for zones drawn against the edges
+        const x = Math.min(Math.max(anchor.x, 0), Math.max(this.canvas.width - width, 0));
+        const y = Math.min(Math.max(anchor.y, 0), Math.max(this.canvas.height - height, 0));
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(x, y, 3, height);
+        
+        this.ctx.fillStyle = '#FFFFFF';
+        lines.forEach((line, i) => {
+            this.ctx.fillText(line, x + 6, y + (i + 1) * (fontSize + 4));
+        });
+    }
+    
     renderLabel(label, score, x, y, color) {
         const text = this.settings.showConfidence 
             ? `${label} ${(score * 100).toFixed(0)}%`
@@ -178,7 +449,10 @@ class OverlayRenderer {
         
         const animate = () => {
             this.render();
-            this.animationFrame = requestAnimationFrame(animate);
+            // render() stops the loop once there is nothing left to draw
+            if (this.animationFrame) {
+                this.animationFrame = requestAnimationFrame(animate);
+            }
         };
         
         this.animationFrame = requestAnimationFrame(animate);
@@ -197,6 +471,8 @@ class OverlayRenderer {
             this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         }
         this.lastDetections = [];
+        this.smoothedBoxes.clear();
+        this.lastCaptureTs = null;
     }
     
     updateSettings(newSettings) {
@@ -0,0 +1,193 @@
+/**
+ * Session Player
+ * Loads a recorded detection session (JSONL) and plays it back on its original timeline
+ */
+
+class SessionPlayer extends EventTarget {
+    constructor() {
+        super();
+        this.session = null;
+        this.frames = [];
+        this.keyframes = [];
+        this.duration = 0;
+
+        this.position = 0;      // ms since the session started
+        this.playing = false;
+        this.playbackRate = 1;
+
+        this.frameIndex = -1;
+        this.keyframeIndex = -1;
+        this.timer = null;
+        this.lastTick = 0;
+    }
+
+    async load(sessionId) {
+        this.pause();
+
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/download`);
+        if (!response.ok) {
+            throw new Error(`Failed to load session ${sessionId}: ${response.status}`);
+        }
+
+        this.parse(await response.text());
+        this.seek(0);
+
+        this.dispatchEvent(new CustomEvent('loaded', {
+            detail: { session: this.session, frames: this.frames.length, duration: this.duration }
+        }));
+    }
+
+    parse(text) {
+        this.session = null;
+        this.frames = [];
+        this.keyframes = [];
+
+        text.split('\n').forEach((line) => {
+            if (!line.trim()) return;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A session cut off mid-write ends with a partial line
+                return;
+            }
+
+            if (record.type === 'session') {
+                this.session = record;
+            } else if (record.type === 'frame') {
+                this.frames.push(record);
+            } else if (record.type === 'keyframe') {
+                this.keyframes.push(record);
+            }
+        });
+
+        const startedAt = this.session ? this.session.startedAt : (this.frames[0] ? this.frames[0].ts : 0);
+        this.frames.forEach(frame => { frame.offset = frame.ts - startedAt; });
+        this.keyframes.forEach(keyframe => { keyframe.offset = keyframe.ts - startedAt; });
+        this.duration = this.frames.length > 0 ? this.frames[this.frames.length - 1].offset : 0;
+    }
+
+    play() {
+        if (this.playing || this.frames.length === 0) return;
+
+        // Play from the start again once the end was reached
+        if (this.position >= this.duration) {
+            this.seek(0);
+        }
+
+        this.playing = true;
+        this.lastTick = performance.now();
+        this.timer = requestAnimationFrame(() => this.tick());
+        this.dispatchEvent(new CustomEvent('play'));
+    }
+
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        cancelAnimationFrame(this.timer);
+        this.timer = null;
+        this.dispatchEvent(new CustomEvent('pause'));
+    }
+
+    tick() {
+        if (!this.playing) return;
+
+        const now = performance.now();
+        this.advanceTo(this.position + (now - this.lastTick) * this.playbackRate);
+        this.lastTick = now;
+
+        if (this.position >= this.duration) {
+            this.pause();
+            this.dispatchEvent(new CustomEvent('ended'));
+            return;
+        }
+
+        this.timer = requestAnimationFrame(() => this.tick());
+    }
+
+    advanceTo(position) {
+        this.position = Math.min(Math.max(position, 0), this.duration);
+
+        // Emit every frame passed since the last tick so the overlay animates as it did live
+        while (this.frameIndex + 1 < this.frames.length && this.frames[this.frameIndex + 1].offset <= this.position) {
+            this.frameIndex++;
+            this.emitFrame(this.frames[this.frameIndex]);
+        }
+
+        this.updateKeyframe();
+        this.dispatchEvent(new CustomEvent('timeupdate', {
+            detail: { position: this.position, duration: this.duration }
+        }));
+    }
+
+    seek(position) {
+        this.position = Math.min(Math.max(position, 0), this.duration);
+        this.frameIndex = this.findIndex(this.frames, this.position);
+        this.keyframeIndex = -1;
+
+        this.dispatchEvent(new CustomEvent('seeked', { detail: { position: this.position } }));
+
+        if (this.frameIndex >= 0) {
+            this.emitFrame(this.frames[this.frameIndex]);
+        }
+        this.updateKeyframe();
+        this.dispatchEvent(new CustomEvent('timeupdate', {
+            detail: { position: this.position, duration: this.duration }
+        }));
+    }
+
+    updateKeyframe() {
+        const index = this.findIndex(this.keyframes, this.position);
+        if (index === this.keyframeIndex || index < 0) return;
+
+        this.keyframeIndex = index;
+        const keyframe = this.keyframes[index];
+        this.dispatchEvent(new CustomEvent('keyframe', {
+            detail: { frameId: keyframe.frame_id, src: `data:${keyframe.mime};base64,${keyframe.data}` }
+        }));
+    }
+
+    findIndex(records, position) {
+        // Last record at or before position (binary search; records are in time order)
+        let low = 0;
+        let high = records.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (records[mid].offset <= position) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    emitFrame(frame) {
+        this.dispatchEvent(new CustomEvent('frame', {
+            detail: {
+                frameId: frame.frame_id,
+                captureTs: frame.capture_ts,
+                detections: frame.detections || [],
+                position: frame.offset
+            }
+        }));
+    }
+
+    unload() {
+        this.pause();
+        this.session = null;
+        this.frames = [];
+        this.keyframes = [];
+        this.duration = 0;
+        this.position = 0;
+        this.frameIndex = -1;
+        this.keyframeIndex = -1;
+    }
+}
+
+export { SessionPlayer };
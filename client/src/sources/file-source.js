@@ -0,0 +1,95 @@
+/**
+ * File Source
+ * Feeds a local video file or a batch of images into detection instead of the phone camera
+ */
+
+class FileSource extends EventTarget {
+    constructor() {
+        super();
+        this.type = null;   // 'video' or 'images'
+        this.name = null;
+        this.url = null;
+        this.images = [];
+        this.running = false;
+    }
+
+    /**
+     * Select the files to play. A video wins over images if both are picked;
+     * images are processed in file name order.
+     */
+    load(fileList) {
+        this.close();
+
+        const files = Array.from(fileList || []);
+        const video = files.find(file => file.type.startsWith('video/'));
+
+        if (video) {
+            this.type = 'video';
+            this.name = video.name;
+            this.url = URL.createObjectURL(video);
+            return;
+        }
+
+        this.images = files
+            .filter(file => file.type.startsWith('image/'))
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+
+        if (this.images.length === 0) {
+            throw new Error('No video or image files selected');
+        }
+
+        this.type = 'images';
+        this.name = this.images.length === 1 ? this.images[0].name : `${this.images.length} images`;
+    }
+
+    /**
+     * Decode each image and hand it to processImage({ bitmap, file, index, total }),
+     * one at a time. The bitmap belongs to the caller.
+     */
+    async runImages(processImage) {
+        if (this.type !== 'images' || this.running) return;
+
+        this.running = true;
+        const total = this.images.length;
+
+        for (let index = 0; index < total && this.running; index++) {
+            const file = this.images[index];
+
+            try {
+                const bitmap = await createImageBitmap(file);
+                await processImage({ bitmap, file, index, total });
+            } catch (error) {
+                console.error(`Failed to process ${file.name}:`, error);
+            }
+
+            this.dispatchEvent(new CustomEvent('progress', {
+                detail: { index, total, name: file.name }
+            }));
+        }
+
+        const completed = this.running;
+        this.running = false;
+
+        if (completed) {
+            this.dispatchEvent(new CustomEvent('ended', { detail: { total } }));
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    close() {
+        this.stop();
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+        }
+
+        this.type = null;
+        this.name = null;
+        this.url = null;
+        this.images = [];
+    }
+}
+
+export { FileSource };
@@ -0,0 +1,116 @@
+/**
+ * Clock Sync
+ * NTP-style offset estimation against the server clock over Socket.IO
+ */
+
+class ClockSync extends EventTarget {
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.clientType = options.clientType || null;
+        this.samplesPerSync = options.samplesPerSync || 8;
+        this.syncInterval = options.syncInterval || 30000;
+        this.timeout = options.timeout || 2000;
+
+        // Server clock minus local clock, in ms; 0 until the first sync
+        this.offset = 0;
+        this.rtt = null;
+        this.synced = false;
+        this.lastSyncTime = 0;
+
+        this.timer = null;
+        this.onConnect = () => this.sync();
+    }
+
+    start() {
+        // Re-sync on every (re)connect, then periodically to follow drift
+        this.socket.on('connect', this.onConnect);
+        if (this.socket.connected) {
+            this.sync();
+        }
+
+        this.timer = setInterval(() => this.sync(), this.syncInterval);
+    }
+
+    stop() {
+        this.socket.off('connect', this.onConnect);
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    measure() {
+        return new Promise((resolve, reject) => {
+            const t0 = Date.now();
+
+            this.socket.timeout(this.timeout).emit('clock-sync', { t0 }, (error, reply) => {
+                const t3 = Date.now();
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                const { t1, t2 } = reply;
+                resolve({
+                    offset: ((t1 - t0) + (t2 - t3)) / 2,
+                    rtt: (t3 - t0) - (t2 - t1)
+                });
+            });
+        });
+    }
+
+    async sync() {
+        if (!this.socket.connected) return;
+
+        const samples = [];
+        for (let i = 0; i < this.samplesPerSync; i++) {
+            try {
+                samples.push(await this.measure());
+            } catch (error) {
+                // Lost or late reply; the remaining samples are enough
+            }
+        }
+
+        if (samples.length === 0) {
+            console.warn('Clock sync failed: no replies from server');
+            return;
+        }
+
+        // The sample with the smallest round trip has the least asymmetric delay
+        const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+
+        this.offset = Math.round(best.offset);
+        this.rtt = best.rtt;
+        this.synced = true;
+        this.lastSyncTime = Date.now();
+
+        this.socket.emit('clock-report', {
+            type: this.clientType,
+            offset: this.offset,
+            rtt: this.rtt
+        });
+
+        this.dispatchEvent(new CustomEvent('synced', {
+            detail: { offset: this.offset, rtt: this.rtt }
+        }));
+    }
+
+    now() {
+        // Current time on the server's timebase
+        return Date.now() + this.offset;
+    }
+
+    toServerTime(localTs) {
+        return localTs + this.offset;
+    }
+
+    getStatus() {
+        return {
+            synced: this.synced,
+            offset: this.offset,
+            rtt: this.rtt,
+            lastSyncTime: this.lastSyncTime
+        };
+    }
+}
+
+export { ClockSync };
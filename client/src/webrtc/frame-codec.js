@@ -0,0 +1,241 @@
+/**
+ * Frame Codec
+ * Compact binary framing for video frames sent over the data channel or Socket.IO
+ *
+ * Every chunk carries a 32-byte little-endian header followed by encoded image bytes:
+ *   0  'FRM'        magic
+ *   3  u8           version
+ *   4  u8           codec (1 = jpeg, 2 = webp, 3 = png)
+ *   5  u8           reserved
+ *   6  u16          chunk index
+ *   8  u16          chunk count
+ *   10 u16          width
+ *   12 u16          height
+ *   14 u16          reserved
+ *   16 f64          frameId
+ *   24 f64          captureTs
+ *
+ * Keep in sync with server/webrtc/frame-codec.js.
+ */
+
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 32;
+
+// 16 KiB messages pass through SCTP in every browser without fragmentation issues
+const DEFAULT_CHUNK_SIZE = 16 * 1024;
+
+const FRAME_CODECS = {
+    jpeg: 1,
+    webp: 2,
+    png: 3
+};
+
+const MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    png: 'image/png'
+};
+
+function codecFromMimeType(mimeType) {
+    const entry = Object.entries(MIME_TYPES).find(([, type]) => type === mimeType);
+    return entry ? entry[0] : null;
+}
+
+function getMimeType(codec) {
+    return MIME_TYPES[codec] || 'application/octet-stream';
+}
+
+function isFrameMessage(data) {
+    if (!(data instanceof ArrayBuffer) || data.byteLength < HEADER_SIZE) {
+        return false;
+    }
+
+    const bytes = new Uint8Array(data, 0, 4);
+    return bytes[0] === 0x46 && bytes[1] === 0x52 && bytes[2] === 0x4D && bytes[3] === FRAME_VERSION;
+}
+
+/**
+ * Encode a frame ({ frameId, captureTs, width, height, codec, payload }) into
+ * one or more ArrayBuffer messages of at most chunkSize bytes each.
+ */
+function encodeFrame(frame, chunkSize = DEFAULT_CHUNK_SIZE) {
+    const codecId = FRAME_CODECS[frame.codec];
+    if (!codecId) {
+        throw new Error(`Unsupported frame codec: ${frame.codec}`);
+    }
+
+    const payload = frame.payload instanceof Uint8Array
+        ? frame.payload
+        : new Uint8Array(frame.payload);
+    const chunkPayloadSize = Math.max(1, chunkSize - HEADER_SIZE);
+    const chunkCount = Math.max(1, Math.ceil(payload.byteLength / chunkPayloadSize));
+
+    if (chunkCount > 0xFFFF) {
+        throw new Error(`Frame too large: ${payload.byteLength} bytes`);
+    }
+
+    const chunks = [];
+    for (let index = 0; index < chunkCount; index++) {
+        const start = index * chunkPayloadSize;
+        const part = payload.subarray(start, Math.min(start + chunkPayloadSize, payload.byteLength));
+        const buffer = new ArrayBuffer(HEADER_SIZE + part.byteLength);
+        const view = new DataView(buffer);
+
+        view.setUint8(0, 0x46); // 'F'
+        view.setUint8(1, 0x52); // 'R'
+        view.setUint8(2, 0x4D); // 'M'
+        view.setUint8(3, FRAME_VERSION);
+        view.setUint8(4, codecId);
+        view.setUint16(6, index, true);
+        view.setUint16(8, chunkCount, true);
+        view.setUint16(10, frame.width || 0, true);
+        view.setUint16(12, frame.height || 0, true);
+        view.setFloat64(16, frame.frameId, true);
+        view.setFloat64(24, frame.captureTs, true);
+
+        new Uint8Array(buffer, HEADER_SIZE).set(part);
+        chunks.push(buffer);
+    }
+
+    return chunks;
+}
+
+function decodeChunk(buffer) {
+    if (!isFrameMessage(buffer)) {
+        throw new Error('Not a binary frame message');
+    }
+
+    const view = new DataView(buffer);
+    const codecId = view.getUint8(4);
+    const codec = Object.keys(FRAME_CODECS).find(name => FRAME_CODECS[name] === codecId);
+
+    if (!codec) {
+        throw new Error(`Unknown frame codec id: ${codecId}`);
+    }
+
+    return {
+        codec,
+        chunkIndex: view.getUint16(6, true),
+        chunkCount: view.getUint16(8, true),
+        width: view.getUint16(10, true),
+        height: view.getUint16(12, true),
+        frameId: view.getFloat64(16, true),
+        captureTs: view.getFloat64(24, true),
+        payload: new Uint8Array(buffer, HEADER_SIZE)
+    };
+}
+
+/**
+ * Reassembles chunked frames. push() returns the complete frame once its last
+ * chunk arrives, otherwise null. Partial frames older than a completed one are
+ * discarded, as are partials that stall for longer than timeoutMs.
+ */
+class FrameAssembler {
+    constructor(timeoutMs = 2000) {
+        this.timeoutMs = timeoutMs;
+        this.pending = new Map();
+        this.discarded = 0;
+    }
+
+    push(buffer) {
+        const chunk = decodeChunk(buffer);
+        const now = Date.now();
+
+        // A malformed or hostile header must not write past parts or leave holes in a frame
+        if (chunk.chunkCount === 0 || chunk.chunkIndex >= chunk.chunkCount) {
+            this.discarded++;
+            return null;
+        }
+
+        if (chunk.chunkCount === 1) {
+            this.discardOlderThan(chunk.frameId);
+            return this.toFrame(chunk, chunk.payload);
+        }
+
+        let entry = this.pending.get(chunk.frameId);
+        if (!entry) {
+            entry = {
+                chunk,
+                parts: new Array(chunk.chunkCount),
+                received: 0,
+                size: 0,
+                startedAt: now
+            };
+            this.pending.set(chunk.frameId, entry);
+        }
+
+        if (entry.chunk.chunkCount !== chunk.chunkCount) {
+            this.discarded++;
+            return null;
+        }
+
+        if (!entry.parts[chunk.chunkIndex]) {
+            entry.parts[chunk.chunkIndex] = chunk.payload;
+            entry.received++;
+            entry.size += chunk.payload.byteLength;
+        }
+
+        this.expire(now);
+
+        if (entry.received < chunk.chunkCount) {
+            return null;
+        }
+
+        this.pending.delete(chunk.frameId);
+        this.discardOlderThan(chunk.frameId);
+
+        const payload = new Uint8Array(entry.size);
+        let offset = 0;
+        for (const part of entry.parts) {
+            payload.set(part, offset);
+            offset += part.byteLength;
+        }
+
+        return this.toFrame(entry.chunk, payload);
+    }
+
+    toFrame(chunk, payload) {
+        return {
+            frameId: chunk.frameId,
+            captureTs: chunk.captureTs,
+            width: chunk.width,
+            height: chunk.height,
+            codec: chunk.codec,
+            payload
+        };
+    }
+
+    discardOlderThan(frameId) {
+        // A newer frame is complete, so older partial frames are no longer worth finishing
+        for (const id of Array.from(this.pending.keys())) {
+            if (id < frameId) {
+                this.pending.delete(id);
+                this.discarded++;
+            }
+        }
+    }
+
+    expire(now) {
+        for (const [id, entry] of Array.from(this.pending)) {
+            if (now - entry.startedAt > this.timeoutMs) {
+                this.pending.delete(id);
+                this.discarded++;
+            }
+        }
+    }
+
+    reset() {
+        this.pending.clear();
+    }
+}
+
+export {
+    FRAME_CODECS,
+    DEFAULT_CHUNK_SIZE,
+    codecFromMimeType,
+    getMimeType,
+    isFrameMessage,
+    encodeFrame,
+    decodeChunk,
+    FrameAssembler
+};
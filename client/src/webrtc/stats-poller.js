@@ -0,0 +1,206 @@
+/**
+ * Stats Poller
+ * Samples RTCPeerConnection stats, turns counters into per-interval rates and reports them over Socket.IO
+ */
+
+function kbps(bytes, intervalMs) {
+    return intervalMs > 0 ? (bytes * 8) / intervalMs : 0;
+}
+
+function round(value, decimals = 1) {
+    if (!Number.isFinite(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+function isVideo(report) {
+    return (report.kind || report.mediaType) === 'video';
+}
+
+class StatsPoller extends EventTarget {
+    /**
+     * getPeerConnection returns the current RTCPeerConnection (or null) on every
+     * poll, so a reconnect with a fresh connection is picked up automatically.
+     */
+    constructor(socket, getPeerConnection, options = {}) {
+        super();
+        this.socket = socket;
+        this.getPeerConnection = getPeerConnection;
+        this.clientType = options.clientType || null;
+        this.interval = options.interval || 2000;
+
+        this.timer = null;
+        this.peerConnection = null;
+        this.previous = null;
+        this.latest = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => {
+            this.poll().catch(error => console.warn('WebRTC stats poll failed:', error));
+        }, this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.previous = null;
+    }
+
+    async poll() {
+        const peerConnection = this.getPeerConnection();
+        if (!peerConnection || peerConnection.connectionState !== 'connected') {
+            this.previous = null;
+            return;
+        }
+
+        // Counters restart with a new connection
+        if (peerConnection !== this.peerConnection) {
+            this.peerConnection = peerConnection;
+            this.previous = null;
+        }
+
+        const totals = this.collect(await peerConnection.getStats());
+        const previous = this.previous;
+        this.previous = totals;
+
+        // The first sample of a connection only sets the baseline
+        if (!previous) return;
+
+        const report = this.compare(previous, totals);
+        this.latest = report;
+
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('webrtc-stats', { type: this.clientType, ...report });
+        }
+
+        this.dispatchEvent(new CustomEvent('stats', { detail: report }));
+    }
+
+    /**
+     * Cumulative counters from one getStats() call, summed over video streams and data channels.
+     */
+    collect(stats) {
+        const totals = {
+            timestamp: performance.now(),
+            outbound: { bytes: 0, packets: 0, frames: 0 },
+            inbound: { bytes: 0, packets: 0, packetsLost: 0, framesDecoded: 0, framesDropped: 0, jitter: null },
+            remoteInbound: { packetsLost: 0, jitter: null, rtt: null },
+            dataChannel: { bytesSent: 0, bytesReceived: 0, messagesSent: 0, messagesReceived: 0 },
+            candidatePair: null,
+            frameSize: null
+        };
+
+        let selectedPairId = null;
+        const pairs = [];
+
+        stats.forEach((report) => {
+            if (report.type === 'outbound-rtp' && isVideo(report)) {
+                totals.outbound.bytes += report.bytesSent || 0;
+                totals.outbound.packets += report.packetsSent || 0;
+                totals.outbound.frames += report.framesEncoded || 0;
+                if (report.frameWidth) totals.frameSize = { width: report.frameWidth, height: report.frameHeight };
+            } else if (report.type === 'inbound-rtp' && isVideo(report)) {
+                totals.inbound.bytes += report.bytesReceived || 0;
+                totals.inbound.packets += report.packetsReceived || 0;
+                totals.inbound.packetsLost += report.packetsLost || 0;
+                totals.inbound.framesDecoded += report.framesDecoded || 0;
+                totals.inbound.framesDropped += report.framesDropped || 0;
+                if (Number.isFinite(report.jitter)) totals.inbound.jitter = report.jitter;
+                if (report.frameWidth) totals.frameSize = { width: report.frameWidth, height: report.frameHeight };
+            } else if (report.type === 'remote-inbound-rtp' && isVideo(report)) {
+                // The peer's view of what we sent, from RTCP receiver reports
+                totals.remoteInbound.packetsLost += report.packetsLost || 0;
+                if (Number.isFinite(report.jitter)) totals.remoteInbound.jitter = report.jitter;
+                if (Number.isFinite(report.roundTripTime)) totals.remoteInbound.rtt = report.roundTripTime;
+            } else if (report.type === 'data-channel') {
+                totals.dataChannel.bytesSent += report.bytesSent || 0;
+                totals.dataChannel.bytesReceived += report.bytesReceived || 0;
+                totals.dataChannel.messagesSent += report.messagesSent || 0;
+                totals.dataChannel.messagesReceived += report.messagesReceived || 0;
+            } else if (report.type === 'transport' && report.selectedCandidatePairId) {
+                selectedPairId = report.selectedCandidatePairId;
+            } else if (report.type === 'candidate-pair') {
+                pairs.push(report);
+            }
+        });
+
+        totals.candidatePair = pairs.find(pair => pair.id === selectedPairId)
+            || pairs.find(pair => pair.state === 'succeeded' && pair.nominated)
+            || null;
+
+        return totals;
+    }
+
+    /**
+     * Rates and per-interval counts between two samples.
+     */
+    compare(previous, current) {
+        const intervalMs = current.timestamp - previous.timestamp;
+        // Negative deltas mean a stream was replaced; count it from zero
+        const delta = (path) => {
+            const [group, key] = path.split('.');
+            const value = current[group][key] - previous[group][key];
+            return value >= 0 ? value : current[group][key];
+        };
+
+        const videoSent = delta('outbound.bytes');
+        const videoReceived = delta('inbound.bytes');
+        const channelSent = delta('dataChannel.bytesSent');
+        const channelReceived = delta('dataChannel.bytesReceived');
+
+        // Loss as seen by the receiver: our inbound stream, or the peer's reports on our outbound one
+        let packetLossPercent = null;
+        const inboundLost = delta('inbound.packetsLost');
+        const inboundPackets = delta('inbound.packets');
+        const outboundPackets = delta('outbound.packets');
+        if (inboundPackets + inboundLost > 0) {
+            packetLossPercent = (inboundLost / (inboundPackets + inboundLost)) * 100;
+        } else if (outboundPackets > 0) {
+            packetLossPercent = (delta('remoteInbound.packetsLost') / outboundPackets) * 100;
+        }
+
+        const jitter = current.inbound.jitter ?? current.remoteInbound.jitter;
+        const pair = current.candidatePair;
+        const rtt = pair && Number.isFinite(pair.currentRoundTripTime)
+            ? pair.currentRoundTripTime
+            : current.remoteInbound.rtt;
+
+        const framesDecoded = delta('inbound.framesDecoded');
+
+        return {
+            intervalMs: Math.round(intervalMs),
+            sendKbps: round(kbps(videoSent + channelSent, intervalMs)),
+            recvKbps: round(kbps(videoReceived + channelReceived, intervalMs)),
+            rttMs: rtt !== null ? round(rtt * 1000) : null,
+            availableOutgoingKbps: pair && Number.isFinite(pair.availableOutgoingBitrate)
+                ? round(pair.availableOutgoingBitrate / 1000)
+                : null,
+            video: {
+                sendKbps: round(kbps(videoSent, intervalMs)),
+                recvKbps: round(kbps(videoReceived, intervalMs)),
+                packetLossPercent: round(packetLossPercent, 2),
+                jitterMs: jitter !== null ? round(jitter * 1000) : null,
+                framesEncoded: delta('outbound.frames'),
+                framesDecoded,
+                framesDropped: delta('inbound.framesDropped'),
+                decodeFps: round(intervalMs > 0 ? framesDecoded / (intervalMs / 1000) : 0),
+                frameSize: current.frameSize
+            },
+            dataChannel: {
+                sendKbps: round(kbps(channelSent, intervalMs)),
+                recvKbps: round(kbps(channelReceived, intervalMs)),
+                bytesSent: channelSent,
+                bytesReceived: channelReceived,
+                messagesSent: delta('dataChannel.messagesSent'),
+                messagesReceived: delta('dataChannel.messagesReceived')
+            }
+        };
+    }
+
+    getLatest() {
+        return this.latest;
+    }
+}
+
+export { StatsPoller };
@@ -101,8 +101,14 @@ class WebRTCManager extends EventTarget {
     }
     
     setupDataChannelHandlers(channel) {
+        // Binary frames arrive as ArrayBuffers rather than Blobs
+        channel.binaryType = 'arraybuffer';
+        
         channel.onopen = () => {
             console.log('Data channel opened:', channel.label);
+            this.dispatchEvent(new CustomEvent('dataChannelOpen', {
+                detail: channel.label
+            }));
         };
         
         channel.onclose = () => {
@@ -8,26 +8,31 @@
 const fs = require('fs').promises;
 const path = require('path');
 const https = require('https');
+const ModelRegistry = require('../server/detection/model-registry');
 
 class ModelDownloader {
-    constructor() {
+    constructor(registry = new ModelRegistry()) {
         this.modelsDir = path.join(__dirname);
-        this.models = {
-            // YOLOv5n - Nano version (small, fast)
-            yolov5n: {
-                url: 'https://github.com/ultralytics/yolov5/releases/download/v7.0/yolov5n.onnx',
-                filename: 'yolov5n.onnx',
-                size: '14MB',
-                description: 'YOLOv5 Nano - Fast, lightweight object detection'
-            },
-            // MobileNet SSD (alternative)
-            mobilenet_ssd: {
-                url: 'https://storage.googleapis.com/tfhub-lite-models/tensorflow/lite-model/ssd_mobilenet_v1/1/metadata/1.tflite',
-                filename: 'mobilenet_ssd.tflite',
-                size: '27MB',
-                description: 'MobileNet SSD - Mobile-optimized detection'
-            }
-        };
+        this.registry = registry;
+        this.models = {};
+    }
+
+    async loadModels() {
+        // Download sources are declared alongside each model in config.json
+        await this.registry.load();
+
+        this.models = {};
+        for (const model of this.registry.list()) {
+            this.models[model.name] = {
+                url: model.url,
+                filename: path.basename(model.path),
+                filepath: model.path,
+                size: model.size || 'unknown',
+                description: model.description
+            };
+        }
+
+        return this.models;
     }
 
     async ensureModelsDir() {
@@ -84,12 +89,21 @@ class ModelDownloader {
     }
 
     async downloadModel(modelKey) {
+        if (Object.keys(this.models).length === 0) {
+            await this.loadModels();
+        }
+
         const model = this.models[modelKey];
         if (!model) {
             throw new Error(`Unknown model: ${modelKey}`);
         }
 
-        const filepath = path.join(this.modelsDir, model.filename);
+        if (!model.url) {
+            console.log(`⏭️ No download URL for ${model.filename}, place it at ${model.filepath} manually`);
+            return;
+        }
+
+        const filepath = model.filepath;
         
         // Check if model already exists
         try {
@@ -115,6 +129,7 @@ class ModelDownloader {
 
     async downloadAll() {
         await this.ensureModelsDir();
+        await this.loadModels();
         
         console.log('🤖 Downloading ML models for object detection...\n');
         
@@ -130,46 +145,6 @@ class ModelDownloader {
         
         console.log('🎉 Model download process completed!');
     }
-
-    async createModelConfig() {
-        const config = {
-            models: {
-                yolov5n: {
-                    path: './models/yolov5n.onnx',
-                    type: 'onnx',
-                    inputShape: [1, 3, 640, 640],
-                    outputShape: [1, 25200, 85],
-                    classes: 80,
-                    anchors: [
-                        [10, 13, 16, 30, 33, 23],
-                        [30, 61, 62, 45, 59, 119],
-                        [116, 90, 156, 198, 373, 326]
-                    ],
-                    classNames: [
-                        'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck',
-                        'boat', 'traffic light', 'fire hydrant', 'stop sign', 'parking meter', 'bench',
-                        'bird', 'cat', 'dog', 'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra',
-                        'giraffe', 'backpack', 'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee',
-                        'skis', 'snowboard', 'sports ball', 'kite', 'baseball bat', 'baseball glove',
-                        'skateboard', 'surfboard', 'tennis racket', 'bottle', 'wine glass', 'cup',
-                        'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple', 'sandwich', 'orange',
-                        'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch',
-                        'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse',
-                        'remote', 'keyboard', 'cell phone', 'microwave', 'oven', 'toaster', 'sink',
-                        'refrigerator', 'book', 'clock', 'vase', 'scissors', 'teddy bear', 'hair drier',
-                        'toothbrush'
-                    ]
-                }
-            },
-            default: 'yolov5n',
-            confidence_threshold: 0.5,
-            nms_threshold: 0.4
-        };
-
-        const configPath = path.join(this.modelsDir, 'config.json');
-        await fs.writeFile(configPath, JSON.stringify(config, null, 2));
-        console.log('📝 Created model configuration file');
-    }
 }
 
 // Run if called directly
@@ -177,12 +152,12 @@ if (require.main === module) {
     const downloader = new ModelDownloader();
     
     downloader.downloadAll()
-        .then(() => downloader.createModelConfig())
         .then(() => {
             console.log('\n🎯 Ready to use real ML models!');
             console.log('💡 Models available:');
-            console.log('   - YOLOv5n: Fast, lightweight detection');
-            console.log('   - MobileNet SSD: Mobile-optimized');
+            for (const [key, model] of Object.entries(downloader.models)) {
+                console.log(`   - ${key}: ${model.description}`);
+            }
         })
         .catch((error) => {
             console.error('❌ Setup failed:', error);
@@ -0,0 +1,273 @@
+/**
+ * Rules Engine
+ * Evaluates JSON alert rules against every detection result and delivers matching alerts to webhooks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WebhookDispatcher = require('./webhook-dispatcher');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../../data/alert-rules.json');
+
+const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b
+};
+
+/**
+ * Webhook URLs often carry tokens in the path or query; list only the origin.
+ */
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.pathname === '/' && !parsed.search ? parsed.origin : `${parsed.origin}/…`;
+    } catch (error) {
+        return '…';
+    }
+}
+
+/**
+ * Normalize one rule from the rules file. Unspecified fields default to
+ * "any class, any score, at least one detection, fire immediately".
+ * A rule fires once per episode (the condition holding continuously); with a
+ * cooldownMs it may fire again during a long episode once the cooldown passes.
+ * An episode survives gaps of up to graceMs (detection flicker) before it ends.
+ */
+function parseRule(input, index) {
+    if (!input || typeof input !== 'object') {
+        throw new Error(`Rule ${index} is not an object`);
+    }
+
+    const id = String(input.id || `rule-${index + 1}`);
+    const count = input.count || {};
+    const op = count.op || '>=';
+    const value = count.value !== undefined ? count.value : 1;
+
+    if (!COMPARATORS[op]) {
+        throw new Error(`Rule ${id}: count.op must be one of ${Object.keys(COMPARATORS).join(' ')}`);
+    }
+    if (!Number.isFinite(value)) {
+        throw new Error(`Rule ${id}: count.value must be a number`);
+    }
+    if (input.classes !== undefined && !Array.isArray(input.classes)) {
+        throw new Error(`Rule ${id}: classes must be a list of labels`);
+    }
+    if (input.webhooks !== undefined && !Array.isArray(input.webhooks)) {
+        throw new Error(`Rule ${id}: webhooks must be a list of URLs`);
+    }
+
+    return {
+        id,
+        name: input.name || id,
+        enabled: input.enabled !== false,
+        classes: input.classes || [],
+        minScore: Number(input.minScore) || 0,
+        count: { op, value },
+        durationMs: Math.max(0, Number(input.durationMs) || 0),
+        cooldownMs: Math.max(0, Number(input.cooldownMs) || 0),
+        graceMs: input.graceMs !== undefined ? Math.max(0, Number(input.graceMs) || 0) : 1000,
+        webhooks: input.webhooks || null
+    };
+}
+
+class RulesEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || process.env.ALERT_RULES_FILE || DEFAULT_RULES_FILE;
+        this.maxHistory = options.maxHistory || 500;
+
+        // Webhooks that receive alerts from rules without their own list
+        this.defaultWebhooks = options.webhooks || (process.env.ALERT_WEBHOOKS || '')
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean);
+
+        this.dispatcher = options.dispatcher || new WebhookDispatcher(options.delivery);
+
+        this.rules = [];
+        this.states = new Map(); // `${ruleId}|${source}` -> { since, missedSince, fired, lastFiredAt }
+        this.history = [];
+        this.evaluated = 0;
+    }
+
+    async load() {
+        let config;
+        try {
+            config = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Failed to read alert rules from ${this.filePath}:`, error.message);
+            }
+            return;
+        }
+
+        this.setRules(config.rules || [], config.webhooks);
+        console.log(`🚨 Loaded ${this.rules.length} alert rule(s) from ${this.filePath}`);
+    }
+
+    setRules(rules, webhooks) {
+        this.rules = [];
+        rules.forEach((input, index) => {
+            try {
+                this.rules.push(parseRule(input, index));
+            } catch (error) {
+                // One bad rule should not disable the rest
+                console.error(`❌ Skipping alert rule: ${error.message}`);
+            }
+        });
+
+        if (Array.isArray(webhooks)) {
+            this.defaultWebhooks = webhooks;
+        }
+        this.states.clear();
+    }
+
+    /**
+     * Evaluate one detection result ({ frame_id, capture_ts, detections, ... })
+     * produced for `source` (the client that sent the frame). Returns fired alerts.
+     */
+    evaluate(result, { source = 'default', roomId = null, now = Date.now() } = {}) {
+        if (this.rules.length === 0) return [];
+
+        this.evaluated++;
+        const alerts = [];
+
+        for (const rule of this.rules) {
+            if (!rule.enabled) continue;
+
+            const matches = (result.detections || []).filter(detection =>
+                (rule.classes.length === 0 || rule.classes.includes(detection.label)) &&
+                detection.score >= rule.minScore
+            );
+
+            // Conditions are tracked per source so one camera cannot complete another's duration
+            const key = `${rule.id}|${source}`;
+            let state = this.states.get(key);
+            if (!state) {
+                state = { since: null, missedSince: null, fired: false, lastFiredAt: null };
+                this.states.set(key, state);
+            }
+
+            if (!COMPARATORS[rule.count.op](matches.length, rule.count.value)) {
+                // A frame or two without the object is flicker; only a longer gap ends the episode
+                if (state.missedSince === null) {
+                    state.missedSince = now;
+                }
+                if (now - state.missedSince >= rule.graceMs) {
+                    state.since = null;
+                    state.missedSince = null;
+                    state.fired = false;
+                }
+                continue;
+            }
+
+            state.missedSince = null;
+
+            if (state.since === null) {
+                state.since = now;
+            }
+
+            if (now - state.since < rule.durationMs) continue;
+            // Without a cooldown a held condition fires once, not on every frame
+            if (state.fired && rule.cooldownMs === 0) continue;
+            if (state.lastFiredAt !== null && now - state.lastFiredAt < rule.cooldownMs) continue;
+
+            state.fired = true;
+            state.lastFiredAt = now;
+            alerts.push(this.fire(rule, result, matches, { source, roomId, since: state.since, now }));
+        }
+
+        return alerts;
+    }
+
+    fire(rule, result, matches, { source, roomId, since, now }) {
+        const webhooks = rule.webhooks || this.defaultWebhooks;
+
+        const alert = {
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            ruleName: rule.name,
+            source,
+            roomId,
+            timestamp: now,
+            conditionSince: since,
+            frameId: result.frame_id,
+            captureTs: result.capture_ts,
+            count: matches.length,
+            detections: matches,
+            deliveries: webhooks.map(url => ({ url, status: 'pending', attempts: 0, lastError: null }))
+        };
+
+        this.history.push(alert);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+
+        console.log(`🚨 Alert "${rule.name}" (${matches.length} match(es) from ${source})`);
+        this.emit('alert', alert);
+
+        const payload = { ...alert };
+        delete payload.deliveries;
+
+        webhooks.forEach((url, i) => {
+            this.dispatcher.deliver(url, payload).then((delivery) => {
+                alert.deliveries[i] = delivery;
+            });
+        });
+
+        return alert;
+    }
+
+    removeSource(source) {
+        for (const key of Array.from(this.states.keys())) {
+            if (key.endsWith(`|${source}`)) {
+                this.states.delete(key);
+            }
+        }
+    }
+
+    getAlerts({ limit = 100, ruleId = null, since = null } = {}) {
+        let alerts = this.history;
+        if (ruleId) alerts = alerts.filter(alert => alert.ruleId === ruleId);
+        if (since) alerts = alerts.filter(alert => alert.timestamp >= since);
+
+        // Newest first
+        return alerts.slice(-limit).reverse().map(alert => ({
+            ...alert,
+            deliveries: alert.deliveries.map(delivery => ({ ...delivery, url: redactUrl(delivery.url) }))
+        }));
+    }
+
+    /**
+     * Loaded rules and default webhooks with webhook URLs redacted, for listing.
+     */
+    getRules() {
+        return {
+            rules: this.rules.map(rule => ({
+                ...rule,
+                webhooks: rule.webhooks ? rule.webhooks.map(redactUrl) : null
+            })),
+            webhooks: this.defaultWebhooks.map(redactUrl)
+        };
+    }
+
+    getStatus() {
+        return {
+            rules: this.rules.length,
+            evaluated: this.evaluated,
+            alerts: this.history.length,
+            webhooks: this.dispatcher.getStatus()
+        };
+    }
+
+    stop() {
+        this.dispatcher.stop();
+    }
+}
+
+module.exports = RulesEngine;
@@ -0,0 +1,130 @@
+const RulesEngine = require('./rules-engine');
+
+function createEngine(rules, webhooks = []) {
+    const dispatcher = {
+        deliver: jest.fn(url => Promise.resolve({ url, status: 'delivered', attempts: 1, lastError: null })),
+        getStatus: () => ({}),
+        stop: jest.fn()
+    };
+    const engine = new RulesEngine({ dispatcher, webhooks, filePath: '/nonexistent/alert-rules.json' });
+    engine.setRules(rules);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    return { engine, dispatcher };
+}
+
+const person = (score = 0.9) => ({ label: 'person', score, xmin: 0, ymin: 0, xmax: 0.1, ymax: 0.1 });
+const frame = (...detections) => ({ frame_id: 1, capture_ts: 1, detections });
+
+// Feed one result every stepMs from `from` up to `to` and count the alerts
+function play(engine, from, to, stepMs, resultAt) {
+    let alerts = 0;
+    for (let now = from; now <= to; now += stepMs) {
+        alerts += engine.evaluate(resultAt(now), { source: 'phone', now }).length;
+    }
+    return alerts;
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('RulesEngine', () => {
+    test('matches on class, minimum score and count', () => {
+        const { engine } = createEngine([
+            { id: 'crowd', classes: ['person'], minScore: 0.5, count: { op: '>=', value: 2 } }
+        ]);
+
+        expect(engine.evaluate(frame(person(), person(0.3)), { now: 0 })).toHaveLength(0);
+        expect(engine.evaluate(frame(person(), { ...person(), label: 'dog' }), { now: 100 })).toHaveLength(0);
+        expect(engine.evaluate(frame(person(), person(0.6)), { now: 200 })).toHaveLength(1);
+    });
+
+    test('fires once per episode while the condition holds', () => {
+        const { engine } = createEngine([{ id: 'any-person', classes: ['person'] }]);
+
+        expect(play(engine, 0, 2000, 100, () => frame(person()))).toBe(1);
+    });
+
+    test('fires again during an episode only after the cooldown', () => {
+        const { engine } = createEngine([{ id: 'any-person', classes: ['person'], cooldownMs: 1000 }]);
+
+        expect(play(engine, 0, 2500, 100, () => frame(person()))).toBe(3);
+    });
+
+    test('waits for the condition to hold for durationMs', () => {
+        const { engine } = createEngine([{ id: 'loiter', classes: ['person'], durationMs: 3000 }]);
+
+        expect(play(engine, 0, 2900, 100, () => frame(person()))).toBe(0);
+        expect(engine.evaluate(frame(person()), { source: 'phone', now: 3000 })).toHaveLength(1);
+    });
+
+    test('keeps the duration running through gaps shorter than graceMs', () => {
+        const { engine } = createEngine([{ id: 'loiter', classes: ['person'], durationMs: 3000, graceMs: 500 }]);
+
+        // The person drops out for one frame in every seven
+        const flicker = now => (now % 700 === 0 ? frame() : frame(person()));
+        expect(play(engine, 0, 4000, 100, flicker)).toBe(1);
+    });
+
+    test('restarts the duration after a gap longer than graceMs', () => {
+        const { engine } = createEngine([{ id: 'loiter', classes: ['person'], durationMs: 3000, graceMs: 500 }]);
+
+        play(engine, 0, 2000, 100, () => frame(person()));
+        play(engine, 2100, 2800, 100, () => frame());
+
+        expect(play(engine, 2900, 5800, 100, () => frame(person()))).toBe(0);
+        expect(engine.evaluate(frame(person()), { source: 'phone', now: 5900 })).toHaveLength(1);
+    });
+
+    test('ends the episode immediately when graceMs is 0', () => {
+        const { engine } = createEngine([{ id: 'any-person', classes: ['person'], graceMs: 0 }]);
+
+        const alternating = now => (now % 200 === 0 ? frame(person()) : frame());
+        expect(play(engine, 0, 900, 100, alternating)).toBe(5);
+    });
+
+    test('tracks the condition per source', () => {
+        const { engine } = createEngine([{ id: 'loiter', classes: ['person'], durationMs: 1000 }]);
+
+        engine.evaluate(frame(person()), { source: 'a', now: 0 });
+        expect(engine.evaluate(frame(person()), { source: 'b', now: 1000 })).toHaveLength(0);
+        expect(engine.evaluate(frame(person()), { source: 'a', now: 1000 })).toHaveLength(1);
+    });
+
+    test('sends each alert to the rule webhooks, or the defaults without them', () => {
+        const { engine, dispatcher } = createEngine([
+            { id: 'own', classes: ['person'], webhooks: ['https://hooks.example.com/own'] },
+            { id: 'shared', classes: ['person'] }
+        ], ['https://hooks.example.com/default']);
+
+        const alerts = engine.evaluate(frame(person()), { source: 'phone', roomId: 'lobby', now: 0 });
+
+        expect(alerts.map(alert => alert.ruleId)).toEqual(['own', 'shared']);
+        expect(alerts[0]).toMatchObject({ source: 'phone', roomId: 'lobby', count: 1 });
+        expect(dispatcher.deliver.mock.calls.map(([url]) => url)).toEqual([
+            'https://hooks.example.com/own',
+            'https://hooks.example.com/default'
+        ]);
+    });
+
+    test('skips an invalid rule and keeps the others', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { engine } = createEngine([
+            { id: 'bad', count: { op: '!=', value: 1 } },
+            { id: 'good' }
+        ]);
+
+        expect(engine.rules.map(rule => rule.id)).toEqual(['good']);
+    });
+
+    test('lists webhook URLs with only their origin', () => {
+        const { engine } = createEngine(
+            [{ id: 'own', webhooks: ['https://hooks.example.com/T000/secret?token=x'] }],
+            ['https://hooks.example.com']
+        );
+
+        const { rules, webhooks } = engine.getRules();
+        expect(rules[0].webhooks).toEqual(['https://hooks.example.com/…']);
+        expect(webhooks).toEqual(['https://hooks.example.com']);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Webhook Dispatcher
+ * POSTs alert payloads to webhook URLs with timeouts and exponential-backoff retries
+ */
+
+const EventEmitter = require('events');
+
+class WebhookDispatcher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.maxAttempts = options.maxAttempts || 4;
+        this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 1000;
+        this.timeoutMs = options.timeoutMs || 5000;
+
+        this.timers = new Map(); // retry timer -> settle(), so stop() can fail the delivery
+        this.inFlight = 0;
+        this.delivered = 0;
+        this.failed = 0;
+        this.stopped = false;
+    }
+
+    /**
+     * Deliver payload to url. Resolves to a delivery record once it succeeds or
+     * runs out of attempts; never rejects.
+     */
+    deliver(url, payload) {
+        const delivery = { url, status: 'pending', attempts: 0, lastError: null, deliveredAt: null };
+        const body = JSON.stringify(payload);
+
+        this.inFlight++;
+
+        return new Promise((resolve) => {
+            const finish = (status) => {
+                delivery.status = status;
+                this.inFlight--;
+                if (status === 'delivered') this.delivered++;
+                else this.failed++;
+                this.emit(status, delivery);
+                resolve(delivery);
+            };
+
+            const attempt = async () => {
+                if (this.stopped) {
+                    finish('failed');
+                    return;
+                }
+
+                delivery.attempts++;
+                try {
+                    await this.post(url, body);
+                    delivery.deliveredAt = Date.now();
+                    delivery.lastError = null;
+                    finish('delivered');
+                } catch (error) {
+                    delivery.lastError = error.message;
+
+                    // 4xx other than 408/429 means the receiver rejected the payload; retrying will not help
+                    if (delivery.attempts >= this.maxAttempts || error.retryable === false) {
+                        console.error(`❌ Webhook ${url} failed after ${delivery.attempts} attempt(s): ${error.message}`);
+                        finish('failed');
+                        return;
+                    }
+
+                    const delay = this.retryDelayMs * 2 ** (delivery.attempts - 1);
+                    const timer = setTimeout(() => {
+                        this.timers.delete(timer);
+                        attempt();
+                    }, delay);
+                    this.timers.set(timer, () => finish('failed'));
+                }
+            };
+
+            attempt();
+        });
+    }
+
+    async post(url, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? `Timed out after ${this.timeoutMs}ms` : error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+        }
+    }
+
+    stop() {
+        // Pending retries are abandoned and reported as failed
+        this.stopped = true;
+        for (const [timer, settle] of this.timers) {
+            clearTimeout(timer);
+            settle();
+        }
+        this.timers.clear();
+    }
+
+    getStatus() {
+        return {
+            inFlight: this.inFlight,
+            delivered: this.delivered,
+            failed: this.failed
+        };
+    }
+}
+
+module.exports = WebhookDispatcher;
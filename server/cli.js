@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Detection CLI
+ * Runs the server-side detector over image files offline and writes COCO-style JSON results
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ObjectDetectionService = require('./detection/detection-service');
+const { readImageSize } = require('./detection/image-processing');
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png']);
+
+function showHelp() {
+    console.log(`
+WebRTC VLM Detection CLI
+
+Usage: node server/cli.js detect <path> [OPTIONS]
+
+<path> is an image file or a directory of JPEG/PNG images (searched recursively).
+
+Options:
+  --output FILE         Write COCO JSON to FILE (default: stdout)
+  --model NAME          Model from models/config.json (default: registry default)
+  --workers N           Inference worker threads (default: CPU cores - 1, max 4)
+  --batch-size N        Frames per inference batch (default: 1)
+  --concurrency N       Images in flight at once (default: workers x batch size)
+  --help                Show this help message
+
+Examples:
+  node server/cli.js detect ./samples/frame.jpg
+  node server/cli.js detect ./samples --output results.json --model yolov5n
+`);
+}
+
+function parseArguments(argv) {
+    const options = {
+        command: null,
+        input: null,
+        output: null,
+        model: null,
+        workers: undefined,
+        batchSize: 1,
+        concurrency: null
+    };
+
+    const args = argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--model':
+                options.model = args[++i];
+                break;
+            case '--workers':
+                options.workers = parseInt(args[++i]) || undefined;
+                break;
+            case '--batch-size':
+                options.batchSize = parseInt(args[++i]) || 1;
+                break;
+            case '--concurrency':
+                options.concurrency = parseInt(args[++i]) || null;
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+            default:
+                if (args[i].startsWith('--')) {
+                    throw new Error(`Unknown option: ${args[i]}`);
+                }
+                if (!options.command) options.command = args[i];
+                else if (!options.input) options.input = args[i];
+                else throw new Error(`Unexpected argument: ${args[i]}`);
+        }
+    }
+
+    return options;
+}
+
+async function findImages(inputPath) {
+    const stats = await fs.stat(inputPath);
+    if (stats.isFile()) {
+        return [inputPath];
+    }
+
+    const images = [];
+    const entries = await fs.readdir(inputPath, { withFileTypes: true });
+    for (const entry of entries) {
+        const entryPath = path.join(inputPath, entry.name);
+        if (entry.isDirectory()) {
+            images.push(...await findImages(entryPath));
+        } else if (IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+            images.push(entryPath);
+        }
+    }
+
+    // Stable image ids across runs over the same folder
+    return images.sort();
+}
+
+/**
+ * Category ids for a model's classes. COCO-trained models use the official
+ * COCO ids (the index in the COCO-91 list), so YOLO and SSD output line up with
+ * COCO annotations; other models are numbered 1-based in class order.
+ */
+function toCategories(classNames, cocoNames) {
+    const names = classNames.filter(name => name && name !== 'background');
+    const cocoIds = new Map((cocoNames || []).map((name, index) => [name, index]).filter(([name]) => name));
+
+    if (cocoIds.size > 0 && names.every(name => cocoIds.has(name))) {
+        return names
+            .map(name => ({ id: cocoIds.get(name), name }))
+            .sort((a, b) => a.id - b.id);
+    }
+    return names.map((name, index) => ({ id: index + 1, name }));
+}
+
+/**
+ * Build a COCO-style document: images, categories (see toCategories) and one
+ * annotation per detection with a pixel [x, y, width, height] bbox and score.
+ */
+function toCoco(results, classNames, info, cocoNames = null) {
+    const categories = toCategories(classNames, cocoNames);
+    const categoryIds = new Map(categories.map(category => [category.name, category.id]));
+
+    const images = [];
+    const annotations = [];
+
+    results.forEach((result, index) => {
+        const imageId = index + 1;
+        images.push({ id: imageId, file_name: result.fileName, width: result.width, height: result.height });
+
+        if (result.error) return;
+
+        result.detections.forEach((detection) => {
+            const x = detection.xmin * result.width;
+            const y = detection.ymin * result.height;
+            const width = (detection.xmax - detection.xmin) * result.width;
+            const height = (detection.ymax - detection.ymin) * result.height;
+
+            annotations.push({
+                id: annotations.length + 1,
+                image_id: imageId,
+                category_id: categoryIds.get(detection.label) || 0,
+                bbox: [x, y, width, height].map(value => Math.round(value * 100) / 100),
+                area: Math.round(width * height * 100) / 100,
+                score: Math.round(detection.score * 10000) / 10000,
+                iscrowd: 0
+            });
+        });
+    });
+
+    return { info, images, categories, annotations };
+}
+
+/**
+ * Run the server-side detector over a list of image files. file_name in the
+ * result is each file's path relative to baseDir; options.confidenceThreshold
+ * replaces the model's threshold when set. Resolves to
+ * { coco, failed, elapsedMs }.
+ */
+async function detectFiles(files, options = {}) {
+    const baseDir = options.baseDir || process.cwd();
+    const batchSize = options.batchSize || 1;
+
+    const service = new ObjectDetectionService('server', {
+        workers: options.workers,
+        batchSize,
+        batchWaitMs: batchSize > 1 ? 5 : 0,
+        confidenceThreshold: options.confidenceThreshold,
+        // Images are independent, so there is nothing to track between them
+        tracking: false
+    });
+
+    await service.initialize();
+    if (service.mode !== 'server') {
+        throw new Error('No server-side model could be loaded (run "node models/download_models.js")');
+    }
+
+    try {
+        if (options.model && options.model !== service.modelName) {
+            await service.switchModel(options.model);
+        }
+
+        const concurrency = Math.max(1, options.concurrency || service.pool.size * batchSize);
+        
+        // Lanes are separate clients, but the service-wide queue cap still applies
+        service.maxQueueSize = Math.max(service.maxQueueSize, concurrency);
+        const results = new Array(files.length);
+        const startTime = Date.now();
+        let next = 0;
+        let done = 0;
+
+        // Each lane is its own client with one image in flight, and the queue cap is at
+        // least the lane count, so neither latest-frame-wins nor queue-full drops our images
+        const lane = async (laneId) => {
+            while (next < files.length) {
+                const index = next++;
+                const file = files[index];
+                const fileName = path.relative(baseDir, file).split(path.sep).join('/');
+
+                try {
+                    const buffer = await fs.readFile(file);
+                    // Header only: the workers decode the pixels, the main thread must not
+                    const { width, height } = readImageSize(buffer);
+                    const detections = await service.detectObjects(buffer, {
+                        clientId: `cli-${laneId}`,
+                        frameId: index
+                    });
+                    results[index] = { fileName, width, height, detections };
+                } catch (error) {
+                    console.error(`❌ ${fileName}: ${error.message}`);
+                    results[index] = { fileName, width: 0, height: 0, error: error.message };
+                }
+
+                done++;
+                if (done % 25 === 0 || done === files.length) {
+                    console.error(`📷 ${done}/${files.length} images`);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, (_, i) => lane(i)));
+
+        const elapsedMs = Date.now() - startTime;
+        const coco = toCoco(results, service.classNames, {
+            description: `Detections from ${service.modelName}`,
+            model: service.modelName,
+            source: options.source || baseDir,
+            date_created: new Date().toISOString(),
+            elapsed_ms: elapsedMs
+        }, service.registry.getClassList('coco91'));
+
+        return { coco, failed: results.filter(result => result.error).length, elapsedMs };
+    } finally {
+        await service.cleanup();
+    }
+}
+
+async function detect(options) {
+    const root = path.resolve(options.input);
+    const files = await findImages(root);
+    if (files.length === 0) {
+        throw new Error(`No JPEG/PNG images found in ${options.input}`);
+    }
+
+    // file_name is relative to the input folder, as in COCO annotation files
+    const baseDir = (await fs.stat(root)).isFile() ? path.dirname(root) : root;
+
+    const { coco, failed, elapsedMs } = await detectFiles(files, { ...options, baseDir, source: options.input });
+
+    const json = JSON.stringify(coco, null, 2);
+    if (options.output) {
+        await fs.writeFile(options.output, json);
+        console.error(`✅ Wrote ${coco.annotations.length} detections for ${files.length} images to ${options.output}`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+
+    console.error(`⏱️ ${(files.length / (elapsedMs / 1000)).toFixed(1)} images/s`);
+    return failed > 0 ? 2 : 0;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv);
+    } catch (error) {
+        console.error(error.message);
+        showHelp();
+        return 1;
+    }
+
+    if (options.command !== 'detect' || !options.input) {
+        showHelp();
+        return 1;
+    }
+
+    // Progress goes to stderr so stdout stays pure JSON
+    console.log = console.error;
+
+    try {
+        return await detect(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code));
+}
+
+module.exports = { toCoco, findImages, detectFiles };
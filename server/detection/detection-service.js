@@ -5,37 +5,85 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const ort = require('onnxruntime-node');
+const EventEmitter = require('events');
+const { getDecoder } = require('./postprocessing');
+const ModelRegistry = require('./model-registry');
+const InferencePool = require('./inference-pool');
+const ObjectTracker = require('./tracker');
 
-class ObjectDetectionService {
-    constructor(mode = 'wasm') {
+/**
+ * Rejection reason for frames that were dropped before inference
+ * (superseded by a newer frame from the same client, queue full, or shutdown).
+ */
+class FrameDroppedError extends Error {
+    constructor(reason, job) {
+        super(`Frame dropped: ${reason}`);
+        this.name = 'FrameDroppedError';
+        this.code = 'FRAME_DROPPED';
+        this.reason = reason;
+        this.clientId = job.clientId;
+        this.frameId = job.frameId;
+    }
+}
+
+function isOlder(value, last) {
+    return typeof value === 'number' && typeof last === 'number' && value < last;
+}
+
+class ObjectDetectionService extends EventEmitter {
+    constructor(mode = 'wasm', options = {}) {
+        super();
         this.mode = mode;
-        this.session = null;
         this.modelPath = null;
         this.inputShape = [1, 3, 640, 640]; // Default YOLO input shape
         this.classNames = [];
         this.initialized = false;
         
+        // Model definitions come from models/config.json
+        this.registry = options.registry || new ModelRegistry();
+        this.modelName = null;
+        this.modelConfig = null;
+        
+        // Active model slot ({ config, handle, pending }) and hot-swap state
+        this.activeModel = null;
+        this.retiringModels = new Set();
+        this.switchingTo = null;
+        
+        // Detection thresholds (overridden per model by the registry)
+        this.confidenceThreshold = 0.5;
+        this.nmsThreshold = 0.4;
+        
+        // Replaces every model's confidence threshold, e.g. a very low one for mAP evaluation
+        this.confidenceOverride = typeof options.confidenceThreshold === 'number' ? options.confidenceThreshold : null;
+        
         // Performance settings
         this.maxQueueSize = 10;
-        this.processingQueue = [];
         this.isProcessing = false;
         
-        // Model configurations
-        this.modelConfigs = {
-            'yolov5n': {
-                path: 'models/yolov5n.onnx',
-                inputShape: [1, 3, 640, 640],
-                outputShape: [1, 25200, 85],
-                classNames: this.getCocoClassNames()
-            },
-            'mobilenet-ssd': {
-                path: 'models/mobilenet-ssd.onnx',
-                inputShape: [1, 3, 300, 300],
-                outputShape: [1, 1917, 91],
-                classNames: this.getCocoClassNames()
-            }
-        };
+        // One queue per client, served round-robin so a fast sender cannot starve the
+        // others. A client keeps at most maxQueuePerClient waiting frames: the latest wins.
+        this.maxQueuePerClient = Math.max(1, options.maxQueuePerClient || 1);
+        this.clientQueues = new Map();
+        this.droppedFrames = 0;
+        
+        // One tracker per client stream so detections carry stable trackIds. REST
+        // callers never disconnect, so trackers idle for trackerIdleMs are evicted.
+        this.tracking = options.tracking !== false;
+        this.trackerOptions = options.tracker || {};
+        this.trackerIdleMs = options.trackerIdleMs || 60000;
+        this.trackers = new Map();
+        this.staleResults = 0;
+        
+        // Micro-batching: collect up to batchSize queued frames, waiting at most
+        // batchWaitMs for the batch to fill, and run them as one [N,3,H,W] tensor
+        this.batchSize = Math.max(1, options.batchSize || 1);
+        this.batchWaitMs = Math.max(0, options.batchWaitMs || 0);
+        this.batchWaiter = null;
+        this.batchStats = { batches: 0, frames: 0, maxBatch: 0 };
+        
+        // Preprocessing, inference and decoding run in worker threads, each with its own sessions
+        this.pool = options.pool || new InferencePool({ size: options.workers });
+        this.pool.on('worker-ready', () => this.processQueue());
     }
     
     async initialize() {
@@ -54,67 +102,212 @@ class ObjectDetectionService {
     
     async initializeServerMode() {
         try {
-            console.log('🤖 Initializing server-side detection with real YOLOv5n model...');
-
+            await this.registry.load();
+            
             // Try to find an available model
             const modelName = await this.findAvailableModel();
-            const config = this.modelConfigs[modelName];
-
-            if (!config) {
-                throw new Error('No suitable model found');
-            }
-
-            this.modelPath = path.join(__dirname, '../../', config.path);
-            this.inputShape = config.inputShape;
-            this.classNames = config.classNames;
+            const config = this.getModelConfig(modelName);
+            
+            console.log(`🤖 Initializing server-side detection with ${modelName} model...`);
 
             // Check if model file exists
             try {
-                await fs.access(this.modelPath);
-                console.log('✅ Model file found:', this.modelPath);
+                await fs.access(config.path);
+                console.log('✅ Model file found:', config.path);
             } catch (error) {
-                console.log(`⚠️ Model not found at ${this.modelPath}`);
+                console.log(`⚠️ Model not found at ${config.path}`);
                 console.log('💡 Run "node models/download_models.js" to download models');
                 throw new Error('Model file not found');
             }
 
-            // Create inference session
+            // Create an inference session in every worker
             console.log('📥 Loading ONNX model...');
-            this.session = await ort.InferenceSession.create(this.modelPath, {
-                executionProviders: ['CPUExecutionProvider'],
-                graphOptimizationLevel: 'all',
-                enableCpuMemArena: true,
-                enableMemPattern: true,
-                executionMode: 'sequential'
-            });
+            this.pool.start();
+            const handle = await this.pool.loadModel(config);
+            this.activateModel(this.createModelSlot(config, handle));
 
             console.log(`✅ Server-side model loaded: ${modelName}`);
             console.log(`📊 Input shape: ${this.inputShape}`);
             console.log(`🏷️ Classes: ${this.classNames.length}`);
+            console.log(`🎚️ Thresholds: confidence=${this.confidenceThreshold}, nms=${this.nmsThreshold}`);
 
             this.useRealModel = true;
 
         } catch (error) {
             console.error('Failed to initialize server-side detection:', error);
+            await this.pool.terminate();
             // Fallback to WASM mode
             console.log('Falling back to WASM mode');
             this.mode = 'wasm';
         }
     }
     
+    createModelSlot(config, handle) {
+        return {
+            name: config.name,
+            config,
+            handle,
+            pending: 0,
+            retired: false
+        };
+    }
+    
+    activateModel(slot) {
+        // Swap every model-dependent field in one synchronous step so no frame
+        // ever sees a mix of the old and new model
+        const previous = this.activeModel;
+        
+        this.activeModel = slot;
+        this.applyModelConfig(slot.config);
+        
+        if (previous) {
+            this.retireModel(previous);
+        }
+    }
+    
+    applyModelConfig(config) {
+        this.modelName = config.name;
+        this.modelConfig = config;
+        this.modelPath = config.path;
+        this.inputShape = config.inputShape;
+        this.classNames = config.classNames;
+        this.confidenceThreshold = config.confidenceThreshold;
+        this.nmsThreshold = config.nmsThreshold;
+    }
+    
+    retireModel(slot) {
+        // Frames queued before the swap keep using the old session; release it once they drain
+        slot.retired = true;
+        
+        if (slot.pending === 0) {
+            this.releaseModel(slot);
+        } else {
+            this.retiringModels.add(slot);
+            console.log(`⏳ Releasing ${slot.name} after ${slot.pending} queued frame(s) drain`);
+        }
+    }
+    
+    async releaseModel(slot) {
+        this.retiringModels.delete(slot);
+        
+        try {
+            await this.pool.releaseModel(slot.handle);
+            console.log(`🗑️ Released model session: ${slot.name}`);
+        } catch (error) {
+            console.error(`Failed to release model session ${slot.name}:`, error);
+        }
+    }
+    
+    async switchModel(modelName) {
+        if (this.mode !== 'server') {
+            throw new Error('Model switching requires server mode');
+        }
+        
+        if (this.switchingTo) {
+            throw new Error(`Already switching to ${this.switchingTo}`);
+        }
+        
+        const config = this.getModelConfig(modelName);
+        
+        if (this.activeModel && this.activeModel.name === modelName) {
+            return this.getActiveModelInfo();
+        }
+        
+        this.switchingTo = modelName;
+        
+        try {
+            getDecoder(config.decoder);
+            await fs.access(config.path);
+            
+            // Load in the background; the current model keeps serving frames meanwhile
+            console.log(`📥 Loading ${modelName} for hot-swap...`);
+            const handle = await this.pool.loadModel(config);
+            const previousName = this.modelName;
+            
+            this.activateModel(this.createModelSlot(config, handle));
+            
+            console.log(`🔄 Switched model: ${previousName} → ${modelName}`);
+            
+            const info = this.getActiveModelInfo();
+            this.emit('model-changed', { ...info, previous: previousName });
+            return info;
+            
+        } finally {
+            this.switchingTo = null;
+        }
+    }
+    
+    getModelConfig(modelName) {
+        const config = this.registry.get(modelName);
+        return this.confidenceOverride === null
+            ? config
+            : { ...config, confidenceThreshold: this.confidenceOverride };
+    }
+    
+    isSwitching() {
+        return this.switchingTo !== null;
+    }
+    
+    getActiveModelInfo() {
+        return {
+            model: this.modelName,
+            decoder: this.modelConfig ? this.modelConfig.decoder : null,
+            inputShape: this.inputShape,
+            classCount: this.classNames.length
+        };
+    }
+    
+    async listModels() {
+        // Re-read config.json so newly added entries show up without a restart; a
+        // broken edit keeps serving the models that were already loaded
+        try {
+            await this.registry.load();
+        } catch (error) {
+            console.error(`❌ Keeping previous model config: ${error.message}`);
+        }
+        
+        const retiring = new Set(Array.from(this.retiringModels, slot => slot.name));
+        
+        return Promise.all(this.registry.list().map(async (config) => {
+            let available = true;
+            try {
+                await fs.access(config.path);
+            } catch (error) {
+                available = false;
+            }
+            
+            let state = available ? 'available' : 'missing';
+            if (retiring.has(config.name)) state = 'draining';
+            if (this.switchingTo === config.name) state = 'loading';
+            if (this.activeModel && this.activeModel.name === config.name) state = 'active';
+            
+            return {
+                name: config.name,
+                description: config.description,
+                decoder: config.decoder,
+                inputShape: config.inputShape,
+                outputShape: config.outputShape,
+                classCount: config.classNames.length,
+                available,
+                state,
+                default: config.name === this.registry.getDefaultName()
+            };
+        }));
+    }
+    
     async findAvailableModel() {
-        // Check for available models in order of preference
-        const preferredModels = ['yolov5n', 'mobilenet-ssd'];
+        // Check registered models in order of preference (registry default first)
+        const preferredModels = this.registry.getNames();
         
         for (const modelName of preferredModels) {
-            const config = this.modelConfigs[modelName];
-            const modelPath = path.join(__dirname, '../../', config.path);
+            const config = this.registry.get(modelName);
             
             try {
-                await fs.access(modelPath);
+                getDecoder(config.decoder);
+                await fs.access(config.path);
                 return modelName;
             } catch (error) {
-                // Model file doesn't exist, continue to next
+                // Model file missing or decoder unsupported, continue to next
                 continue;
             }
         }
@@ -124,8 +317,8 @@ class ObjectDetectionService {
     }
     
     async downloadModel(modelName) {
-        const config = this.modelConfigs[modelName];
-        const modelDir = path.dirname(path.join(__dirname, '../../', config.path));
+        const config = this.registry.get(modelName);
+        const modelDir = path.dirname(config.path);
         
         // Create models directory if it doesn't exist
         try {
@@ -136,7 +329,7 @@ class ObjectDetectionService {
         
         // For now, create a placeholder - in production, download from model zoo
         console.log(`Creating placeholder for ${modelName}...`);
-        const placeholderPath = path.join(__dirname, '../../', config.path);
+        const placeholderPath = config.path;
         
         // Create a minimal ONNX model placeholder
         const placeholderContent = this.createModelPlaceholder(modelName);
@@ -151,103 +344,284 @@ class ObjectDetectionService {
         return Buffer.from('ONNX_MODEL_PLACEHOLDER_' + modelName);
     }
     
-    async detectObjects(imageData) {
+    async detectObjects(imageData, options = {}) {
         if (!this.initialized) {
             throw new Error('Detection service not initialized');
         }
         
         if (this.mode === 'server') {
-            return await this.detectServerSide(imageData);
+            return await this.detectServerSide(imageData, options);
         } else {
             // For WASM mode, return mock detections since processing is client-side
             return this.getMockDetections();
         }
     }
     
-    async detectServerSide(imageData) {
-        try {
-            // Add to processing queue to handle backpressure
-            if (this.processingQueue.length >= this.maxQueueSize) {
-                // Drop oldest frame
-                this.processingQueue.shift();
+    detectServerSide(imageData, options = {}) {
+        const clientId = options.clientId || 'default';
+        
+        // Pin the frame to the model that is active when it is queued
+        const model = this.activeModel;
+        
+        return new Promise((resolve, reject) => {
+            const job = {
+                imageData,
+                model,
+                clientId,
+                frameId: options.frameId,
+                captureTs: options.captureTs,
+                track: options.track !== false,
+                queuedAt: Date.now(),
+                resolve: (detections) => resolve(this.trackDetections(job, detections)),
+                reject
+            };
+            
+            const queue = this.clientQueues.get(clientId) || [];
+            
+            // Latest frame wins: a stale frame is worthless once a newer one arrives
+            while (queue.length >= this.maxQueuePerClient) {
+                this.dropJob(queue.shift(), 'superseded');
             }
             
-            return new Promise((resolve, reject) => {
-                this.processingQueue.push({ imageData, resolve, reject });
-                this.processQueue();
-            });
+            // Shared cap across clients: shed load from the deepest backlog
+            if (this.getQueueSize() >= this.maxQueueSize) {
+                this.dropJob(this.takeFromDeepestQueue(), 'queue-full');
+            }
             
-        } catch (error) {
-            console.error('Server-side detection error:', error);
-            return [];
+            if (model) model.pending++;
+            queue.push(job);
+            
+            // (Re-)register the queue; shedding load may have removed it
+            if (!this.clientQueues.has(clientId)) {
+                this.clientQueues.set(clientId, queue);
+            }
+            
+            this.notifyBatchWaiter();
+            this.processQueue();
+        });
+    }
+    
+    trackDetections(job, detections) {
+        if (!this.tracking || !job.track) return detections;
+        
+        const now = Date.now();
+        this.evictIdleTrackers(now);
+        
+        let entry = this.trackers.get(job.clientId);
+        if (!entry) {
+            entry = {
+                tracker: new ObjectTracker(this.trackerOptions),
+                lastSeen: now,
+                frameId: null,
+                captureTs: null
+            };
+            this.trackers.set(job.clientId, entry);
         }
+        entry.lastSeen = now;
+        
+        // Batches finish out of order across workers, which is normal with a pool.
+        // An older frame must not move the Kalman state back, so it is delivered
+        // untracked rather than dropped.
+        if (isOlder(job.frameId, entry.frameId) || isOlder(job.captureTs, entry.captureTs)) {
+            this.staleResults++;
+            return detections.map(detection => ({ ...detection, trackId: null }));
+        }
+        
+        if (typeof job.frameId === 'number') entry.frameId = job.frameId;
+        if (typeof job.captureTs === 'number') entry.captureTs = job.captureTs;
+        
+        return entry.tracker.update(detections);
+    }
+    
+    evictIdleTrackers(now = Date.now()) {
+        for (const [clientId, entry] of this.trackers) {
+            if (now - entry.lastSeen > this.trackerIdleMs) {
+                this.trackers.delete(clientId);
+            }
+        }
+    }
+    
+    removeClient(clientId) {
+        // Client went away: forget its tracks and shed any frames it still has queued
+        this.trackers.delete(clientId);
+        
+        const queue = this.clientQueues.get(clientId);
+        if (queue) {
+            this.clientQueues.delete(clientId);
+            queue.forEach(job => this.dropJob(job, 'disconnected'));
+        }
+    }
+    
+    getQueueSize() {
+        let size = 0;
+        for (const queue of this.clientQueues.values()) {
+            size += queue.length;
+        }
+        return size;
+    }
+    
+    takeFromDeepestQueue() {
+        // Longest queue first; among equals, the one holding the oldest frame
+        let deepestId = null;
+        let deepest = null;
+        for (const [clientId, queue] of this.clientQueues) {
+            if (queue.length === 0) continue;
+            if (!deepest ||
+                queue.length > deepest.length ||
+                (queue.length === deepest.length && queue[0].queuedAt < deepest[0].queuedAt)) {
+                deepestId = clientId;
+                deepest = queue;
+            }
+        }
+        
+        if (!deepest) return null;
+        
+        const job = deepest.shift();
+        if (deepest.length === 0) {
+            this.clientQueues.delete(deepestId);
+        }
+        return job;
+    }
+    
+    dropJob(job, reason) {
+        if (!job) return;
+        
+        this.droppedFrames++;
+        this.finishJob(job);
+        
+        // Settle the caller's promise so nothing waits on a frame that will never run
+        job.reject(new FrameDroppedError(reason, job));
+        
+        this.emit('frame-dropped', {
+            clientId: job.clientId,
+            frameId: job.frameId,
+            reason,
+            queueSize: this.getQueueSize()
+        });
     }
     
     async processQueue() {
-        if (this.isProcessing || this.processingQueue.length === 0) {
+        if (this.isProcessing) {
             return;
         }
         
         this.isProcessing = true;
         
         try {
-            while (this.processingQueue.length > 0) {
-                const { imageData, resolve, reject } = this.processingQueue.shift();
-                
-                try {
-                    const detections = await this.runInference(imageData);
-                    resolve(detections);
-                } catch (error) {
-                    reject(error);
+            // Keep dispatching while some worker has room; finished batches re-enter here
+            while (this.getQueueSize() > 0 && this.pool.hasCapacity()) {
+                if (this.batchSize > 1) {
+                    await this.waitForBatch();
                 }
+                
+                const jobs = this.takeBatch();
+                if (jobs.length === 0) break;
+                
+                this.runBatch(jobs).then(() => this.processQueue());
             }
         } finally {
             this.isProcessing = false;
         }
     }
     
-    async runInference(imageData) {
-        if (!this.session) {
-            throw new Error('Model session not available');
+    waitForBatch() {
+        if (this.batchWaitMs === 0 || this.getQueueSize() >= this.batchSize) {
+            return Promise.resolve();
         }
         
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.batchWaiter = null;
+                resolve();
+            }, this.batchWaitMs);
+            
+            this.batchWaiter = () => {
+                clearTimeout(timer);
+                this.batchWaiter = null;
+                resolve();
+            };
+        });
+    }
+    
+    notifyBatchWaiter() {
+        // Stop waiting as soon as a full batch is queued
+        if (this.batchWaiter && this.getQueueSize() >= this.batchSize) {
+            this.batchWaiter();
+        }
+    }
+    
+    takeBatch() {
+        const batch = [];
+        let progress = true;
+        
+        // Take one frame per client per pass. Served clients move to the back of the
+        // line (Map keeps insertion order), which makes scheduling round-robin.
+        while (batch.length < this.batchSize && progress) {
+            progress = false;
+            
+            for (const [clientId, queue] of Array.from(this.clientQueues)) {
+                if (batch.length >= this.batchSize) break;
+                
+                // Only frames pinned to the same model can share a tensor
+                if (batch.length > 0 && queue[0].model !== batch[0].model) continue;
+                
+                batch.push(queue.shift());
+                progress = true;
+                
+                this.clientQueues.delete(clientId);
+                if (queue.length > 0) {
+                    this.clientQueues.set(clientId, queue);
+                }
+            }
+        }
+        
+        return batch;
+    }
+    
+    async runBatch(jobs) {
+        const model = jobs[0].model;
+        
         try {
-            // Preprocess image data
-            const inputTensor = await this.preprocessImage(imageData);
+            if (!model) {
+                throw new Error('Model not loaded');
+            }
             
-            // Run inference
-            const feeds = { input: inputTensor };
-            const results = await this.session.run(feeds);
+            const { results, batchSize } = await this.pool.detect(
+                model.handle,
+                jobs.map(job => job.imageData)
+            );
             
-            // Postprocess results
-            const detections = this.postprocessResults(results);
+            if (batchSize > 1) {
+                this.batchStats.batches++;
+                this.batchStats.frames += batchSize;
+                this.batchStats.maxBatch = Math.max(this.batchStats.maxBatch, batchSize);
+            }
             
-            return detections;
+            results.forEach((result, index) => {
+                if (result.error) {
+                    jobs[index].reject(new Error(result.error));
+                } else {
+                    jobs[index].resolve(result.detections);
+                }
+            });
             
         } catch (error) {
-            console.error('Inference error:', error);
-            // Return mock detections as fallback
-            return this.getMockDetections();
+            jobs.forEach(job => job.reject(error));
+        } finally {
+            jobs.forEach(job => this.finishJob(job));
         }
     }
     
-    async preprocessImage(imageData) {
-        // This is a simplified preprocessing - in production, use proper image processing
-        // For now, return a mock tensor
-        const ort = require('onnxruntime-node');
-        const [batch, channels, height, width] = this.inputShape;
+    finishJob(job) {
+        const model = job && job.model;
+        if (!model) return;
         
-        // Create mock input tensor
-        const inputArray = new Float32Array(batch * channels * height * width);
-        inputArray.fill(0.5); // Fill with dummy data
+        model.pending--;
         
-        return new ort.Tensor('float32', inputArray, this.inputShape);
-    }
-    
-    postprocessResults(results) {
-        // This is simplified postprocessing - in production, implement proper NMS and filtering
-        // For now, return mock detections
-        return this.getMockDetections();
+        // Last queued frame for a swapped-out model: its session can go now
+        if (model.retired && model.pending === 0) {
+            this.releaseModel(model);
+        }
     }
     
     getMockDetections() {
@@ -275,32 +649,18 @@ class ObjectDetectionService {
         return mockDetections.filter(() => Math.random() > 0.3);
     }
     
-    getCocoClassNames() {
-        return [
-            'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck',
-            'boat', 'traffic light', 'fire hydrant', 'stop sign', 'parking meter', 'bench',
-            'bird', 'cat', 'dog', 'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra',
-            'giraffe', 'backpack', 'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee',
-            'skis', 'snowboard', 'sports ball', 'kite', 'baseball bat', 'baseball glove',
-            'skateboard', 'surfboard', 'tennis racket', 'bottle', 'wine glass', 'cup',
-            'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple', 'sandwich', 'orange',
-            'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch',
-            'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse',
-            'remote', 'keyboard', 'cell phone', 'microwave', 'oven', 'toaster', 'sink',
-            'refrigerator', 'book', 'clock', 'vase', 'scissors', 'teddy bear', 'hair drier',
-            'toothbrush'
-        ];
-    }
-    
     async cleanup() {
         console.log('Cleaning up detection service...');
         
-        if (this.session) {
-            await this.session.release();
-            this.session = null;
-        }
+        const queued = Array.from(this.clientQueues.values()).flat();
+        this.clientQueues.clear();
+        queued.forEach(job => this.dropJob(job, 'shutdown'));
         
-        this.processingQueue = [];
+        // Terminating the workers frees every session they hold
+        await this.pool.terminate();
+        this.activeModel = null;
+        this.retiringModels.clear();
+        this.trackers.clear();
         this.initialized = false;
         
         console.log('Detection service cleanup complete');
@@ -310,13 +670,39 @@ class ObjectDetectionService {
         return {
             mode: this.mode,
             initialized: this.initialized,
-            queueSize: this.processingQueue.length,
+            queueSize: this.getQueueSize(),
             isProcessing: this.isProcessing,
+            clientQueues: Object.fromEntries(
+                Array.from(this.clientQueues, ([clientId, queue]) => [clientId, queue.length])
+            ),
+            droppedFrames: this.droppedFrames,
+            tracking: {
+                enabled: this.tracking,
+                clients: this.trackers.size,
+                staleResults: this.staleResults,
+                activeTracks: Array.from(this.trackers.values())
+                    .reduce((total, entry) => total + entry.tracker.getTracks().length, 0)
+            },
+            model: this.modelName,
+            switchingTo: this.switchingTo,
             modelPath: this.modelPath,
             inputShape: this.inputShape,
-            classCount: this.classNames.length
+            classCount: this.classNames.length,
+            confidenceThreshold: this.confidenceThreshold,
+            nmsThreshold: this.nmsThreshold,
+            batching: {
+                batchSize: this.batchSize,
+                batchWaitMs: this.batchWaitMs,
+                batches: this.batchStats.batches,
+                averageBatch: this.batchStats.batches > 0
+                    ? this.batchStats.frames / this.batchStats.batches
+                    : 0,
+                maxBatch: this.batchStats.maxBatch
+            },
+            workers: this.pool.getStatus()
         };
     }
 }
 
 module.exports = ObjectDetectionService;
+module.exports.FrameDroppedError = FrameDroppedError;
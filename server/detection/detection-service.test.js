@@ -0,0 +1,114 @@
+const EventEmitter = require('events');
+const ObjectDetectionService = require('./detection-service');
+const { FrameDroppedError } = require('./detection-service');
+
+// Runs frames instantly once opened, recording the order they were dispatched in
+class FakePool extends EventEmitter {
+    constructor() {
+        super();
+        this.open = false;
+        this.dispatched = [];
+    }
+
+    hasCapacity() {
+        return this.open;
+    }
+
+    detect(handle, frames) {
+        this.dispatched.push(...frames);
+        return Promise.resolve({
+            batchSize: frames.length,
+            results: frames.map(() => ({ detections: [] }))
+        });
+    }
+}
+
+function createService(options = {}) {
+    const pool = new FakePool();
+    const service = new ObjectDetectionService('server', { pool, tracking: false, ...options });
+    service.initialized = true;
+    service.activeModel = { name: 'fake', handle: 'fake#1', pending: 0, retired: false };
+    return { service, pool };
+}
+
+function run(service, pool) {
+    pool.open = true;
+    return service.processQueue();
+}
+
+describe('ObjectDetectionService fair queue', () => {
+    test('serves clients round-robin instead of first come, first served', async () => {
+        const { service, pool } = createService({ maxQueuePerClient: 3 });
+        service.maxQueueSize = 10;
+
+        const frames = ['a1', 'a2', 'a3', 'b1', 'b2', 'c1'];
+        const done = Promise.all(frames.map(frame =>
+            service.detectObjects(frame, { clientId: frame[0], frameId: frame })
+        ));
+        await run(service, pool);
+        await done;
+
+        expect(pool.dispatched).toEqual(['a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+    });
+
+    test('keeps only the latest frame per client and reports the superseded one', async () => {
+        const { service, pool } = createService({ maxQueuePerClient: 1 });
+        const dropped = jest.fn();
+        service.on('frame-dropped', dropped);
+
+        const first = service.detectObjects('old', { clientId: 'phone', frameId: 1 });
+        const second = service.detectObjects('new', { clientId: 'phone', frameId: 2 });
+
+        await expect(first).rejects.toBeInstanceOf(FrameDroppedError);
+        await expect(first).rejects.toMatchObject({ reason: 'superseded', frameId: 1 });
+        await run(service, pool);
+        await second;
+
+        expect(pool.dispatched).toEqual(['new']);
+        expect(dropped).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'phone', reason: 'superseded' }));
+        expect(service.droppedFrames).toBe(1);
+    });
+
+    test('sheds load from the deepest queue when the shared cap is reached', async () => {
+        const { service, pool } = createService({ maxQueuePerClient: 3 });
+        service.maxQueueSize = 3;
+
+        const a1 = service.detectObjects('a1', { clientId: 'a', frameId: 1 });
+        const rest = [
+            service.detectObjects('a2', { clientId: 'a', frameId: 2 }),
+            service.detectObjects('b1', { clientId: 'b', frameId: 1 }),
+            service.detectObjects('c1', { clientId: 'c', frameId: 1 })
+        ];
+
+        await expect(a1).rejects.toMatchObject({ reason: 'queue-full' });
+        await run(service, pool);
+        await Promise.all(rest);
+
+        expect(pool.dispatched.sort()).toEqual(['a2', 'b1', 'c1']);
+    });
+
+    test('drops the queued frames of a client that disconnects', async () => {
+        const { service } = createService({ maxQueuePerClient: 2 });
+
+        const pending = service.detectObjects('a1', { clientId: 'a', frameId: 1 });
+        service.removeClient('a');
+
+        await expect(pending).rejects.toMatchObject({ reason: 'disconnected' });
+        expect(service.getQueueSize()).toBe(0);
+        expect(service.activeModel.pending).toBe(0);
+    });
+
+    test('does not track frames sent without a client id of their own', async () => {
+        const { service, pool } = createService({ tracking: true });
+        pool.open = true;
+        pool.detect = () => Promise.resolve({
+            batchSize: 1,
+            results: [{ detections: [{ label: 'person', score: 0.9, xmin: 0, ymin: 0, xmax: 0.2, ymax: 0.2 }] }]
+        });
+
+        const [detection] = await service.detectObjects('frame', { clientId: 'anonymous-1', track: false });
+
+        expect(detection.trackId).toBeUndefined();
+        expect(service.trackers.size).toBe(0);
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * Image Processing
+ * Decodes incoming frames and converts them into letterboxed model input tensors
+ */
+
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// YOLOv5 pads letterboxed images with gray (114, 114, 114)
+const DEFAULT_PAD_VALUE = 114;
+
+/**
+ * Convert a frame payload into a Buffer of encoded image bytes.
+ * Accepts data URLs ("data:image/jpeg;base64,..."), bare base64 strings and Buffers.
+ */
+function toImageBuffer(imageData) {
+    if (Buffer.isBuffer(imageData)) {
+        return imageData;
+    }
+
+    if (imageData instanceof Uint8Array) {
+        return Buffer.from(imageData.buffer, imageData.byteOffset, imageData.byteLength);
+    }
+
+    if (typeof imageData !== 'string' || imageData.length === 0) {
+        throw new Error('Image data must be a data URL, base64 string or Buffer');
+    }
+
+    const commaIndex = imageData.startsWith('data:') ? imageData.indexOf(',') : -1;
+    const base64 = commaIndex >= 0 ? imageData.slice(commaIndex + 1) : imageData;
+
+    return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Decode a JPEG or PNG frame into RGBA pixels.
+ * Returns { width, height, data } where data is a Uint8Array of RGBA bytes.
+ */
+function decodeImage(imageData) {
+    const buffer = toImageBuffer(imageData);
+
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { width: decoded.width, height: decoded.height, data: decoded.data };
+    }
+
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+        const decoded = PNG.sync.read(buffer);
+        return { width: decoded.width, height: decoded.height, data: decoded.data };
+    }
+
+    throw new Error('Unsupported image format (expected JPEG or PNG)');
+}
+
+/**
+ * Compute the aspect-preserving resize and padding that fits a source image
+ * into the target model input size. With keepAspect=false the image is
+ * stretched to fill the input instead (as SSD-style models expect).
+ */
+function computeLetterbox(srcWidth, srcHeight, targetWidth, targetHeight, keepAspect = true) {
+    const scale = Math.min(targetWidth / srcWidth, targetHeight / srcHeight);
+    const scaleX = keepAspect ? scale : targetWidth / srcWidth;
+    const scaleY = keepAspect ? scale : targetHeight / srcHeight;
+    const resizedWidth = keepAspect ? Math.round(srcWidth * scale) : targetWidth;
+    const resizedHeight = keepAspect ? Math.round(srcHeight * scale) : targetHeight;
+
+    return {
+        scale,
+        scaleX,
+        scaleY,
+        padX: Math.floor((targetWidth - resizedWidth) / 2),
+        padY: Math.floor((targetHeight - resizedHeight) / 2),
+        resizedWidth,
+        resizedHeight,
+        srcWidth,
+        srcHeight,
+        targetWidth,
+        targetHeight
+    };
+}
+
+/**
+ * Letterbox an RGBA image into a normalized CHW float32 buffer.
+ * Uses bilinear sampling for the resize; padding is filled with padValue / 255.
+ * Options: resize ('letterbox' | 'stretch'), padValue, mean/std (per channel, applied after /255).
+ */
+function letterboxToCHW(image, targetWidth, targetHeight, options = {}) {
+    const padValue = options.padValue !== undefined ? options.padValue : DEFAULT_PAD_VALUE;
+    const mean = options.mean || [0, 0, 0];
+    const std = options.std || [1, 1, 1];
+    const output = options.output || new Float32Array(3 * targetWidth * targetHeight);
+    const offset = options.offset || 0;
+
+    const keepAspect = options.resize !== 'stretch';
+    const letterbox = computeLetterbox(image.width, image.height, targetWidth, targetHeight, keepAspect);
+    const { padX, padY, resizedWidth, resizedHeight } = letterbox;
+    const { width: srcWidth, height: srcHeight, data: pixels } = image;
+
+    const planeSize = targetWidth * targetHeight;
+    const padNormalized = [0, 1, 2].map(c => (padValue / 255 - mean[c]) / std[c]);
+
+    // Ratio between source and resized pixels (half-pixel centers, as in cv2.resize)
+    const ratioX = srcWidth / resizedWidth;
+    const ratioY = srcHeight / resizedHeight;
+
+    for (let y = 0; y < targetHeight; y++) {
+        const ry = y - padY;
+        const insideY = ry >= 0 && ry < resizedHeight;
+
+        let y0 = 0, y1 = 0, wy = 0;
+        if (insideY) {
+            const sy = Math.min(Math.max((ry + 0.5) * ratioY - 0.5, 0), srcHeight - 1);
+            y0 = Math.floor(sy);
+            y1 = Math.min(y0 + 1, srcHeight - 1);
+            wy = sy - y0;
+        }
+
+        for (let x = 0; x < targetWidth; x++) {
+            const tensorIndex = offset + y * targetWidth + x;
+            const rx = x - padX;
+
+            if (!insideY || rx < 0 || rx >= resizedWidth) {
+                output[tensorIndex] = padNormalized[0];
+                output[tensorIndex + planeSize] = padNormalized[1];
+                output[tensorIndex + 2 * planeSize] = padNormalized[2];
+                continue;
+            }
+
+            const sx = Math.min(Math.max((rx + 0.5) * ratioX - 0.5, 0), srcWidth - 1);
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(x0 + 1, srcWidth - 1);
+            const wx = sx - x0;
+
+            const i00 = (y0 * srcWidth + x0) * 4;
+            const i01 = (y0 * srcWidth + x1) * 4;
+            const i10 = (y1 * srcWidth + x0) * 4;
+            const i11 = (y1 * srcWidth + x1) * 4;
+
+            for (let c = 0; c < 3; c++) {
+                const top = pixels[i00 + c] * (1 - wx) + pixels[i01 + c] * wx;
+                const bottom = pixels[i10 + c] * (1 - wx) + pixels[i11 + c] * wx;
+                const value = (top * (1 - wy) + bottom * wy) / 255;
+
+                output[tensorIndex + c * planeSize] = (value - mean[c]) / std[c];
+            }
+        }
+    }
+
+    return { data: output, letterbox };
+}
+
+/**
+ * Map a box in model input pixels back to coordinates normalized to the original frame.
+ */
+function unletterboxBox(box, letterbox) {
+    const { scaleX, scaleY, padX, padY, srcWidth, srcHeight } = letterbox;
+    const clamp = value => Math.min(1, Math.max(0, value));
+
+    return {
+        xmin: clamp((box.xmin - padX) / scaleX / srcWidth),
+        ymin: clamp((box.ymin - padY) / scaleY / srcHeight),
+        xmax: clamp((box.xmax - padX) / scaleX / srcWidth),
+        ymax: clamp((box.ymax - padY) / scaleY / srcHeight)
+    };
+}
+
+/**
+ * Width and height from a JPEG or PNG header, without decoding the pixels.
+ */
+function readImageSize(imageData) {
+    const buffer = toImageBuffer(imageData);
+
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+        // IHDR is always the first chunk
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        let offset = 2;
+        while (offset + 4 <= buffer.length) {
+            const marker = buffer[offset + 1];
+            if (buffer[offset] !== 0xFF || marker === 0xFF) {
+                offset++;
+                continue;
+            }
+
+            // SOF0-SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                if (offset + 9 > buffer.length) break;
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+
+            // Markers without a length field
+            if ((marker >= 0xD0 && marker <= 0xD9) || marker === 0x01) {
+                offset += 2;
+                continue;
+            }
+
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        throw new Error('JPEG has no frame header');
+    }
+
+    throw new Error('Unsupported image format (expected JPEG or PNG)');
+}
+
+/**
+ * Downscale a frame to at most maxWidth pixels wide and re-encode it as JPEG.
+ * Returns a Buffer of JPEG bytes.
+ */
+function createThumbnail(imageData, maxWidth = 160, quality = 60) {
+    const image = decodeImage(imageData);
+    const scale = Math.min(1, maxWidth / image.width);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = Buffer.alloc(width * height * 4);
+
+    // Nearest-neighbour is plenty for a preview
+    for (let y = 0; y < height; y++) {
+        const srcY = Math.min(image.height - 1, Math.floor(y / scale));
+        for (let x = 0; x < width; x++) {
+            const srcX = Math.min(image.width - 1, Math.floor(x / scale));
+            const src = (srcY * image.width + srcX) * 4;
+            const dst = (y * width + x) * 4;
+            data[dst] = image.data[src];
+            data[dst + 1] = image.data[src + 1];
+            data[dst + 2] = image.data[src + 2];
+            data[dst + 3] = 255;
+        }
+    }
+
+    return jpeg.encode({ width, height, data }, quality).data;
+}
+
+module.exports = {
+    DEFAULT_PAD_VALUE,
+    toImageBuffer,
+    decodeImage,
+    computeLetterbox,
+    letterboxToCHW,
+    unletterboxBox,
+    readImageSize,
+    createThumbnail
+};
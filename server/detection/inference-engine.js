@@ -0,0 +1,145 @@
+/**
+ * Inference Engine
+ * Runs preprocessing, ONNX inference and decoding for one model session
+ */
+
+const ort = require('onnxruntime-node');
+const { decodeImage, letterboxToCHW } = require('./image-processing');
+const { getDecoder, sliceBatch } = require('./postprocessing');
+
+const DEFAULT_SESSION_OPTIONS = {
+    executionProviders: ['CPUExecutionProvider'],
+    graphOptimizationLevel: 'all',
+    enableCpuMemArena: true,
+    enableMemPattern: true,
+    executionMode: 'sequential'
+};
+
+class InferenceEngine {
+    constructor(config, session) {
+        this.config = config;
+        this.session = session;
+        this.decoder = getDecoder(config.decoder);
+
+        // Set once a model exported with a fixed batch of 1 rejects a stacked tensor
+        this.batchUnsupported = false;
+    }
+
+    static async create(config, sessionOptions = {}) {
+        // Fail on an unknown decoder before paying for the session load
+        getDecoder(config.decoder);
+
+        const session = await ort.InferenceSession.create(config.path, {
+            ...DEFAULT_SESSION_OPTIONS,
+            ...sessionOptions
+        });
+
+        return new InferenceEngine(config, session);
+    }
+
+    /**
+     * Detect objects in one or more frames.
+     * Frames are stacked into a single [N,C,H,W] tensor when the model allows it.
+     * Returns { results, batchSize } with one { detections } or { error } per frame.
+     */
+    async detect(frames) {
+        const [, channels, height, width] = this.config.inputShape;
+        const itemSize = channels * height * width;
+        const stacked = frames.length > 1 && !this.batchUnsupported;
+        const data = new Float32Array((stacked ? frames.length : 1) * itemSize);
+        const results = new Array(frames.length);
+
+        if (!stacked) {
+            for (let i = 0; i < frames.length; i++) {
+                try {
+                    const letterbox = this.preprocess(frames[i], data, 0);
+                    const outputs = await this.run(data, 1);
+                    results[i] = { detections: this.decode(outputs, 0, letterbox) };
+                } catch (error) {
+                    results[i] = { error: error.message };
+                }
+            }
+            return { results, batchSize: frames.length > 0 ? 1 : 0 };
+        }
+
+        // Letterbox each frame straight into its slot of the stacked tensor
+        const ready = [];
+        frames.forEach((frame, index) => {
+            try {
+                const letterbox = this.preprocess(frame, data, ready.length * itemSize);
+                ready.push({ index, letterbox });
+            } catch (error) {
+                results[index] = { error: error.message };
+            }
+        });
+
+        if (ready.length === 0) {
+            return { results, batchSize: 0 };
+        }
+
+        let outputs;
+        try {
+            outputs = await this.run(data.subarray(0, ready.length * itemSize), ready.length);
+        } catch (error) {
+            if (ready.length === 1) throw error;
+
+            console.warn(`⚠️ ${this.config.name} rejected a batch of ${ready.length}, disabling batching for it:`, error.message);
+            this.batchUnsupported = true;
+
+            const retry = await this.detect(ready.map(({ index }) => frames[index]));
+            ready.forEach(({ index }, i) => { results[index] = retry.results[i]; });
+            return { results, batchSize: retry.batchSize };
+        }
+
+        // Split the batched outputs back to each frame
+        ready.forEach(({ index, letterbox }, batchIndex) => {
+            try {
+                results[index] = { detections: this.decode(outputs, batchIndex, letterbox) };
+            } catch (error) {
+                results[index] = { error: error.message };
+            }
+        });
+
+        return { results, batchSize: ready.length };
+    }
+
+    preprocess(imageData, output, offset) {
+        // Decode the JPEG/PNG frame and letterbox it into the model's input size.
+        // The letterbox scale/offset is kept so boxes can be mapped back to the original frame.
+        const [, , height, width] = this.config.inputShape;
+        const image = decodeImage(imageData);
+        const { letterbox } = letterboxToCHW(image, width, height, {
+            ...this.config.preprocess,
+            output,
+            offset
+        });
+
+        return letterbox;
+    }
+
+    async run(data, batchSize) {
+        const [, channels, height, width] = this.config.inputShape;
+        const tensor = new ort.Tensor('float32', data, [batchSize, channels, height, width]);
+        const results = await this.session.run({ [this.session.inputNames[0]]: tensor });
+
+        // Outputs in session.outputNames order, as the decoders expect
+        return this.session.outputNames.map(name => results[name]);
+    }
+
+    decode(outputs, batchIndex, letterbox) {
+        // Decoder is chosen by the model's "decoder" entry in models/config.json
+        return this.decoder(outputs.map(output => sliceBatch(output, batchIndex)), {
+            model: this.config,
+            classNames: this.config.classNames,
+            letterbox,
+            confidenceThreshold: this.config.confidenceThreshold,
+            nmsThreshold: this.config.nmsThreshold
+        });
+    }
+
+    async release() {
+        await this.session.release();
+    }
+}
+
+module.exports = InferenceEngine;
@@ -0,0 +1,252 @@
+/**
+ * Inference Pool
+ * Spreads inference across worker_threads so session.run never blocks the main event loop
+ */
+
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'inference-worker.js');
+
+// Messages that occupy a worker's queue and count toward its load and stats
+const WORK_TYPES = new Set(['detect', 'thumbnail']);
+
+class InferencePool extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.size = Math.max(1, options.size || InferencePool.defaultSize());
+        this.maxQueueDepth = Math.max(1, options.maxQueueDepth || 2);
+        this.workerScript = options.workerScript || WORKER_SCRIPT;
+        this.restartDelayMs = options.restartDelayMs !== undefined ? options.restartDelayMs : 1000;
+
+        // Split the CPU between workers instead of letting every session grab all cores
+        this.sessionOptions = options.sessionOptions || {
+            intraOpNumThreads: Math.max(1, Math.floor(os.cpus().length / this.size))
+        };
+
+        this.workers = [];
+        this.models = new Map(); // modelId -> config, replayed into restarted workers
+        this.nextModelId = 0;
+        this.nextMessageId = 0;
+        this.cursor = 0;
+        this.terminated = false;
+    }
+
+    static defaultSize() {
+        // Leave one core for the event loop (signaling, Socket.IO)
+        return Math.max(1, Math.min(4, os.cpus().length - 1));
+    }
+
+    start() {
+        this.terminated = false;
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawnWorker(i));
+        }
+        console.log(`🧵 Inference pool started with ${this.size} worker(s)`);
+    }
+
+    spawnWorker(index, previous = null) {
+        const worker = new Worker(this.workerScript, {
+            workerData: { index, sessionOptions: this.sessionOptions }
+        });
+
+        const state = {
+            index,
+            worker,
+            state: 'starting',
+            pending: new Map(),
+            queueDepth: 0,
+            processed: 0,
+            failed: 0,
+            restarts: previous ? previous.restarts + 1 : 0,
+            lastLatencyMs: null,
+            lastError: previous ? previous.lastError : null,
+            startedAt: Date.now()
+        };
+
+        worker.on('message', (message) => this.handleMessage(state, message));
+        worker.on('error', (error) => {
+            console.error(`❌ Inference worker ${index} crashed:`, error);
+            state.lastError = error.message;
+        });
+        worker.on('exit', (code) => this.handleExit(state, code));
+
+        // A new worker must load every active model before it takes frames
+        this.loadModelsInto(state, Array.from(this.models.entries()))
+            .then(() => {
+                state.state = 'ready';
+                this.emit('worker-ready', index);
+            })
+            .catch((error) => {
+                console.error(`❌ Inference worker ${index} failed to load models:`, error.message);
+                state.lastError = error.message;
+                state.state = 'failed';
+            });
+
+        return state;
+    }
+
+    async loadModelsInto(state, entries) {
+        for (const [modelId, config] of entries) {
+            await this.send(state, { type: 'load', modelId, config });
+        }
+    }
+
+    handleMessage(state, message) {
+        const entry = state.pending.get(message.id);
+        if (!entry) return;
+
+        state.pending.delete(message.id);
+
+        if (WORK_TYPES.has(entry.type)) {
+            state.queueDepth--;
+            state.lastLatencyMs = Date.now() - entry.startedAt;
+            if (message.error) {
+                state.failed++;
+            } else {
+                state.processed++;
+            }
+        }
+
+        if (message.error) {
+            state.lastError = message.error;
+            entry.reject(new Error(message.error));
+        } else {
+            entry.resolve(message.result);
+        }
+    }
+
+    handleExit(state, code) {
+        state.state = 'exited';
+
+        // Nothing will answer the in-flight messages any more
+        const error = new Error(`Inference worker ${state.index} exited with code ${code}`);
+        for (const entry of state.pending.values()) {
+            entry.reject(error);
+        }
+        state.pending.clear();
+        state.queueDepth = 0;
+
+        if (this.terminated) return;
+
+        console.log(`🔁 Restarting inference worker ${state.index} in ${this.restartDelayMs}ms`);
+        state.state = 'restarting';
+
+        setTimeout(() => {
+            if (this.terminated) return;
+            this.workers[state.index] = this.spawnWorker(state.index, state);
+        }, this.restartDelayMs);
+    }
+
+    send(state, message) {
+        const id = ++this.nextMessageId;
+
+        return new Promise((resolve, reject) => {
+            state.pending.set(id, { type: message.type, resolve, reject, startedAt: Date.now() });
+            if (WORK_TYPES.has(message.type)) {
+                state.queueDepth++;
+            }
+            state.worker.postMessage({ ...message, id });
+        });
+    }
+
+    async loadModel(config) {
+        const modelId = `${config.name}#${++this.nextModelId}`;
+
+        // Registered first so workers restarting mid-load pick it up as well
+        this.models.set(modelId, config);
+
+        const live = this.workers.filter(state => state.state === 'ready' || state.state === 'starting');
+        if (live.length === 0) {
+            this.models.delete(modelId);
+            throw new Error('No inference workers available');
+        }
+
+        try {
+            await Promise.all(live.map(state => this.send(state, { type: 'load', modelId, config })));
+        } catch (error) {
+            await this.releaseModel(modelId);
+            throw error;
+        }
+
+        return modelId;
+    }
+
+    async releaseModel(modelId) {
+        this.models.delete(modelId);
+
+        const live = this.workers.filter(state => state.state === 'ready' || state.state === 'starting');
+        await Promise.all(live.map(state =>
+            this.send(state, { type: 'release', modelId }).catch(() => {})
+        ));
+    }
+
+    hasCapacity() {
+        return this.workers.some(state => state.state === 'ready' && state.queueDepth < this.maxQueueDepth);
+    }
+
+    pickWorker() {
+        // Round-robin over ready workers, skipping any whose queue is full
+        for (let i = 0; i < this.workers.length; i++) {
+            const state = this.workers[(this.cursor + i) % this.workers.length];
+            if (state.state === 'ready' && state.queueDepth < this.maxQueueDepth) {
+                this.cursor = (state.index + 1) % this.workers.length;
+                return state;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Run detection for a list of frames on the next available worker.
+     * Resolves to { results, batchSize } as returned by InferenceEngine.detect().
+     */
+    detect(modelId, frames) {
+        const state = this.pickWorker();
+        if (!state) {
+            return Promise.reject(new Error('No inference worker has capacity'));
+        }
+        return this.send(state, { type: 'detect', modelId, frames });
+    }
+
+    /**
+     * Downscale and JPEG-encode a frame on a worker (see createThumbnail).
+     * Resolves to the JPEG bytes as a Uint8Array.
+     */
+    thumbnail(imageData, maxWidth) {
+        const state = this.pickWorker();
+        if (!state) {
+            return Promise.reject(new Error('No inference worker has capacity'));
+        }
+        return this.send(state, { type: 'thumbnail', imageData, maxWidth });
+    }
+
+    async terminate() {
+        this.terminated = true;
+        await Promise.all(this.workers.map(state => state.worker.terminate()));
+        this.workers = [];
+        this.models.clear();
+    }
+
+    getStatus() {
+        const now = Date.now();
+
+        return this.workers.map(state => ({
+            id: state.index,
+            threadId: state.worker.threadId,
+            state: state.state,
+            healthy: state.state === 'ready',
+            queueDepth: state.queueDepth,
+            processed: state.processed,
+            failed: state.failed,
+            restarts: state.restarts,
+            lastLatencyMs: state.lastLatencyMs,
+            lastError: state.lastError,
+            uptimeMs: now - state.startedAt
+        }));
+    }
+}
+
+module.exports = InferencePool;
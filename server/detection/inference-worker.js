@@ -0,0 +1,58 @@
+/**
+ * Inference Worker
+ * worker_threads entry point that owns its own ONNX sessions, one per loaded model
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const InferenceEngine = require('./inference-engine');
+const { createThumbnail } = require('./image-processing');
+
+const engines = new Map();
+const sessionOptions = (workerData && workerData.sessionOptions) || {};
+
+const handlers = {
+    async load({ modelId, config }) {
+        if (!engines.has(modelId)) {
+            engines.set(modelId, await InferenceEngine.create(config, sessionOptions));
+        }
+        return { modelId };
+    },
+
+    async detect({ modelId, frames }) {
+        const engine = engines.get(modelId);
+        if (!engine) {
+            throw new Error(`Model ${modelId} is not loaded in this worker`);
+        }
+        return engine.detect(frames);
+    },
+
+    async thumbnail({ imageData, maxWidth }) {
+        return createThumbnail(imageData, maxWidth);
+    },
+
+    async release({ modelId }) {
+        const engine = engines.get(modelId);
+        if (engine) {
+            engines.delete(modelId);
+            await engine.release();
+        }
+        return { modelId };
+    }
+};
+
+// Messages are handled one at a time so a session never runs concurrently
+let queue = Promise.resolve();
+
+parentPort.on('message', (message) => {
+    queue = queue.then(async () => {
+        try {
+            const handler = handlers[message.type];
+            if (!handler) {
+                throw new Error(`Unknown worker message: ${message.type}`);
+            }
+            parentPort.postMessage({ id: message.id, result: await handler(message) });
+        } catch (error) {
+            parentPort.postMessage({ id: message.id, error: error.message });
+        }
+    });
+});
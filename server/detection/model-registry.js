@@ -0,0 +1,159 @@
+/**
+ * Model Registry
+ * Loads model definitions from models/config.json so new models can be added without code changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '../../');
+const DEFAULT_CONFIG_PATH = path.join(PROJECT_ROOT, 'models/config.json');
+
+class ModelRegistry {
+    constructor(configPath = DEFAULT_CONFIG_PATH) {
+        this.configPath = configPath;
+        this.models = new Map();
+        this.classLists = {};
+        this.defaultModel = null;
+        this.defaults = {
+            confidenceThreshold: 0.5,
+            nmsThreshold: 0.4
+        };
+        this.loaded = false;
+    }
+
+    async load() {
+        const raw = await fs.promises.readFile(this.configPath, 'utf8');
+        this.applyConfig(JSON.parse(raw));
+        return this;
+    }
+
+    loadSync() {
+        const raw = fs.readFileSync(this.configPath, 'utf8');
+        this.applyConfig(JSON.parse(raw));
+        return this;
+    }
+
+    applyConfig(config) {
+        if (!config || typeof config.models !== 'object') {
+            throw new Error(`Invalid model config at ${this.configPath}: missing "models"`);
+        }
+
+        const defaults = { ...this.defaults };
+        if (typeof config.confidence_threshold === 'number') {
+            defaults.confidenceThreshold = config.confidence_threshold;
+        }
+
+        if (typeof config.nms_threshold === 'number') {
+            defaults.nmsThreshold = config.nms_threshold;
+        }
+
+        const classLists = config.classLists || {};
+
+        // Validate every entry before touching the live state, so a bad edit
+        // leaves the previous models in place
+        const models = new Map();
+        for (const [name, entry] of Object.entries(config.models)) {
+            models.set(name, this.normalizeEntry(name, entry, classLists, defaults));
+        }
+
+        this.defaults = defaults;
+        this.classLists = classLists;
+        this.models = models;
+        this.defaultModel = config.default && models.has(config.default)
+            ? config.default
+            : models.keys().next().value || null;
+
+        this.loaded = true;
+    }
+
+    normalizeEntry(name, entry, classLists, defaults = this.defaults) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`Model "${name}" must be an object`);
+        }
+
+        if (!entry.path) {
+            throw new Error(`Model "${name}" is missing "path"`);
+        }
+
+        if (!Array.isArray(entry.inputShape) || entry.inputShape.length !== 4) {
+            throw new Error(`Model "${name}" needs a 4D "inputShape" ([N, C, H, W])`);
+        }
+
+        // classNames may be inline or reference a shared list in "classLists"
+        let classNames = entry.classNames || [];
+        if (typeof classNames === 'string') {
+            if (!Array.isArray(classLists[classNames])) {
+                throw new Error(`Model "${name}" references unknown class list "${classNames}"`);
+            }
+            classNames = classLists[classNames];
+        }
+
+        return {
+            name,
+            path: path.resolve(PROJECT_ROOT, entry.path),
+            relativePath: entry.path,
+            type: entry.type || 'onnx',
+            decoder: entry.decoder || 'yolov5',
+            inputShape: entry.inputShape,
+            outputShape: entry.outputShape || null,
+            outputLayout: entry.outputLayout || null,
+            anchors: entry.anchors || null,
+            variances: entry.variances || null,
+            boxEncoding: entry.boxEncoding || null,
+            scoreActivation: entry.scoreActivation || null,
+            classNames,
+            confidenceThreshold: typeof entry.confidenceThreshold === 'number'
+                ? entry.confidenceThreshold
+                : defaults.confidenceThreshold,
+            nmsThreshold: typeof entry.nmsThreshold === 'number'
+                ? entry.nmsThreshold
+                : defaults.nmsThreshold,
+            preprocess: entry.preprocess || {},
+            url: entry.url || null,
+            size: entry.size || null,
+            description: entry.description || name
+        };
+    }
+
+    /**
+     * A shared class list from "classLists" (e.g. "coco91"), or null if absent.
+     */
+    getClassList(name) {
+        return Array.isArray(this.classLists[name]) ? this.classLists[name] : null;
+    }
+
+    has(name) {
+        return this.models.has(name);
+    }
+
+    get(name) {
+        const model = this.models.get(name);
+        if (!model) {
+            throw new Error(`Unknown model: ${name}`);
+        }
+        return model;
+    }
+
+    getDefaultName() {
+        return this.defaultModel;
+    }
+
+    getDefault() {
+        return this.defaultModel ? this.get(this.defaultModel) : null;
+    }
+
+    list() {
+        return Array.from(this.models.values());
+    }
+
+    getNames() {
+        // Default model first, then the rest in declaration order
+        const names = Array.from(this.models.keys());
+        if (!this.defaultModel) return names;
+        return [this.defaultModel, ...names.filter(name => name !== this.defaultModel)];
+    }
+}
+
+module.exports = ModelRegistry;
+module.exports.DEFAULT_CONFIG_PATH = DEFAULT_CONFIG_PATH;
@@ -0,0 +1,338 @@
+/**
+ * Detection Postprocessing
+ * Decodes raw model output tensors into normalized detections
+ */
+
+const { unletterboxBox } = require('./image-processing');
+
+/**
+ * Intersection over Union of two boxes in the same coordinate space.
+ */
+function calculateIoU(box1, box2) {
+    const x1 = Math.max(box1.xmin, box2.xmin);
+    const y1 = Math.max(box1.ymin, box2.ymin);
+    const x2 = Math.min(box1.xmax, box2.xmax);
+    const y2 = Math.min(box1.ymax, box2.ymax);
+
+    if (x2 <= x1 || y2 <= y1) return 0;
+
+    const intersection = (x2 - x1) * (y2 - y1);
+    const area1 = (box1.xmax - box1.xmin) * (box1.ymax - box1.ymin);
+    const area2 = (box2.xmax - box2.xmin) * (box2.ymax - box2.ymin);
+    const union = area1 + area2 - intersection;
+
+    return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Class-aware greedy Non-Maximum Suppression.
+ * Boxes only suppress each other when they share the same classId.
+ */
+function nonMaxSuppression(detections, iouThreshold, maxDetections = 100) {
+    const sorted = [...detections].sort((a, b) => b.score - a.score);
+    const keptByClass = new Map();
+    const kept = [];
+
+    for (const detection of sorted) {
+        const sameClass = keptByClass.get(detection.classId) || [];
+        const suppressed = sameClass.some(other => calculateIoU(detection, other) > iouThreshold);
+
+        if (suppressed) continue;
+
+        sameClass.push(detection);
+        keptByClass.set(detection.classId, sameClass);
+        kept.push(detection);
+
+        if (kept.length >= maxDetections) break;
+    }
+
+    return kept;
+}
+
+/**
+ * Decode a YOLOv5 output tensor of shape [1, N, 5 + numClasses].
+ * Each row is (cx, cy, w, h, objectness, class scores...) in model input pixels.
+ */
+function decodeYoloV5(output, options) {
+    const {
+        classNames,
+        letterbox,
+        confidenceThreshold = 0.5,
+        nmsThreshold = 0.4,
+        maxDetections = 100
+    } = options;
+
+    const data = output.data;
+    const [, numBoxes, rowSize] = output.dims;
+    const numClasses = rowSize - 5;
+    const candidates = [];
+
+    for (let i = 0; i < numBoxes; i++) {
+        const offset = i * rowSize;
+        const objectness = data[offset + 4];
+
+        // Cheap early exit: the final score can never exceed objectness
+        if (objectness < confidenceThreshold) continue;
+
+        let bestClass = 0;
+        let bestClassScore = 0;
+        for (let c = 0; c < numClasses; c++) {
+            const classScore = data[offset + 5 + c];
+            if (classScore > bestClassScore) {
+                bestClassScore = classScore;
+                bestClass = c;
+            }
+        }
+
+        const score = objectness * bestClassScore;
+        if (score < confidenceThreshold) continue;
+
+        const centerX = data[offset];
+        const centerY = data[offset + 1];
+        const width = data[offset + 2];
+        const height = data[offset + 3];
+
+        const box = unletterboxBox({
+            xmin: centerX - width / 2,
+            ymin: centerY - height / 2,
+            xmax: centerX + width / 2,
+            ymax: centerY + height / 2
+        }, letterbox);
+
+        if (box.xmax <= box.xmin || box.ymax <= box.ymin) continue;
+
+        candidates.push({
+            classId: bestClass,
+            label: classNames[bestClass] || `class_${bestClass}`,
+            score,
+            ...box
+        });
+    }
+
+    return nonMaxSuppression(candidates, nmsThreshold, maxDetections)
+        .map(({ classId, ...detection }) => detection);
+}
+
+// Default SSD MobileNet v1 (300x300) prior layout, matching the TF Object Detection API
+const DEFAULT_SSD_ANCHORS = {
+    featureMapSizes: [19, 10, 5, 3, 2, 1],
+    minScale: 0.2,
+    maxScale: 0.95,
+    aspectRatios: [1.0, 2.0, 0.5, 3.0, 0.3333],
+    interpolatedScaleAspectRatio: 1.0,
+    reduceBoxesInLowestLayer: true
+};
+
+const DEFAULT_SSD_VARIANCES = [0.1, 0.1, 0.2, 0.2];
+
+const priorCache = new Map();
+
+/**
+ * Generate SSD prior boxes as a flat Float32Array of (cy, cx, h, w), normalized to [0, 1].
+ * Ordering is layer by layer, then row-major grid cell, then box spec, as the model emits them.
+ */
+function generateSSDPriors(spec = {}) {
+    const anchors = { ...DEFAULT_SSD_ANCHORS, ...spec };
+    const cacheKey = JSON.stringify(anchors);
+
+    if (priorCache.has(cacheKey)) {
+        return priorCache.get(cacheKey);
+    }
+
+    const { featureMapSizes, minScale, maxScale, aspectRatios } = anchors;
+    const numLayers = featureMapSizes.length;
+    const scales = featureMapSizes.map((_, i) =>
+        numLayers > 1 ? minScale + (maxScale - minScale) * i / (numLayers - 1) : minScale
+    );
+    scales.push(1.0);
+
+    const priors = [];
+
+    featureMapSizes.forEach((size, layer) => {
+        const scale = scales[layer];
+        const nextScale = scales[layer + 1];
+
+        // (scale, aspectRatio) pairs for every grid cell in this layer
+        let boxSpecs;
+        if (layer === 0 && anchors.reduceBoxesInLowestLayer) {
+            boxSpecs = [[0.1, 1.0], [scale, 2.0], [scale, 0.5]];
+        } else {
+            boxSpecs = aspectRatios.map(ratio => [scale, ratio]);
+            if (anchors.interpolatedScaleAspectRatio > 0) {
+                boxSpecs.push([Math.sqrt(scale * nextScale), anchors.interpolatedScaleAspectRatio]);
+            }
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const cy = (y + 0.5) / size;
+                const cx = (x + 0.5) / size;
+
+                for (const [boxScale, ratio] of boxSpecs) {
+                    const sqrtRatio = Math.sqrt(ratio);
+                    priors.push(cy, cx, boxScale / sqrtRatio, boxScale * sqrtRatio);
+                }
+            }
+        }
+    });
+
+    const result = Float32Array.from(priors);
+    priorCache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Decode SSD outputs: box encodings [1, N, 4] and class logits [1, N, numClasses].
+ * Class 0 is background; classNames entries that are null (unused COCO-91 ids) are skipped.
+ */
+function decodeSSD(boxesTensor, scoresTensor, options) {
+    const {
+        model = {},
+        classNames,
+        letterbox,
+        confidenceThreshold = 0.5,
+        nmsThreshold = 0.4,
+        maxDetections = 100
+    } = options;
+
+    const priors = generateSSDPriors(model.anchors && !Array.isArray(model.anchors) ? model.anchors : {});
+    const variances = model.variances || DEFAULT_SSD_VARIANCES;
+    const encoding = model.boxEncoding || 'yxhw';
+    const useSoftmax = (model.scoreActivation || 'softmax') === 'softmax';
+
+    const boxes = boxesTensor.data;
+    const scores = scoresTensor.data;
+    const [, numPriors, numClasses] = scoresTensor.dims;
+    const { targetWidth, targetHeight } = letterbox;
+
+    if (priors.length / 4 !== numPriors) {
+        throw new Error(`SSD prior count ${priors.length / 4} does not match model output ${numPriors}`);
+    }
+
+    const candidates = [];
+
+    for (let i = 0; i < numPriors; i++) {
+        const offset = i * numClasses;
+
+        let maxLogit = -Infinity;
+        for (let c = 0; c < numClasses; c++) {
+            if (scores[offset + c] > maxLogit) maxLogit = scores[offset + c];
+        }
+
+        let sum = 0;
+        if (useSoftmax) {
+            for (let c = 0; c < numClasses; c++) {
+                sum += Math.exp(scores[offset + c] - maxLogit);
+            }
+        }
+
+        let bestClass = -1;
+        let bestScore = 0;
+        for (let c = 1; c < numClasses; c++) {
+            if (!classNames[c]) continue;
+
+            const score = useSoftmax
+                ? Math.exp(scores[offset + c] - maxLogit) / sum
+                : 1 / (1 + Math.exp(-scores[offset + c]));
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestClass = c;
+            }
+        }
+
+        if (bestClass < 0 || bestScore < confidenceThreshold) continue;
+
+        // Box encodings are offsets relative to the prior, scaled by the variances
+        const b = i * 4;
+        const [ty, tx, th, tw] = encoding === 'xywh'
+            ? [boxes[b + 1], boxes[b], boxes[b + 3], boxes[b + 2]]
+            : [boxes[b], boxes[b + 1], boxes[b + 2], boxes[b + 3]];
+
+        const priorCy = priors[b];
+        const priorCx = priors[b + 1];
+        const priorH = priors[b + 2];
+        const priorW = priors[b + 3];
+
+        const cy = ty * variances[0] * priorH + priorCy;
+        const cx = tx * variances[1] * priorW + priorCx;
+        const h = Math.exp(th * variances[2]) * priorH;
+        const w = Math.exp(tw * variances[3]) * priorW;
+
+        // Normalized model input coordinates -> input pixels -> original frame
+        const box = unletterboxBox({
+            xmin: (cx - w / 2) * targetWidth,
+            ymin: (cy - h / 2) * targetHeight,
+            xmax: (cx + w / 2) * targetWidth,
+            ymax: (cy + h / 2) * targetHeight
+        }, letterbox);
+
+        if (box.xmax <= box.xmin || box.ymax <= box.ymin) continue;
+
+        candidates.push({
+            classId: bestClass,
+            label: classNames[bestClass],
+            score: bestScore,
+            ...box
+        });
+    }
+
+    return nonMaxSuppression(candidates, nmsThreshold, maxDetections)
+        .map(({ classId, ...detection }) => detection);
+}
+
+/**
+ * Pick the SSD box and score tensors from the model outputs by their last dimension.
+ */
+function splitSSDOutputs(outputs) {
+    const boxes = outputs.find(output => output.dims[output.dims.length - 1] === 4);
+    const scores = outputs.find(output => output !== boxes);
+
+    if (!boxes || !scores) {
+        throw new Error('SSD model must output box encodings [1, N, 4] and class scores [1, N, C]');
+    }
+
+    return { boxes, scores };
+}
+
+/**
+ * View one item of a batched output tensor as a [1, ...] tensor without copying.
+ */
+function sliceBatch(tensor, index) {
+    const [batchSize, ...itemDims] = tensor.dims;
+    if (batchSize === 1 && index === 0) return tensor;
+
+    const itemSize = tensor.data.length / batchSize;
+    return {
+        data: tensor.data.subarray(index * itemSize, (index + 1) * itemSize),
+        dims: [1, ...itemDims]
+    };
+}
+
+// Decoder implementations keyed by the "decoder" field in models/config.json.
+// Each receives the model outputs in session.outputNames order.
+const DECODERS = {
+    yolov5: (outputs, options) => decodeYoloV5(outputs[0], options),
+    ssd: (outputs, options) => {
+        const { boxes, scores } = splitSSDOutputs(outputs);
+        return decodeSSD(boxes, scores, options);
+    }
+};
+
+function getDecoder(type) {
+    const decoder = DECODERS[type];
+    if (!decoder) {
+        throw new Error(`Unsupported decoder type: ${type}`);
+    }
+    return decoder;
+}
+
+module.exports = {
+    calculateIoU,
+    nonMaxSuppression,
+    decodeYoloV5,
+    generateSSDPriors,
+    decodeSSD,
+    sliceBatch,
+    getDecoder
+};
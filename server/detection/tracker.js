@@ -0,0 +1,298 @@
+/**
+ * Object Tracker
+ * SORT-style multi-object tracking: Kalman motion model with Hungarian IoU matching
+ */
+
+const { calculateIoU } = require('./postprocessing');
+
+// Boxes are tracked in a 1000x1000 virtual frame so the SORT noise constants
+// (tuned for pixel coordinates) apply to our normalized boxes
+const TRACK_SCALE = 1000;
+
+const DEFAULT_OPTIONS = {
+    iouThreshold: 0.3,   // Minimum IoU for a detection to continue a track
+    minHits: 3,          // Matched frames before a track gets an ID
+    maxMisses: 5,        // Frames a track may go unmatched before it is removed
+    classAware: true     // Only match detections and tracks with the same label
+};
+
+/**
+ * Constant-velocity Kalman filter over one coordinate (position + velocity).
+ * SORT's 7-state model is block diagonal, so it splits into these exactly.
+ */
+class AxisFilter {
+    constructor(position, options) {
+        this.position = position;
+        this.velocity = 0;
+        this.p00 = options.positionVariance;
+        this.p01 = 0;
+        this.p11 = options.velocityVariance;
+        this.processNoise = options.processNoise;
+        this.velocityNoise = options.velocityNoise;
+        this.measurementNoise = options.measurementNoise;
+        this.hasVelocity = options.velocityVariance > 0;
+    }
+
+    predict() {
+        if (!this.hasVelocity) {
+            this.p00 += this.processNoise;
+            return;
+        }
+
+        this.position += this.velocity;
+        this.p00 += 2 * this.p01 + this.p11 + this.processNoise;
+        this.p01 += this.p11;
+        this.p11 += this.velocityNoise;
+    }
+
+    update(measurement) {
+        const innovation = measurement - this.position;
+        const s = this.p00 + this.measurementNoise;
+        const k0 = this.p00 / s;
+        const k1 = this.hasVelocity ? this.p01 / s : 0;
+
+        this.position += k0 * innovation;
+        this.velocity += k1 * innovation;
+
+        this.p11 -= k1 * this.p01;
+        this.p00 *= 1 - k0;
+        this.p01 *= 1 - k0;
+    }
+}
+
+class Track {
+    constructor(id, detection) {
+        this.id = id;
+        this.label = detection.label;
+        this.hits = 1;
+        this.misses = 0;
+        this.age = 1;
+        this.confirmed = false;
+
+        const { cx, cy, area, ratio } = toMeasurement(detection);
+
+        // Noise settings from SORT: R = diag(1, 1, 10, 10), P0 = 10 (x1000 for
+        // velocities), Q = 1 for positions and 0.01 / 0.0001 for velocities
+        this.cx = new AxisFilter(cx, { positionVariance: 10, velocityVariance: 10000, processNoise: 1, velocityNoise: 0.01, measurementNoise: 1 });
+        this.cy = new AxisFilter(cy, { positionVariance: 10, velocityVariance: 10000, processNoise: 1, velocityNoise: 0.01, measurementNoise: 1 });
+        this.area = new AxisFilter(area, { positionVariance: 10, velocityVariance: 10000, processNoise: 1, velocityNoise: 0.0001, measurementNoise: 10 });
+        this.ratio = new AxisFilter(ratio, { positionVariance: 10, velocityVariance: 0, processNoise: 1, velocityNoise: 0, measurementNoise: 10 });
+    }
+
+    predict() {
+        // Area must stay positive; freeze its velocity if it would shrink past zero
+        if (this.area.position + this.area.velocity <= 0) {
+            this.area.velocity = 0;
+        }
+
+        this.cx.predict();
+        this.cy.predict();
+        this.area.predict();
+        this.ratio.predict();
+        this.age++;
+
+        return this.getBox();
+    }
+
+    update(detection) {
+        const { cx, cy, area, ratio } = toMeasurement(detection);
+
+        this.cx.update(cx);
+        this.cy.update(cy);
+        this.area.update(area);
+        this.ratio.update(ratio);
+
+        this.hits++;
+        this.misses = 0;
+    }
+
+    getBox() {
+        const area = Math.max(this.area.position, 0);
+        const ratio = Math.max(this.ratio.position, 1e-6);
+        const width = Math.sqrt(area * ratio);
+        const height = width > 0 ? area / width : 0;
+
+        return {
+            xmin: (this.cx.position - width / 2) / TRACK_SCALE,
+            ymin: (this.cy.position - height / 2) / TRACK_SCALE,
+            xmax: (this.cx.position + width / 2) / TRACK_SCALE,
+            ymax: (this.cy.position + height / 2) / TRACK_SCALE
+        };
+    }
+}
+
+function toMeasurement(box) {
+    const width = (box.xmax - box.xmin) * TRACK_SCALE;
+    const height = (box.ymax - box.ymin) * TRACK_SCALE;
+
+    return {
+        cx: (box.xmin + box.xmax) / 2 * TRACK_SCALE,
+        cy: (box.ymin + box.ymax) / 2 * TRACK_SCALE,
+        area: width * height,
+        ratio: height > 0 ? width / height : 1
+    };
+}
+
+/**
+ * Minimum-cost assignment (Hungarian algorithm, O(n^3)) for a rows x cols cost matrix.
+ * Returns, for every row, the assigned column or -1.
+ */
+function hungarian(cost) {
+    const rows = cost.length;
+    const cols = rows > 0 ? cost[0].length : 0;
+    if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+
+    // Pad to a square matrix; padded cells cost the same, so they never change the optimum
+    const n = Math.max(rows, cols);
+    const padCost = cost.reduce((max, row) => Math.max(max, ...row), 0) + 1;
+    const at = (i, j) => (i < rows && j < cols ? cost[i][j] : padCost);
+
+    // 1-indexed potentials (u, v), column owners (p) and back-pointers (way)
+    const u = new Float64Array(n + 1);
+    const v = new Float64Array(n + 1);
+    const p = new Int32Array(n + 1);
+    const way = new Int32Array(n + 1);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Float64Array(n + 1).fill(Infinity);
+        const used = new Uint8Array(n + 1);
+
+        do {
+            used[j0] = 1;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const current = at(i0 - 1, j - 1) - u[i0] - v[j];
+                if (current < minv[j]) {
+                    minv[j] = current;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[p[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+
+            j0 = j1;
+        } while (p[j0] !== 0);
+
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= n; j++) {
+        const row = p[j] - 1;
+        const col = j - 1;
+        if (row < rows && col < cols) {
+            assignment[row] = col;
+        }
+    }
+    return assignment;
+}
+
+class ObjectTracker {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.tracks = [];
+        this.nextId = 1;
+        this.frameCount = 0;
+    }
+
+    /**
+     * Match one frame of detections against the current tracks.
+     * Returns the detections (same order) with a trackId, or trackId null while
+     * a track is still tentative.
+     */
+    update(detections) {
+        const { iouThreshold, minHits, maxMisses, classAware } = this.options;
+        this.frameCount++;
+
+        const predicted = this.tracks.map(track => track.predict());
+
+        // Cost is 1 - IoU; pairs with different labels can never match
+        const cost = detections.map(detection => predicted.map((box, t) => {
+            if (classAware && this.tracks[t].label !== detection.label) return 1;
+            return 1 - calculateIoU(detection, box);
+        }));
+
+        const assignment = hungarian(cost);
+        const matchedTracks = new Set();
+        const trackForDetection = new Array(detections.length).fill(null);
+
+        assignment.forEach((t, d) => {
+            if (t < 0 || 1 - cost[d][t] < iouThreshold) return;
+
+            const track = this.tracks[t];
+            track.update(detections[d]);
+            matchedTracks.add(track);
+            trackForDetection[d] = track;
+        });
+
+        this.tracks.forEach((track) => {
+            if (!matchedTracks.has(track)) {
+                track.misses++;
+            }
+        });
+
+        // Unmatched detections start tentative tracks
+        detections.forEach((detection, d) => {
+            if (trackForDetection[d]) return;
+            const track = new Track(this.nextId++, detection);
+            this.tracks.push(track);
+            trackForDetection[d] = track;
+        });
+
+        this.tracks = this.tracks.filter(track => track.misses <= maxMisses);
+
+        return detections.map((detection, d) => {
+            const track = trackForDetection[d];
+
+            // Confirmation is sticky: a confirmed track keeps its ID through short misses.
+            // During the first frames every track is reported so IDs show up immediately.
+            if (track.hits >= minHits || this.frameCount <= minHits) {
+                track.confirmed = true;
+            }
+
+            return { ...detection, trackId: track.confirmed ? track.id : null };
+        });
+    }
+
+    getTracks() {
+        return this.tracks
+            .filter(track => track.confirmed)
+            .map(track => ({
+                trackId: track.id,
+                label: track.label,
+                hits: track.hits,
+                misses: track.misses,
+                age: track.age,
+                ...track.getBox()
+            }));
+    }
+
+    reset() {
+        this.tracks = [];
+        this.frameCount = 0;
+    }
+}
+
+module.exports = ObjectTracker;
+module.exports.hungarian = hungarian;
@@ -0,0 +1,156 @@
+const EventEmitter = require('events');
+const ObjectTracker = require('./tracker');
+const { hungarian } = require('./tracker');
+const ObjectDetectionService = require('./detection-service');
+
+function box(label, x, y, size = 0.2) {
+    return { label, score: 0.9, xmin: x, ymin: y, xmax: x + size, ymax: y + size };
+}
+
+describe('hungarian', () => {
+    test('finds the minimum-cost assignment, not the greedy one', () => {
+        // Greedy would take (0,0)=1 and then be forced into (1,1)=10
+        const cost = [
+            [1, 2],
+            [2, 10]
+        ];
+        expect(hungarian(cost)).toEqual([1, 0]);
+    });
+
+    test('leaves extra rows unassigned on a rectangular matrix', () => {
+        const assignment = hungarian([[0.1], [0.9], [0.5]]);
+
+        expect(assignment.filter(col => col === 0)).toHaveLength(1);
+        expect(assignment[0]).toBe(0);
+        expect(assignment.filter(col => col === -1)).toHaveLength(2);
+    });
+});
+
+describe('ObjectTracker', () => {
+    test('keeps the same trackId for an object that moves a little each frame', () => {
+        const tracker = new ObjectTracker();
+        const ids = [];
+
+        for (let frame = 0; frame < 10; frame++) {
+            const [detection] = tracker.update([box('person', 0.1 + frame * 0.01, 0.1)]);
+            ids.push(detection.trackId);
+        }
+
+        expect(new Set(ids).size).toBe(1);
+        expect(ids[0]).not.toBeNull();
+    });
+
+    test('gives two objects different ids that do not swap as they move', () => {
+        const tracker = new ObjectTracker();
+        let first;
+
+        for (let frame = 0; frame < 6; frame++) {
+            const result = tracker.update([
+                box('person', 0.1 + frame * 0.01, 0.1),
+                box('person', 0.6 - frame * 0.01, 0.6)
+            ]);
+            first = first || result.map(detection => detection.trackId);
+            expect(result.map(detection => detection.trackId)).toEqual(first);
+        }
+
+        expect(first[0]).not.toBe(first[1]);
+    });
+
+    test('reports a new object as tentative until it has been matched minHits times', () => {
+        const tracker = new ObjectTracker({ minHits: 3 });
+        for (let frame = 0; frame < 5; frame++) {
+            tracker.update([box('person', 0.1, 0.1)]);
+        }
+
+        const ids = [];
+        for (let frame = 0; frame < 3; frame++) {
+            const result = tracker.update([box('person', 0.1, 0.1), box('car', 0.6, 0.6)]);
+            ids.push(result[1].trackId);
+        }
+
+        expect(ids[0]).toBeNull();
+        expect(ids[2]).not.toBeNull();
+    });
+
+    test('keeps an id through short misses and drops the track after maxMisses', () => {
+        const tracker = new ObjectTracker({ maxMisses: 2 });
+        let id;
+        for (let frame = 0; frame < 4; frame++) {
+            [{ trackId: id }] = tracker.update([box('person', 0.1, 0.1)]);
+        }
+
+        tracker.update([]);
+        tracker.update([]);
+        expect(tracker.update([box('person', 0.1, 0.1)])[0].trackId).toBe(id);
+
+        tracker.update([]);
+        tracker.update([]);
+        tracker.update([]);
+        expect(tracker.getTracks()).toHaveLength(0);
+    });
+
+    test('never continues a track with a detection of another class', () => {
+        const tracker = new ObjectTracker();
+        const [person] = tracker.update([box('person', 0.1, 0.1)]);
+        const [dog] = tracker.update([box('dog', 0.1, 0.1)]);
+
+        expect(dog.trackId).not.toBe(person.trackId);
+    });
+});
+
+describe('ObjectDetectionService tracking', () => {
+    class FakePool extends EventEmitter {
+        constructor(delays) {
+            super();
+            this.delays = delays;
+        }
+
+        hasCapacity() {
+            return true;
+        }
+
+        detect(handle, frames) {
+            const delay = this.delays[frames[0]] || 0;
+            return new Promise(resolve => setTimeout(() => resolve({
+                batchSize: frames.length,
+                results: frames.map(() => ({ detections: [box('person', 0.1, 0.1)] }))
+            }), delay));
+        }
+    }
+
+    function createService(options) {
+        const service = new ObjectDetectionService('server', { pool: new FakePool(options.delays || {}), ...options });
+        service.initialized = true;
+        service.activeModel = { name: 'fake', handle: 'fake#1', pending: 0, retired: false };
+        return service;
+    }
+
+    test('delivers a result that finishes after a newer frame untracked, not dropped', async () => {
+        // Frame 1 is slowest, so frames 2 and 3 are tracked first
+        const service = createService({ maxQueuePerClient: 5, delays: { 1: 40, 2: 5, 3: 10 } });
+        const dropped = jest.fn();
+        service.on('frame-dropped', dropped);
+
+        const results = await Promise.all([1, 2, 3].map(frameId =>
+            service.detectObjects(frameId, { clientId: 'phone', frameId })
+        ));
+
+        expect(results[0][0].trackId).toBeNull();
+        expect(results[2][0].trackId).not.toBeNull();
+        expect(dropped).not.toHaveBeenCalled();
+        expect(service.droppedFrames).toBe(0);
+        expect(service.staleResults).toBe(1);
+    });
+
+    test('evicts trackers of clients that stopped sending', async () => {
+        const service = createService({ trackerIdleMs: 1000 });
+        const now = jest.spyOn(Date, 'now').mockReturnValue(50000);
+
+        await service.detectObjects(1, { clientId: 'gone', frameId: 1 });
+        now.mockReturnValue(52000);
+        await service.detectObjects(1, { clientId: 'active', frameId: 1 });
+
+        expect(Array.from(service.trackers.keys())).toEqual(['active']);
+        now.mockRestore();
+    });
+});
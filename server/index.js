@@ -2,6 +2,7 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -9,7 +10,15 @@ const QRCode = require('qrcode');
 
 const WebRTCSignaling = require('./webrtc/signaling');
 const ObjectDetectionService = require('./detection/detection-service');
+const { FrameDroppedError } = ObjectDetectionService;
 const MetricsCollector = require('./metrics/metrics-collector');
+const { CONTENT_TYPE: OPENMETRICS_CONTENT_TYPE } = require('./metrics/openmetrics');
+const { parseStep, parseTime } = require('./metrics/timeseries-store');
+const ZoneManager = require('./zones/zone-manager');
+const { ZoneError, DEFAULT_ROOM } = ZoneManager;
+const RulesEngine = require('./alerts/rules-engine');
+const SessionRecorder = require('./recording/session-recorder');
+const { isFrameMessage, decodeChunk, FrameAssembler } = require('./webrtc/frame-codec');
 
 class WebRTCVLMServer {
     constructor() {
@@ -27,12 +36,23 @@ class WebRTCVLMServer {
         this.signalingPort = process.env.SIGNALING_PORT || 8080;
         
         this.webrtcSignaling = new WebRTCSignaling(this.io);
-        this.detectionService = new ObjectDetectionService(this.mode);
+        this.detectionService = new ObjectDetectionService(this.mode, {
+            batchSize: parseInt(process.env.BATCH_SIZE) || 1,
+            batchWaitMs: parseInt(process.env.BATCH_WAIT_MS) || 5,
+            workers: parseInt(process.env.INFERENCE_WORKERS) || undefined
+        });
         this.metricsCollector = new MetricsCollector();
+        this.zoneManager = new ZoneManager();
+        this.rulesEngine = new RulesEngine();
+        this.sessionRecorder = new SessionRecorder({
+            thumbnailer: (imageData, width) => this.detectionService.pool.thumbnail(imageData, width)
+        });
         
         this.setupMiddleware();
         this.setupRoutes();
         this.setupWebRTC();
+        this.setupDetectionEvents();
+        this.setupZoneEvents();
     }
     
     setupMiddleware() {
@@ -104,13 +124,39 @@ class WebRTCVLMServer {
             res.sendFile(path.join(__dirname, '../client/dist/index.html'));
         });
         
-        // API endpoints for detection
-        this.app.post('/api/detect', async (req, res) => {
+        // API endpoints for detection. Accepts JSON ({ imageData, frameId, captureTs })
+        // or a single-chunk binary frame as application/octet-stream.
+        const rawFrames = express.raw({ type: 'application/octet-stream', limit: '50mb' });
+        
+        this.app.post('/api/detect', rawFrames, async (req, res) => {
             try {
-                const { imageData, frameId, captureTs } = req.body;
+                let frame = req.body;
+                if (Buffer.isBuffer(req.body)) {
+                    let chunk;
+                    try {
+                        chunk = decodeChunk(req.body);
+                    } catch (error) {
+                        return res.status(400).json({ error: error.message });
+                    }
+                    if (chunk.chunkCount !== 1) {
+                        return res.status(400).json({ error: 'Chunked frames are not supported over HTTP' });
+                    }
+                    frame = { ...chunk, imageData: chunk.payload };
+                }
+                
+                const { imageData, frameId, captureTs } = frame;
+                const clientId = req.get('X-Client-Id') || frame.clientId || null;
                 const recvTs = Date.now();
                 
-                const detections = await this.detectionService.detectObjects(imageData);
+                // Queues and trackers are per client. Callers without an id share
+                // nothing: many sessions can sit behind one IP, so each such frame
+                // gets a queue of its own and no tracking.
+                const detections = await this.detectionService.detectObjects(imageData, {
+                    clientId: clientId || `anonymous-${crypto.randomUUID()}`,
+                    frameId,
+                    captureTs,
+                    track: Boolean(clientId)
+                });
                 const inferenceTs = Date.now();
                 
                 const result = {
@@ -121,11 +167,23 @@ class WebRTCVLMServer {
                     detections: detections
                 };
                 
-                // Collect metrics
-                this.metricsCollector.recordFrame(result);
+                // ?room= picks the room whose zones count these detections
+                this.publishResult(result, {
+                    source: clientId || req.ip,
+                    roomId: req.query.room || frame.roomId || DEFAULT_ROOM,
+                    imageData
+                });
                 
                 res.json(result);
             } catch (error) {
+                if (error instanceof FrameDroppedError) {
+                    // Backpressure: the caller should slow down, not retry this frame
+                    return res.status(429).json({
+                        error: error.message,
+                        reason: error.reason,
+                        frame_id: error.frameId
+                    });
+                }
                 console.error('Detection error:', error);
                 res.status(500).json({ error: 'Detection failed' });
             }
@@ -137,22 +195,213 @@ class WebRTCVLMServer {
             res.json(metrics);
         });
         
+        // Long-term history: ?from&to (ms, ISO date or "-1h") and ?step (ms or "30s", "5m", "1h")
+        this.app.get('/api/metrics/history', (req, res) => {
+            const now = Date.now();
+            const to = parseTime(req.query.to, now);
+            const from = parseTime(req.query.from, now);
+            const step = parseStep(req.query.step);
+            
+            if (Number.isNaN(to) || Number.isNaN(from) || Number.isNaN(step)) {
+                return res.status(400).json({ error: 'from/to must be ms, ISO dates or "-<duration>"; step a duration such as 30s' });
+            }
+            
+            const end = to === null ? now : to;
+            const start = from === null ? end - 60 * 60 * 1000 : from;
+            if (start >= end) {
+                return res.status(400).json({ error: 'from must be before to' });
+            }
+            
+            // Keep responses bounded whatever the range
+            const minStep = Math.ceil((end - start) / 5000);
+            res.json(this.metricsCollector.history.query({
+                from: start,
+                to: end,
+                step: step ? Math.max(step, minStep) : null
+            }));
+        });
+        
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', (req, res) => {
+            res.type(OPENMETRICS_CONTENT_TYPE).send(this.metricsCollector.toOpenMetrics(this.getMetricsState()));
+        });
+        
         // Reset metrics
         this.app.post('/api/metrics/reset', (req, res) => {
             this.metricsCollector.reset();
             res.json({ status: 'reset' });
         });
         
+        // Registered models and their load state
+        this.app.get('/api/models', async (req, res) => {
+            try {
+                const models = await this.detectionService.listModels();
+                res.json({
+                    active: this.detectionService.modelName,
+                    switching: this.detectionService.switchingTo,
+                    models
+                });
+            } catch (error) {
+                console.error('Model listing error:', error);
+                res.status(500).json({ error: 'Failed to list models' });
+            }
+        });
+        
+        // Hot-swap the active server-side model
+        this.app.post('/api/models/active', async (req, res) => {
+            const { model } = req.body || {};
+            
+            if (!model || !this.detectionService.registry.has(model)) {
+                return res.status(404).json({ error: `Unknown model: ${model}` });
+            }
+            
+            if (this.detectionService.mode !== 'server') {
+                return res.status(400).json({ error: 'Model switching requires server mode' });
+            }
+            
+            if (this.detectionService.isSwitching()) {
+                return res.status(409).json({
+                    error: `Already switching to ${this.detectionService.switchingTo}`
+                });
+            }
+            
+            try {
+                const active = await this.detectionService.switchModel(model);
+                res.json({ status: 'active', ...active });
+            } catch (error) {
+                console.error('Model switch error:', error);
+                res.status(500).json({ error: `Failed to switch model: ${error.message}` });
+            }
+        });
+        
+        // Zones and tripwires per room
+        const zoneRoute = (handler) => async (req, res) => {
+            try {
+                await handler(req, res);
+            } catch (error) {
+                if (error instanceof ZoneError) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                console.error('Zone error:', error);
+                res.status(500).json({ error: 'Zone update failed' });
+            }
+        };
+        
+        this.app.get('/api/rooms/:roomId/zones', zoneRoute((req, res) => {
+            res.json({ roomId: req.params.roomId, zones: this.zoneManager.listZones(req.params.roomId) });
+        }));
+        
+        this.app.post('/api/rooms/:roomId/zones', zoneRoute(async (req, res) => {
+            const zone = await this.zoneManager.createZone(req.params.roomId, req.body || {});
+            res.status(201).json(zone);
+        }));
+        
+        this.app.get('/api/rooms/:roomId/zones/:zoneId', zoneRoute((req, res) => {
+            const zone = this.zoneManager.getZone(req.params.roomId, req.params.zoneId);
+            res.json(this.zoneManager.describe(req.params.roomId, zone));
+        }));
+        
+        this.app.put('/api/rooms/:roomId/zones/:zoneId', zoneRoute(async (req, res) => {
+            const zone = await this.zoneManager.updateZone(req.params.roomId, req.params.zoneId, req.body || {});
+            res.json(zone);
+        }));
+        
+        this.app.delete('/api/rooms/:roomId/zones/:zoneId', zoneRoute(async (req, res) => {
+            await this.zoneManager.deleteZone(req.params.roomId, req.params.zoneId);
+            res.status(204).end();
+        }));
+        
+        this.app.post('/api/rooms/:roomId/zones/reset', zoneRoute((req, res) => {
+            this.zoneManager.resetCounts(req.params.roomId);
+            res.json({ status: 'reset' });
+        }));
+        
+        this.app.post('/api/rooms/:roomId/zones/:zoneId/reset', zoneRoute((req, res) => {
+            this.zoneManager.resetCounts(req.params.roomId, req.params.zoneId);
+            res.json({ status: 'reset' });
+        }));
+        
+        // Alerts fired by the rules engine, newest first
+        this.app.get('/api/alerts', (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit) || 100, this.rulesEngine.maxHistory);
+            res.json({
+                alerts: this.rulesEngine.getAlerts({
+                    limit,
+                    ruleId: req.query.rule || null,
+                    since: parseInt(req.query.since) || null
+                }),
+                status: this.rulesEngine.getStatus()
+            });
+        });
+        
+        this.app.get('/api/alerts/rules', (req, res) => {
+            res.json(this.rulesEngine.getRules());
+        });
+        
+        // Recorded detection sessions (JSONL, one file per room session)
+        this.app.get('/api/sessions', async (req, res) => {
+            try {
+                const sessions = await this.sessionRecorder.listSessions({ roomId: req.query.room || null });
+                res.json({ sessions, recording: this.sessionRecorder.getStatus() });
+            } catch (error) {
+                console.error('Session listing error:', error);
+                res.status(500).json({ error: 'Failed to list sessions' });
+            }
+        });
+        
+        this.app.get('/api/sessions/:sessionId', async (req, res) => {
+            try {
+                const session = await this.sessionRecorder.getSession(req.params.sessionId);
+                if (!session) {
+                    return res.status(404).json({ error: `Unknown session: ${req.params.sessionId}` });
+                }
+                res.json(session);
+            } catch (error) {
+                console.error('Session lookup error:', error);
+                res.status(500).json({ error: 'Failed to read session' });
+            }
+        });
+        
+        this.app.get('/api/sessions/:sessionId/download', async (req, res) => {
+            try {
+                const session = await this.sessionRecorder.getSession(req.params.sessionId);
+                if (!session) {
+                    return res.status(404).json({ error: `Unknown session: ${req.params.sessionId}` });
+                }
+                res.type('application/x-ndjson');
+                res.download(this.sessionRecorder.filePath(session.id), `${session.id}.jsonl`);
+            } catch (error) {
+                console.error('Session download error:', error);
+                res.status(500).json({ error: 'Failed to download session' });
+            }
+        });
+        
+        this.app.delete('/api/sessions/:sessionId', async (req, res) => {
+            try {
+                const deleted = await this.sessionRecorder.deleteSession(req.params.sessionId);
+                if (!deleted) {
+                    return res.status(404).json({ error: `Unknown session: ${req.params.sessionId}` });
+                }
+                res.status(204).end();
+            } catch (error) {
+                console.error('Session delete error:', error);
+                res.status(500).json({ error: 'Failed to delete session' });
+            }
+        });
+        
         // Configuration endpoint
         this.app.get('/api/config', (req, res) => {
             res.json({
                 mode: this.mode,
+                model: this.detectionService.modelName,
+                frameSource: process.env.FRAME_SOURCE || 'datachannel',
                 signalingPort: this.signalingPort,
                 features: {
                     serverDetection: this.mode === 'server',
                     wasmDetection: this.mode === 'wasm',
                     webrtc: true,
-                    metrics: true
+                    metrics: true,
+                    recording: this.sessionRecorder.enabled
                 }
             });
         });
@@ -165,13 +414,27 @@ class WebRTCVLMServer {
             // Handle WebRTC signaling
             this.webrtcSignaling.handleConnection(socket);
             
-            // Handle detection requests via WebSocket
+            // Binary frames may be split into chunks; reassemble them per socket
+            const frameAssembler = new FrameAssembler();
+            
+            // Handle detection requests via WebSocket (JSON or binary frames)
             socket.on('detect-frame', async (data) => {
                 try {
-                    const { imageData, frameId, captureTs } = data;
+                    let frame = data;
+                    if (isFrameMessage(data)) {
+                        frame = frameAssembler.push(data);
+                        if (!frame) return;
+                        frame.imageData = frame.payload;
+                    }
+                    
+                    const { imageData, frameId, captureTs } = frame;
                     const recvTs = Date.now();
                     
-                    const detections = await this.detectionService.detectObjects(imageData);
+                    const detections = await this.detectionService.detectObjects(imageData, {
+                        clientId: socket.id,
+                        frameId,
+                        captureTs
+                    });
                     const inferenceTs = Date.now();
                     
                     const result = {
@@ -182,17 +445,67 @@ class WebRTCVLMServer {
                         detections: detections
                     };
                     
-                    // Collect metrics
-                    this.metricsCollector.recordFrame(result);
+                    this.publishResult(result, {
+                        source: socket.id,
+                        roomId: this.getRoomOf(socket),
+                        imageData
+                    });
                     
                     // Send result back
                     socket.emit('detection-result', result);
                 } catch (error) {
+                    // Dropped frames are reported through 'detection-dropped'
+                    if (error instanceof FrameDroppedError) return;
                     console.error('WebSocket detection error:', error);
                     socket.emit('detection-error', { error: error.message });
                 }
             });
             
+            // Results of browser-side (WASM) inference get the same treatment as server ones
+            socket.on('detection-report', (data) => {
+                if (!data || !Array.isArray(data.detections)) return;
+                
+                const now = Date.now();
+                const result = {
+                    frame_id: data.frame_id,
+                    capture_ts: data.capture_ts || now,
+                    recv_ts: data.recv_ts || data.capture_ts || now,
+                    inference_ts: data.inference_ts || now,
+                    detections: data.detections
+                };
+                
+                this.publishResult(result, {
+                    source: socket.id,
+                    roomId: data.roomId || this.getRoomOf(socket),
+                    labels: { model: data.model || 'browser', mode: 'wasm' }
+                });
+            });
+            
+            // NTP-style clock sync: reply with receive (t1) and send (t2) times
+            socket.on('clock-sync', (data, ack) => {
+                const t1 = Date.now();
+                if (typeof ack === 'function') {
+                    ack({ t0: data && data.t0, t1, t2: Date.now() });
+                }
+            });
+            
+            socket.on('clock-report', (data) => {
+                if (!data || typeof data.offset !== 'number') return;
+                this.metricsCollector.recordClockSync(socket.id, data);
+            });
+            
+            // Per-interval bitrate, loss, jitter and RTT from the browsers' peer connections
+            socket.on('webrtc-stats', (stats) => {
+                if (!stats || typeof stats.sendKbps !== 'number' || typeof stats.recvKbps !== 'number') return;
+                
+                const client = this.webrtcSignaling.clients.get(socket.id);
+                this.metricsCollector.recordTransportStats(socket.id, {
+                    ...stats,
+                    type: (client && client.type) || stats.type,
+                    room: this.getRoomOfClient(socket.id)
+                });
+            });
+            
             // Handle metrics requests
             socket.on('get-metrics', () => {
                 const metrics = this.metricsCollector.getMetrics();
@@ -201,14 +514,108 @@ class WebRTCVLMServer {
             
             socket.on('disconnect', () => {
                 console.log(`Client disconnected: ${socket.id}`);
+                this.metricsCollector.removeClockSync(socket.id);
+                this.metricsCollector.removeTransportStats(socket.id);
+                this.detectionService.removeClient(socket.id);
+                this.zoneManager.removeSource(socket.id);
+                this.rulesEngine.removeSource(socket.id);
+            });
+        });
+    }
+    
+    setupDetectionEvents() {
+        // Tell desktop clients when the server swaps its detection model
+        this.detectionService.on('model-changed', (info) => {
+            this.webrtcSignaling.emitToType('desktop', 'model-changed', info);
+        });
+        
+        // Count every frame shed by the detection queue and tell its sender so it can throttle
+        this.detectionService.on('frame-dropped', (drop) => {
+            this.metricsCollector.recordDroppedFrame({
+                ...this.getMetricLabels(this.getRoomOfClient(drop.clientId)),
+                reason: drop.reason
             });
+            this.io.to(drop.clientId).emit('detection-dropped', {
+                frame_id: drop.frameId,
+                reason: drop.reason,
+                queue_size: drop.queueSize
+            });
+        });
+    }
+    
+    setupZoneEvents() {
+        // Zone updates only go to the room they belong to; other rooms never see them
+        this.zoneManager.on('zones-changed', (update) => {
+            this.io.to(update.roomId).emit('zones-changed', update);
+        });
+        
+        this.zoneManager.on('counts-changed', (update) => {
+            this.io.to(update.roomId).emit('zone-counts', update);
+        });
+        
+        this.zoneManager.on('zone-event', (event) => {
+            this.io.to(event.roomId).emit('zone-event', event);
         });
     }
     
+    publishResult(result, { source, roomId, imageData = null, labels = {} }) {
+        // Every detection result, server-side or reported by a browser, feeds metrics,
+        // zone counting, alert rules and recording
+        this.metricsCollector.recordFrame(result, { ...this.getMetricLabels(roomId), ...labels });
+        
+        this.zoneManager.processDetections(roomId, result.detections, {
+            source,
+            timestamp: result.capture_ts || result.inference_ts
+        });
+        
+        this.rulesEngine.evaluate(result, { source, roomId });
+        
+        this.sessionRecorder.record(roomId, result, { source, imageData });
+    }
+    
+    getRoomOf(socket) {
+        return this.getRoomOfClient(socket.id);
+    }
+    
+    getRoomOfClient(clientId) {
+        const client = this.webrtcSignaling.clients.get(clientId);
+        return (client && client.room) || DEFAULT_ROOM;
+    }
+    
+    getMetricLabels(roomId) {
+        return {
+            room: roomId,
+            model: this.detectionService.modelName || 'none',
+            mode: this.detectionService.mode
+        };
+    }
+    
+    getMetricsState() {
+        // Connected clients by room and type; clients that never joined a room count as ''
+        const clients = new Map();
+        for (const client of this.webrtcSignaling.clients.values()) {
+            const key = `${client.room || ''}|${client.type || 'unknown'}`;
+            const entry = clients.get(key) || { room: client.room || '', type: client.type || 'unknown', count: 0 };
+            entry.count++;
+            clients.set(key, entry);
+        }
+        
+        return {
+            queueDepth: this.detectionService.getQueueSize(),
+            rooms: this.webrtcSignaling.getRoomCount(),
+            clients: Array.from(clients.values()),
+            model: this.detectionService.modelName || 'none',
+            mode: this.detectionService.mode
+        };
+    }
+    
     async start() {
         try {
             // Initialize detection service
             await this.detectionService.initialize();
+            await this.zoneManager.load();
+            await this.rulesEngine.load();
+            await this.metricsCollector.history.load();
             
             // Start server
             this.server.listen(this.port, () => {
@@ -232,6 +639,11 @@ class WebRTCVLMServer {
             await this.detectionService.cleanup();
         }
         
+        await this.zoneManager.flush();
+        this.rulesEngine.stop();
+        await this.sessionRecorder.closeAll();
+        await this.metricsCollector.history.stop();
+        
         if (this.server) {
             this.server.close();
         }
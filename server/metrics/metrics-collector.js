@@ -3,8 +3,38 @@
  * Collects and analyzes performance metrics for the WebRTC VLM system
  */
 
+const os = require('os');
+const { monitorEventLoopDelay, performance, PerformanceObserver, constants } = require('perf_hooks');
+const { Counter, Gauge, Histogram, render } = require('./openmetrics');
+const TimeSeriesStore = require('./timeseries-store');
+
+// Latency buckets in seconds, from a fast local inference to a badly backed-up queue
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.075, 0.1, 0.15, 0.2, 0.3, 0.5, 0.75, 1, 2, 5];
+const FRAME_LABELS = ['room', 'model', 'mode'];
+
+const GC_KINDS = {
+    [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+    [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+    [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+    [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+const MB = 1024 * 1024;
+const LOOP_RESOLUTION_MS = 10;
+
+// WebRTC stats reports older than this (clients poll every 2s) no longer count
+const TRANSPORT_STALE_MS = 10000;
+
+function pickNumbers(source = {}, keys) {
+    return Object.fromEntries(keys.map(key => [key, Number.isFinite(source[key]) ? source[key] : null]));
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
 class MetricsCollector {
-    constructor() {
+    constructor(options = {}) {
         this.frames = [];
         this.startTime = Date.now();
         this.lastResetTime = Date.now();
@@ -28,12 +58,52 @@ class MetricsCollector {
             downlink: []
         };
         
-        // System metrics
+        // Per-client clock offsets (server - client) and RTT from NTP-style sync.
+        // Clients stamp frames on the server timebase using these offsets.
+        this.clockSync = new Map();
+        
+        // Latest peer-connection stats interval per client (bitrate, loss, jitter, RTT)
+        this.transport = new Map();
+        
+        // System metrics, one sample per monitoring interval
         this.systemMetrics = {
             cpuUsage: [],
             memoryUsage: [],
+            rssUsage: [],
+            eventLoopLag: [],
+            eventLoopUtilization: [],
             timestamp: []
         };
+        this.latestSystem = null;
+        
+        // Baselines for interval-based CPU and event-loop utilization
+        this.lastCpuUsage = process.cpuUsage();
+        this.lastCpuTime = process.hrtime.bigint();
+        this.lastCoreTimes = os.cpus().map(cpu => cpu.times);
+        this.lastLoopUtilization = performance.eventLoopUtilization();
+        
+        this.eventLoopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION_MS });
+        this.eventLoopDelay.enable();
+        
+        // GC pauses: totals since start, plus the pauses seen in the current interval
+        this.gc = { count: 0, pauseMs: 0, maxPauseMs: 0, byKind: {}, interval: [] };
+        this.gcObserver = new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => this.recordGC(entry));
+        });
+        this.gcObserver.observe({ entryTypes: ['gc'] });
+        
+        // Prometheus series. These are cumulative for the life of the process and
+        // are not cleared by reset(), as scrapers expect counters to only go up.
+        this.exposition = {
+            endToEnd: new Histogram('vlm_end_to_end_latency_seconds', 'Capture to result latency per frame', FRAME_LABELS, LATENCY_BUCKETS, 'seconds'),
+            network: new Histogram('vlm_network_latency_seconds', 'Capture to server receive latency per frame', FRAME_LABELS, LATENCY_BUCKETS, 'seconds'),
+            inference: new Histogram('vlm_inference_latency_seconds', 'Server receive to inference done latency per frame', FRAME_LABELS, LATENCY_BUCKETS, 'seconds'),
+            processed: new Counter('vlm_frames_processed', 'Frames run through detection', FRAME_LABELS),
+            dropped: new Counter('vlm_frames_dropped', 'Frames shed by the detection queue', [...FRAME_LABELS, 'reason'])
+        };
+        
+        // Long-term history (1s/1m/1h rollups), unaffected by the 30s window and reset()
+        this.history = new TimeSeriesStore(options.history);
         
         // Configuration
         this.maxFrameHistory = 1000;
@@ -43,7 +113,11 @@ class MetricsCollector {
         this.startSystemMonitoring();
     }
     
-    recordFrame(frameData) {
+    /**
+     * Record one detection result. `labels` ({ room, model, mode }) only apply
+     * to the Prometheus series.
+     */
+    recordFrame(frameData, labels = {}) {
         const {
             frame_id,
             capture_ts,
@@ -54,8 +128,9 @@ class MetricsCollector {
         
         const now = Date.now();
         
-        // Calculate latencies
-        const networkLatency = recv_ts - capture_ts;
+        // Calculate latencies. capture_ts is already on the server timebase (clients
+        // apply their clock offset); residual sync error can still dip a few ms below 0.
+        const networkLatency = Math.max(0, recv_ts - capture_ts);
         const inferenceLatency = inference_ts - recv_ts;
         const endToEndLatency = now - capture_ts;
         
@@ -70,6 +145,9 @@ class MetricsCollector {
             inferenceLatency,
             endToEndLatency,
             detectionCount: detections ? detections.length : 0,
+            trackIds: detections
+                ? detections.map(detection => detection.trackId).filter(id => id != null)
+                : [],
             timestamp: now
         };
         
@@ -77,6 +155,16 @@ class MetricsCollector {
         this.totalFrames++;
         this.processedFrames++;
         
+        this.exposition.processed.inc(labels);
+        this.exposition.endToEnd.observe(labels, endToEndLatency / 1000);
+        this.exposition.network.observe(labels, networkLatency / 1000);
+        this.exposition.inference.observe(labels, inferenceLatency / 1000);
+        this.history.recordFrame({
+            endToEnd: endToEndLatency,
+            network: networkLatency,
+            inference: inferenceLatency
+        }, now);
+        
         // Update latency arrays
         this.latencies.endToEnd.push(endToEndLatency);
         this.latencies.network.push(networkLatency);
@@ -91,9 +179,103 @@ class MetricsCollector {
         this.cleanupOldMetrics();
     }
     
-    recordDroppedFrame() {
+    recordClockSync(clientId, sync) {
+        this.clockSync.set(clientId, {
+            type: sync.type || null,
+            offset: sync.offset,
+            rtt: sync.rtt,
+            updatedAt: Date.now()
+        });
+    }
+    
+    removeClockSync(clientId) {
+        this.clockSync.delete(clientId);
+    }
+    
+    getClockSync() {
+        return Object.fromEntries(this.clockSync);
+    }
+    
+    /**
+     * Store one stats interval reported by a browser and update the bandwidth series.
+     */
+    recordTransportStats(clientId, stats) {
+        this.transport.set(clientId, {
+            type: stats.type || null,
+            room: stats.room || null,
+            intervalMs: Number.isFinite(stats.intervalMs) ? stats.intervalMs : null,
+            ...pickNumbers(stats, ['sendKbps', 'recvKbps', 'rttMs', 'availableOutgoingKbps']),
+            video: pickNumbers(stats.video, [
+                'sendKbps', 'recvKbps', 'packetLossPercent', 'jitterMs',
+                'framesEncoded', 'framesDecoded', 'framesDropped', 'decodeFps'
+            ]),
+            dataChannel: pickNumbers(stats.dataChannel, [
+                'sendKbps', 'recvKbps', 'bytesSent', 'bytesReceived', 'messagesSent', 'messagesReceived'
+            ]),
+            updatedAt: Date.now()
+        });
+        
+        const { uplink, downlink } = this.getTransportBandwidth();
+        this.recordBandwidth(uplink, downlink);
+    }
+    
+    removeTransportStats(clientId) {
+        this.transport.delete(clientId);
+    }
+    
+    getFreshTransport() {
+        const cutoff = Date.now() - TRANSPORT_STALE_MS;
+        return Array.from(this.transport.entries()).filter(([, stats]) => stats.updatedAt >= cutoff);
+    }
+    
+    /**
+     * Uplink is phone to desktop/server, downlink is results back to the phone, as
+     * measured on the phones. Desktop receive/send rates stand in when no phone reports.
+     */
+    getTransportBandwidth() {
+        const fresh = this.getFreshTransport().map(([, stats]) => stats);
+        const phones = fresh.filter(stats => stats.type === 'phone');
+        
+        if (phones.length > 0) {
+            return {
+                uplink: sum(phones.map(stats => stats.sendKbps || 0)),
+                downlink: sum(phones.map(stats => stats.recvKbps || 0))
+            };
+        }
+        
+        return {
+            uplink: sum(fresh.map(stats => stats.recvKbps || 0)),
+            downlink: sum(fresh.map(stats => stats.sendKbps || 0))
+        };
+    }
+    
+    /**
+     * Per-client stats plus a summary: worst loss and jitter, mean RTT and total decoded/dropped frames.
+     */
+    getTransportStats() {
+        const fresh = this.getFreshTransport();
+        const values = (read) => fresh.map(([, stats]) => read(stats)).filter(Number.isFinite);
+        
+        const loss = values(stats => stats.video.packetLossPercent);
+        const jitter = values(stats => stats.video.jitterMs);
+        const rtt = values(stats => stats.rttMs);
+        
+        return {
+            clients: Object.fromEntries(fresh),
+            packetLossPercent: loss.length > 0 ? Math.max(...loss) : 0,
+            jitterMs: jitter.length > 0 ? Math.max(...jitter) : 0,
+            rttMs: this.calculateAverage(rtt),
+            decodeFps: sum(values(stats => stats.video.decodeFps)),
+            framesDecoded: sum(values(stats => stats.video.framesDecoded)),
+            framesDropped: sum(values(stats => stats.video.framesDropped))
+        };
+    }
+    
+    recordDroppedFrame(labels = {}) {
         this.droppedFrames++;
         this.totalFrames++;
+        this.exposition.dropped.inc(labels);
+        this.history.recordDrop();
     }
     
     recordBandwidth(uplink, downlink) {
@@ -109,6 +291,8 @@ class MetricsCollector {
             timestamp: now
         });
         
+        this.history.recordGauges({ uplinkKbps: uplink, downlinkKbps: downlink }, now);
+        
         // Clean up old bandwidth data
         this.cleanupBandwidthData();
     }
@@ -120,19 +304,104 @@ class MetricsCollector {
         }, 5000);
     }
     
+    recordGC(entry) {
+        const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'other';
+        const stats = this.gc.byKind[kind] || (this.gc.byKind[kind] = { count: 0, pauseMs: 0 });
+        
+        stats.count++;
+        stats.pauseMs += entry.duration;
+        this.gc.count++;
+        this.gc.pauseMs += entry.duration;
+        this.gc.maxPauseMs = Math.max(this.gc.maxPauseMs, entry.duration);
+        this.gc.interval.push(entry.duration);
+    }
+    
     collectSystemMetrics() {
         const now = Date.now();
         
-        // Get memory usage
+        // Process CPU: CPU time used over wall time elapsed since the last sample.
+        // 100% is one core fully busy; `overall` scales that to all cores.
+        const cpuTime = process.hrtime.bigint();
+        const totalUsage = process.cpuUsage();
+        const cpuUsage = {
+            user: totalUsage.user - this.lastCpuUsage.user,
+            system: totalUsage.system - this.lastCpuUsage.system
+        };
+        const elapsedMicros = Number(cpuTime - this.lastCpuTime) / 1000;
+        const cores = os.cpus();
+        const coreCount = cores.length || 1;
+        const cpuPercent = elapsedMicros > 0 ? ((cpuUsage.user + cpuUsage.system) / elapsedMicros) * 100 : 0;
+        this.lastCpuUsage = totalUsage;
+        this.lastCpuTime = cpuTime;
+        
+        // Host CPU per core, from the busy share of each core's time counters
+        const perCore = cores.map((cpu, i) => {
+            const previous = this.lastCoreTimes[i] || cpu.times;
+            const busy = ['user', 'nice', 'sys', 'irq'].reduce((sum, key) => sum + cpu.times[key] - previous[key], 0);
+            const total = busy + cpu.times.idle - previous.idle;
+            return total > 0 ? (busy / total) * 100 : 0;
+        });
+        this.lastCoreTimes = cores.map(cpu => cpu.times);
+        
+        // Event loop: delay histogram (ns, includes the sampling interval itself)
+        // and utilization since the last sample
+        const loopUtilization = performance.eventLoopUtilization(this.lastLoopUtilization);
+        this.lastLoopUtilization = performance.eventLoopUtilization();
+        const lag = nanos => (this.eventLoopDelay.count > 0 ? Math.max(0, nanos / 1e6 - LOOP_RESOLUTION_MS) : 0);
+        const eventLoop = {
+            lagMs: {
+                mean: lag(this.eventLoopDelay.mean),
+                p50: lag(this.eventLoopDelay.percentile(50)),
+                p99: lag(this.eventLoopDelay.percentile(99)),
+                max: lag(this.eventLoopDelay.max)
+            },
+            utilization: loopUtilization.utilization * 100
+        };
+        this.eventLoopDelay.reset();
+        
         const memUsage = process.memoryUsage();
-        const memoryUsageMB = memUsage.heapUsed / 1024 / 1024;
+        const gcPauses = this.gc.interval;
+        this.gc.interval = [];
         
-        // Get CPU usage (simplified)
-        const cpuUsage = process.cpuUsage();
-        const cpuPercent = (cpuUsage.user + cpuUsage.system) / 1000000; // Convert to seconds
+        this.latestSystem = {
+            timestamp: now,
+            cpu: {
+                process: cpuPercent,
+                overall: cpuPercent / coreCount,
+                user: elapsedMicros > 0 ? (cpuUsage.user / elapsedMicros) * 100 : 0,
+                system: elapsedMicros > 0 ? (cpuUsage.system / elapsedMicros) * 100 : 0,
+                cores: coreCount,
+                perCore,
+                host: perCore.reduce((sum, value) => sum + value, 0) / coreCount,
+                loadAverage: os.loadavg()
+            },
+            memory: {
+                heapUsed: memUsage.heapUsed / MB,
+                heapTotal: memUsage.heapTotal / MB,
+                rss: memUsage.rss / MB,
+                external: memUsage.external / MB,
+                arrayBuffers: memUsage.arrayBuffers / MB
+            },
+            eventLoop,
+            gc: {
+                count: gcPauses.length,
+                pauseMs: gcPauses.reduce((sum, value) => sum + value, 0),
+                maxPauseMs: gcPauses.length > 0 ? Math.max(...gcPauses) : 0
+            }
+        };
+        
+        this.history.recordGauges({
+            cpu: cpuPercent,
+            heapMb: memUsage.heapUsed / MB,
+            rssMb: memUsage.rss / MB,
+            eventLoopLagMs: eventLoop.lagMs.p99
+        }, now);
         
         this.systemMetrics.cpuUsage.push(cpuPercent);
-        this.systemMetrics.memoryUsage.push(memoryUsageMB);
+        this.systemMetrics.memoryUsage.push(memUsage.heapUsed / MB);
+        this.systemMetrics.rssUsage.push(memUsage.rss / MB);
+        this.systemMetrics.eventLoopLag.push(eventLoop.lagMs.p99);
+        this.systemMetrics.eventLoopUtilization.push(eventLoop.utilization);
         this.systemMetrics.timestamp.push(now);
         
         // Maintain system metrics within window
@@ -181,9 +450,9 @@ class MetricsCollector {
         }
         
         // Trim all arrays to the same length
-        this.systemMetrics.cpuUsage = this.systemMetrics.cpuUsage.slice(keepIndex);
-        this.systemMetrics.memoryUsage = this.systemMetrics.memoryUsage.slice(keepIndex);
-        this.systemMetrics.timestamp = this.systemMetrics.timestamp.slice(keepIndex);
+        Object.keys(this.systemMetrics).forEach(key => {
+            this.systemMetrics[key] = this.systemMetrics[key].slice(keepIndex);
+        });
     }
     
     calculatePercentile(values, percentile) {
@@ -246,19 +515,44 @@ class MetricsCollector {
             }
         };
         
-        // System metrics
+        // System metrics. cpu.current/average/max are process CPU % (100 = one core)
+        // over the monitoring window; memory.current/average/max are heap MB.
+        const latest = this.latestSystem;
         const systemStats = {
             cpu: {
-                current: this.systemMetrics.cpuUsage.length > 0 ? 
-                    this.systemMetrics.cpuUsage[this.systemMetrics.cpuUsage.length - 1] : 0,
+                current: latest ? latest.cpu.process : 0,
                 average: this.calculateAverage(this.systemMetrics.cpuUsage),
-                max: Math.max(...this.systemMetrics.cpuUsage) || 0
+                max: Math.max(...this.systemMetrics.cpuUsage) || 0,
+                overall: latest ? latest.cpu.overall : 0,
+                user: latest ? latest.cpu.user : 0,
+                system: latest ? latest.cpu.system : 0,
+                cores: latest ? latest.cpu.cores : os.cpus().length,
+                perCore: latest ? latest.cpu.perCore : [],
+                host: latest ? latest.cpu.host : 0,
+                loadAverage: latest ? latest.cpu.loadAverage : os.loadavg()
             },
             memory: {
-                current: this.systemMetrics.memoryUsage.length > 0 ? 
-                    this.systemMetrics.memoryUsage[this.systemMetrics.memoryUsage.length - 1] : 0,
+                current: latest ? latest.memory.heapUsed : 0,
                 average: this.calculateAverage(this.systemMetrics.memoryUsage),
-                max: Math.max(...this.systemMetrics.memoryUsage) || 0
+                max: Math.max(...this.systemMetrics.memoryUsage) || 0,
+                heapTotal: latest ? latest.memory.heapTotal : 0,
+                rss: latest ? latest.memory.rss : 0,
+                rssMax: Math.max(...this.systemMetrics.rssUsage) || 0,
+                external: latest ? latest.memory.external : 0,
+                arrayBuffers: latest ? latest.memory.arrayBuffers : 0
+            },
+            eventLoop: {
+                lagMs: latest ? latest.eventLoop.lagMs : { mean: 0, p50: 0, p99: 0, max: 0 },
+                lagP99Max: Math.max(...this.systemMetrics.eventLoopLag) || 0,
+                utilization: latest ? latest.eventLoop.utilization : 0,
+                utilizationAverage: this.calculateAverage(this.systemMetrics.eventLoopUtilization)
+            },
+            gc: {
+                count: this.gc.count,
+                pauseMs: this.gc.pauseMs,
+                maxPauseMs: this.gc.maxPauseMs,
+                byKind: this.gc.byKind,
+                lastInterval: latest ? latest.gc : { count: 0, pauseMs: 0, maxPauseMs: 0 }
             }
         };
         
@@ -288,6 +582,12 @@ class MetricsCollector {
             // System statistics
             system: systemStats,
             
+            // Clock offsets used to align client timestamps
+            clockSync: this.getClockSync(),
+            
+            // WebRTC peer-connection stats reported by phones and desktops
+            transport: this.getTransportStats(),
+            
             // Raw data for detailed analysis
             recentFrames: this.frames.slice(-10),
             sampleCount: {
@@ -337,17 +637,76 @@ class MetricsCollector {
             inference_latency_ms: metrics.latency.inference.median,
             network_latency_ms: metrics.latency.network.median,
             cpu_usage_percent: metrics.system.cpu.average,
+            cpu_overall_percent: metrics.system.cpu.overall,
+            cpu_per_core_percent: metrics.system.cpu.perCore,
             memory_usage_mb: metrics.system.memory.average,
+            rss_mb: metrics.system.memory.rss,
+            external_memory_mb: metrics.system.memory.external,
+            event_loop_lag_p99_ms: metrics.system.eventLoop.lagMs.p99,
+            event_loop_utilization_percent: metrics.system.eventLoop.utilization,
+            gc_count: metrics.system.gc.count,
+            gc_pause_ms: metrics.system.gc.pauseMs,
+            gc_max_pause_ms: metrics.system.gc.maxPauseMs,
+            packet_loss_percent: metrics.transport.packetLossPercent,
+            jitter_ms: metrics.transport.jitterMs,
+            webrtc_rtt_ms: metrics.transport.rttMs,
+            decode_fps: metrics.transport.decodeFps,
+            decoder_frames_dropped: metrics.transport.framesDropped,
             
             // Full metrics object
             full_metrics: metrics
         };
     }
     
+    /**
+     * Render the Prometheus series plus point-in-time gauges as OpenMetrics text.
+     * `state` comes from the server: { queueDepth, rooms, clients: [{ room, type, count }], model, mode }.
+     */
+    toOpenMetrics(state = {}) {
+        const labels = { model: state.model, mode: state.mode };
+        
+        const queueDepth = new Gauge('vlm_queue_depth', 'Frames waiting for inference', ['model', 'mode']);
+        queueDepth.set(labels, state.queueDepth || 0);
+        
+        const clients = new Gauge('vlm_connected_clients', 'Connected Socket.IO clients', ['room', 'type']);
+        (state.clients || []).forEach(entry => clients.set({ room: entry.room, type: entry.type }, entry.count));
+        
+        const rooms = new Gauge('vlm_rooms', 'Rooms with at least one client');
+        rooms.set({}, state.rooms || 0);
+        
+        const cpuUsage = process.cpuUsage();
+        const memory = process.memoryUsage();
+        
+        const cpu = new Counter('process_cpu_seconds', 'Total user and system CPU time spent in seconds');
+        cpu.inc({}, (cpuUsage.user + cpuUsage.system) / 1e6);
+        
+        const residentMemory = new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], 'bytes');
+        residentMemory.set({}, memory.rss);
+        
+        const heapUsed = new Gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [], 'bytes');
+        heapUsed.set({}, memory.heapUsed);
+        
+        const startTime = new Gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', [], 'seconds');
+        startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+        
+        return render([
+            ...Object.values(this.exposition),
+            queueDepth,
+            clients,
+            rooms,
+            cpu,
+            residentMemory,
+            heapUsed,
+            startTime
+        ]);
+    }
+    
     cleanup() {
         if (this.systemMonitorInterval) {
             clearInterval(this.systemMonitorInterval);
         }
+        this.eventLoopDelay.disable();
+        this.gcObserver.disconnect();
     }
 }
 
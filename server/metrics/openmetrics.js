@@ -0,0 +1,147 @@
+/**
+ * OpenMetrics
+ * Minimal counter/gauge/histogram families and the OpenMetrics text exposition format
+ */
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+/**
+ * A metric family: one series per distinct label set. Label values are taken in
+ * labelNames order; missing ones are exported as "".
+ */
+class MetricFamily {
+    constructor(type, name, help, labelNames = [], unit = null) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.unit = unit;
+        this.series = new Map();
+    }
+
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+        const key = values.join('\u0000');
+
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    header() {
+        const lines = [`# TYPE ${this.name} ${this.type}`];
+        if (this.unit) lines.push(`# UNIT ${this.name} ${this.unit}`);
+        lines.push(`# HELP ${this.name} ${this.help}`);
+        return lines;
+    }
+}
+
+class Counter extends MetricFamily {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}_total${formatLabels(series.labels)} ${formatNumber(series.value)}`);
+        }
+        return lines;
+    }
+}
+
+class Gauge extends MetricFamily {
+    constructor(name, help, labelNames, unit) {
+        super('gauge', name, help, labelNames, unit);
+    }
+
+    set(labels = {}, value = 0) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${formatNumber(series.value)}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Cumulative histogram. Unlike the collector's percentile arrays, bucket counts
+ * from several instances can be summed and turned into quantiles by the scraper.
+ */
+class Histogram extends MetricFamily {
+    constructor(name, help, labelNames, buckets, unit) {
+        super('histogram', name, help, labelNames, unit);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+
+        const series = this.getSeries(labels, () => ({ counts: new Array(this.buckets.length).fill(0), count: 0, sum: 0 }));
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index >= 0) series.counts[index]++;
+        series.count++;
+        series.sum += value;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            let cumulative = 0;
+            this.buckets.forEach((bound, i) => {
+                cumulative += series.counts[i];
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(bound) })} ${cumulative}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatNumber(series.sum)}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Render metric families as an OpenMetrics text document.
+ */
+function render(families) {
+    const lines = [];
+    families.forEach(family => lines.push(...family.render()));
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    render
+};
@@ -0,0 +1,344 @@
+/**
+ * Time-Series Store
+ * Keeps metrics history as 1s/1m/1h rollups with retention limits and persists it to disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../data/metrics-history.json');
+
+// Finest first. Each closed bucket is merged into the next level's open bucket.
+const LEVELS = [
+    { name: '1s', step: 1000, retention: 60 * 60 * 1000, persist: false },
+    { name: '1m', step: 60 * 1000, retention: 24 * 60 * 60 * 1000, persist: true },
+    { name: '1h', step: 60 * 60 * 1000, retention: 30 * 24 * 60 * 60 * 1000, persist: true }
+];
+
+// End-to-end latency histogram bounds (ms) so percentiles survive rollups
+const LATENCY_BOUNDS = [5, 10, 25, 50, 75, 100, 150, 200, 300, 500, 750, 1000, 2000, 5000, Infinity];
+
+const GAUGES = ['cpu', 'heapMb', 'rssMb', 'eventLoopLagMs', 'uplinkKbps', 'downlinkKbps'];
+
+const STEP_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a step such as 5000, "30s", "5m" or "1h" into milliseconds.
+ */
+function parseStep(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+    if (!match) return NaN;
+    return Math.round(parseFloat(match[1]) * STEP_UNITS[match[2] || 'ms']);
+}
+
+/**
+ * Parse a query time: ms since the epoch, an ISO date, or a duration before
+ * now such as "-15m". Returns null when absent and NaN when invalid.
+ */
+function parseTime(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+
+    if (text.startsWith('-')) {
+        const ago = parseStep(text.slice(1));
+        return Number.isFinite(ago) ? now - ago : NaN;
+    }
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+    const date = Date.parse(text);
+    return Number.isFinite(date) ? date : NaN;
+}
+
+function emptyStat() {
+    return { count: 0, sum: 0, max: 0 };
+}
+
+function emptyPoint(t) {
+    return {
+        t,
+        frames: 0,
+        dropped: 0,
+        latency: { ...emptyStat(), buckets: new Array(LATENCY_BOUNDS.length).fill(0) },
+        network: emptyStat(),
+        inference: emptyStat(),
+        gauges: {}
+    };
+}
+
+function firstPoint(level) {
+    return level.points[0] || level.current || null;
+}
+
+function addStat(stat, value) {
+    stat.count++;
+    stat.sum += value;
+    stat.max = Math.max(stat.max, value);
+}
+
+function mergeStat(target, source) {
+    target.count += source.count;
+    target.sum += source.sum;
+    target.max = Math.max(target.max, source.max);
+}
+
+function mergePoint(target, source) {
+    target.frames += source.frames;
+    target.dropped += source.dropped;
+    mergeStat(target.latency, source.latency);
+    source.latency.buckets.forEach((count, i) => { target.latency.buckets[i] += count; });
+    mergeStat(target.network, source.network);
+    mergeStat(target.inference, source.inference);
+
+    for (const [name, stat] of Object.entries(source.gauges)) {
+        mergeStat(target.gauges[name] || (target.gauges[name] = emptyStat()), stat);
+    }
+    return target;
+}
+
+// Percentile from histogram counts, interpolating linearly inside the bucket
+function histogramPercentile(buckets, count, max, p) {
+    if (count === 0) return 0;
+
+    const rank = p * count;
+    let seen = 0;
+    for (let i = 0; i < buckets.length; i++) {
+        if (seen + buckets[i] >= rank && buckets[i] > 0) {
+            const lower = i === 0 ? 0 : LATENCY_BOUNDS[i - 1];
+            const upper = Number.isFinite(LATENCY_BOUNDS[i]) ? LATENCY_BOUNDS[i] : max;
+            return Math.min(max, lower + (upper - lower) * ((rank - seen) / buckets[i]));
+        }
+        seen += buckets[i];
+    }
+    return max;
+}
+
+class TimeSeriesStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.METRICS_HISTORY_FILE || DEFAULT_FILE;
+        this.saveIntervalMs = options.saveIntervalMs || 60000;
+
+        this.levels = LEVELS.map(level => ({ ...level, points: [], current: null }));
+        this.saving = Promise.resolve();
+        this.saveTimer = null;
+    }
+
+    /**
+     * Open bucket of the finest level for a timestamp, closing older buckets first.
+     */
+    bucketFor(timestamp) {
+        this.advance(timestamp);
+        const level = this.levels[0];
+        const t = Math.floor(timestamp / level.step) * level.step;
+
+        if (!level.current) {
+            level.current = emptyPoint(t);
+        }
+        return level.current;
+    }
+
+    /**
+     * Close every open bucket that ends at or before `now`.
+     */
+    advance(now = Date.now()) {
+        this.levels.forEach((level, i) => {
+            if (level.current && level.current.t + level.step <= now) {
+                this.close(i, now);
+            }
+        });
+    }
+
+    /**
+     * Close a level's open bucket, roll it up into the next level and apply retention.
+     */
+    close(index, now) {
+        const level = this.levels[index];
+        const closed = level.current;
+        level.current = null;
+        level.points.push(closed);
+
+        const next = this.levels[index + 1];
+        if (next) {
+            const t = Math.floor(closed.t / next.step) * next.step;
+            if (next.current && next.current.t !== t) {
+                this.close(index + 1, now);
+            }
+            next.current = mergePoint(next.current || emptyPoint(t), closed);
+        }
+
+        const cutoff = now - level.retention;
+        while (level.points.length > 0 && level.points[0].t < cutoff) {
+            level.points.shift();
+        }
+    }
+
+    recordFrame({ endToEnd, network, inference }, timestamp = Date.now()) {
+        const point = this.bucketFor(timestamp);
+        point.frames++;
+
+        if (Number.isFinite(endToEnd)) {
+            addStat(point.latency, endToEnd);
+            point.latency.buckets[LATENCY_BOUNDS.findIndex(bound => endToEnd <= bound)]++;
+        }
+        if (Number.isFinite(network)) addStat(point.network, network);
+        if (Number.isFinite(inference)) addStat(point.inference, inference);
+    }
+
+    recordDrop(timestamp = Date.now()) {
+        this.bucketFor(timestamp).dropped++;
+    }
+
+    /**
+     * Sample point-in-time values such as { cpu, heapMb, rssMb, eventLoopLagMs }.
+     */
+    recordGauges(values, timestamp = Date.now()) {
+        const point = this.bucketFor(timestamp);
+        for (const [name, value] of Object.entries(values)) {
+            if (!GAUGES.includes(name) || !Number.isFinite(value)) continue;
+            addStat(point.gauges[name] || (point.gauges[name] = emptyStat()), value);
+        }
+    }
+
+    /**
+     * Points between from and to (ms epoch), step ms apart. Reads the coarsest
+     * level whose step fits in `step` and whose retention still reaches back to
+     * `from`, merging its points when the requested step is coarser still. If no
+     * level that fine reaches back far enough, the finest one that does is used.
+     * The 1s level is not persisted, so after a restart it only holds data from
+     * the restart on; a coarser level holding earlier data in range is read instead.
+     */
+    query({ from, to = Date.now(), step = null } = {}) {
+        this.advance(Date.now());
+
+        const start = from !== undefined && from !== null ? from : to - 60 * 60 * 1000;
+        const now = Date.now();
+        const wanted = step || Math.max(1000, Math.ceil((to - start) / 500));
+
+        const covering = this.levels.filter(level => start >= now - level.retention);
+        let level = covering.filter(candidate => candidate.step <= wanted).pop()
+            || covering[0]
+            || this.levels[this.levels.length - 1];
+
+        // A closed coarser bucket that ends before the level's first point means the
+        // level lost the start of the range, e.g. the 1s buffer after a restart
+        for (const coarser of this.levels.slice(this.levels.indexOf(level) + 1)) {
+            const first = firstPoint(level);
+            const missing = first === null || first.t > start + level.step;
+            if (!missing) break;
+            const earlier = coarser.points.some(point =>
+                point.t + coarser.step > start && point.t <= to && (first === null || point.t + coarser.step <= first.t));
+            if (earlier) level = coarser;
+        }
+        const resolution = Math.max(level.step, Math.round(wanted / level.step) * level.step);
+
+        const source = [...level.points, ...(level.current ? [level.current] : [])]
+            .filter(point => point.t >= start - resolution && point.t <= to);
+
+        // Re-bucket onto the requested step
+        const merged = new Map();
+        source.forEach((point) => {
+            const t = Math.floor(point.t / resolution) * resolution;
+            if (t + resolution <= start) return;
+            merged.set(t, mergePoint(merged.get(t) || emptyPoint(t), point));
+        });
+
+        return {
+            from: start,
+            to,
+            step: resolution,
+            resolution: level.name,
+            points: Array.from(merged.values())
+                .sort((a, b) => a.t - b.t)
+                .map(point => this.describePoint(point, resolution))
+        };
+    }
+
+    describePoint(point, step) {
+        const mean = stat => (stat.count > 0 ? stat.sum / stat.count : null);
+        const offered = point.frames + point.dropped;
+        const latency = point.latency;
+
+        const gauges = {};
+        GAUGES.forEach((name) => {
+            const stat = point.gauges[name];
+            gauges[name] = stat ? { avg: mean(stat), max: stat.max } : null;
+        });
+
+        return {
+            t: point.t,
+            frames: point.frames,
+            dropped: point.dropped,
+            fps: point.frames / (step / 1000),
+            dropRate: offered > 0 ? (point.dropped / offered) * 100 : 0,
+            latency: latency.count > 0 ? {
+                mean: mean(latency),
+                p50: histogramPercentile(latency.buckets, latency.count, latency.max, 0.5),
+                p95: histogramPercentile(latency.buckets, latency.count, latency.max, 0.95),
+                max: latency.max
+            } : null,
+            network: point.network.count > 0 ? { mean: mean(point.network), max: point.network.max } : null,
+            inference: point.inference.count > 0 ? { mean: mean(point.inference), max: point.inference.max } : null,
+            ...gauges
+        };
+    }
+
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Failed to read metrics history from ${this.filePath}:`, error.message);
+            }
+            data = null;
+        }
+
+        if (data && data.levels) {
+            this.levels.forEach((level) => {
+                const saved = data.levels[level.name];
+                if (!saved) return;
+                level.points = saved.points || [];
+                level.current = saved.current || null;
+            });
+            this.advance(Date.now());
+
+            const total = this.levels.reduce((sum, level) => sum + level.points.length, 0);
+            console.log(`📈 Loaded ${total} metrics history point(s) from ${this.filePath}`);
+        }
+
+        this.saveTimer = setInterval(() => {
+            this.save().catch(error => console.error('❌ Failed to save metrics history:', error.message));
+        }, this.saveIntervalMs);
+    }
+
+    save() {
+        this.advance(Date.now());
+
+        // The 1s level is a live buffer; restarts keep the minute and hour rollups
+        const levels = {};
+        this.levels.filter(level => level.persist).forEach((level) => {
+            levels[level.name] = { points: level.points, current: level.current };
+        });
+        const json = JSON.stringify({ version: 1, savedAt: Date.now(), levels });
+
+        // Writes are chained so they land in order; rename keeps the file whole on a crash
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, json);
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+
+        return this.saving;
+    }
+
+    async stop() {
+        clearInterval(this.saveTimer);
+        this.saveTimer = null;
+        await this.save();
+    }
+}
+
+module.exports = TimeSeriesStore;
+module.exports.parseStep = parseStep;
+module.exports.parseTime = parseTime;
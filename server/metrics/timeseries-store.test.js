@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TimeSeriesStore = require('./timeseries-store');
+const { parseStep, parseTime } = require('./timeseries-store');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// A round hour, so bucket boundaries are easy to reason about
+const START = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+let directory;
+
+function createStore() {
+    return new TimeSeriesStore({ filePath: path.join(directory, 'history.json') });
+}
+
+function at(ms) {
+    jest.setSystemTime(START + ms);
+    return START + ms;
+}
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-history-'));
+    jest.useFakeTimers({ now: START });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('parseStep / parseTime', () => {
+    test('parses steps with units into milliseconds', () => {
+        expect(parseStep('500')).toBe(500);
+        expect(parseStep('30s')).toBe(30 * SECOND);
+        expect(parseStep('5m')).toBe(5 * MINUTE);
+        expect(parseStep('1h')).toBe(HOUR);
+        expect(parseStep(undefined)).toBeNull();
+        expect(parseStep('soon')).toBeNaN();
+    });
+
+    test('parses epoch ms, ISO dates and durations before now', () => {
+        expect(parseTime('1700000000000')).toBe(1700000000000);
+        expect(parseTime('2024-01-01T12:00:00Z')).toBe(START);
+        expect(parseTime('-15m', START)).toBe(START - 15 * MINUTE);
+        expect(parseTime('')).toBeNull();
+        expect(parseTime('yesterday')).toBeNaN();
+    });
+});
+
+describe('TimeSeriesStore', () => {
+    test('buckets frames per second with fps, drop rate and latency', () => {
+        const store = createStore();
+        store.recordFrame({ endToEnd: 40, network: 5, inference: 20 }, at(100));
+        store.recordFrame({ endToEnd: 40, network: 7, inference: 30 }, at(400));
+        store.recordFrame({ endToEnd: 40, network: 6, inference: 25 }, at(900));
+        store.recordDrop(at(950));
+        at(1500);
+
+        const { points, resolution, step } = store.query({ from: START, to: START + SECOND, step: SECOND });
+
+        expect(resolution).toBe('1s');
+        expect(step).toBe(SECOND);
+        expect(points).toHaveLength(1);
+        expect(points[0]).toMatchObject({ t: START, frames: 3, dropped: 1, fps: 3, dropRate: 25 });
+        expect(points[0].latency).toMatchObject({ mean: 40, max: 40 });
+        expect(points[0].latency.p50).toBeGreaterThan(25);
+        expect(points[0].latency.p50).toBeLessThanOrEqual(40);
+        expect(points[0].network).toEqual({ mean: 6, max: 7 });
+        expect(points[0].inference).toEqual({ mean: 25, max: 30 });
+    });
+
+    test('keeps latency percentiles through rollups', () => {
+        const store = createStore();
+        for (let i = 0; i < 95; i++) store.recordFrame({ endToEnd: 20 }, at(i * 600));
+        for (let i = 95; i < 100; i++) store.recordFrame({ endToEnd: 900 }, at(i * 600));
+        at(2 * MINUTE);
+
+        const [point] = store.query({ from: START, to: START + MINUTE, step: MINUTE }).points;
+
+        expect(point.frames).toBe(100);
+        expect(point.latency.p50).toBeLessThanOrEqual(25);
+        expect(point.latency.p95).toBeLessThanOrEqual(25);
+        expect(point.latency.max).toBe(900);
+    });
+
+    test('rolls seconds up into minutes and minutes into hours', () => {
+        const store = createStore();
+        for (let s = 0; s < 3 * 60; s++) store.recordFrame({ endToEnd: 50 }, at(s * SECOND));
+        store.recordFrame({ endToEnd: 50 }, at(HOUR + MINUTE));
+
+        const minutes = store.query({ from: START, to: START + 3 * MINUTE - 1, step: MINUTE });
+        expect(minutes.resolution).toBe('1m');
+        expect(minutes.points.map(point => point.frames)).toEqual([60, 60, 60]);
+
+        const hours = store.query({ from: START, to: START + HOUR - 1, step: HOUR });
+        expect(hours.resolution).toBe('1h');
+        expect(hours.points.map(point => point.frames)).toEqual([180]);
+    });
+
+    test('merges a finer level onto a coarser requested step', () => {
+        const store = createStore();
+        for (let s = 0; s < 20; s++) store.recordFrame({ endToEnd: 50 }, at(s * SECOND));
+        at(21 * SECOND);
+
+        const { points, resolution, step } = store.query({ from: START, to: START + 20 * SECOND - 1, step: 10 * SECOND });
+
+        expect(resolution).toBe('1s');
+        expect(step).toBe(10 * SECOND);
+        expect(points.map(point => point.frames)).toEqual([10, 10]);
+        expect(points[0].fps).toBe(1);
+    });
+
+    test('drops 1s points older than an hour', () => {
+        const store = createStore();
+        store.recordFrame({ endToEnd: 50 }, at(0));
+        store.recordFrame({ endToEnd: 50 }, at(HOUR + 2 * SECOND));
+        store.advance(at(HOUR + 3 * SECOND));
+
+        expect(store.levels[0].points.map(point => point.t)).toEqual([START + HOUR + 2 * SECOND]);
+    });
+
+    test('averages gauges and keeps their maximum', () => {
+        const store = createStore();
+        store.recordGauges({ cpu: 20, heapMb: 100, unknown: 5 }, at(100));
+        store.recordGauges({ cpu: 40, heapMb: 120 }, at(600));
+        at(1500);
+
+        const [point] = store.query({ from: START, to: START + SECOND, step: SECOND }).points;
+
+        expect(point.cpu).toEqual({ avg: 30, max: 40 });
+        expect(point.heapMb).toEqual({ avg: 110, max: 120 });
+        expect(point.unknown).toBeUndefined();
+        expect(point.rssMb).toBeNull();
+    });
+
+    test('persists minute and hour rollups but not the 1s buffer', async () => {
+        const store = createStore();
+        for (let s = 0; s < 2 * 60; s++) store.recordFrame({ endToEnd: 50 }, at(s * SECOND));
+        at(3 * MINUTE);
+        await store.save();
+
+        const saved = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+        expect(Object.keys(saved.levels)).toEqual(['1m', '1h']);
+
+        const restarted = createStore();
+        await restarted.load();
+        await restarted.stop();
+        expect(restarted.levels[1].points.map(point => point.frames)).toEqual([60, 60]);
+        expect(restarted.levels[0].points).toHaveLength(0);
+    });
+
+    test('after a restart, answers a sub-minute query from the minute rollups', async () => {
+        const store = createStore();
+        for (let s = 0; s < 20 * 60; s += 2) store.recordFrame({ endToEnd: 50 }, at(s * SECOND));
+        at(21 * MINUTE);
+        await store.save();
+
+        const restarted = createStore();
+        await restarted.load();
+        restarted.recordFrame({ endToEnd: 50 }, at(25 * MINUTE));
+
+        const { resolution, points } = restarted.query({ from: START, to: START + 25 * MINUTE, step: 10 * SECOND });
+        await restarted.stop();
+
+        expect(resolution).toBe('1m');
+        expect(points.reduce((sum, point) => sum + point.frames, 0)).toBe(600);
+    });
+
+    test('keeps the 1s level when it covers the range itself', () => {
+        const store = createStore();
+        for (let s = 0; s < 10 * 60; s++) store.recordFrame({ endToEnd: 50 }, at(s * SECOND));
+        at(10 * MINUTE);
+
+        const { resolution } = store.query({ from: START, to: START + 10 * MINUTE, step: 10 * SECOND });
+
+        expect(resolution).toBe('1s');
+    });
+});
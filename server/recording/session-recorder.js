@@ -0,0 +1,336 @@
+/**
+ * Session Recorder
+ * Appends every detection result to a per-room JSONL session file for later download and replay
+ *
+ * Each session file holds one JSON object per line:
+ *   { "type": "session", "version": 1, "id", "roomId", "startedAt" }
+ *   { "type": "frame", "ts", "source", "frame_id", "capture_ts", "recv_ts", "inference_ts", "detections" }
+ *   { "type": "keyframe", "ts", "frame_id", "mime", "data" }   (optional, base64 JPEG thumbnail)
+ *   { "type": "end", "endedAt", "frames", "keyframes" }         (once the session closes)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createThumbnail } = require('../detection/image-processing');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/sessions');
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
+// The end record is tiny; this is enough to find it at the tail of the file
+const TAIL_BYTES = 4096;
+
+function timestampId(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+class SessionRecorder extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || process.env.SESSIONS_DIR || DEFAULT_DIRECTORY;
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.RECORD_SESSIONS === '1';
+        this.idleTimeoutMs = options.idleTimeoutMs || parseInt(process.env.SESSION_IDLE_MS) || 30000;
+
+        // Finished sessions past either limit are deleted, oldest first, whenever a new one opens
+        this.maxBytes = options.maxBytes || (parseInt(process.env.SESSIONS_MAX_MB) || 500) * 1024 * 1024;
+        this.maxAgeMs = options.maxAgeMs || (parseInt(process.env.SESSIONS_MAX_AGE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+        // Keyframe thumbnails are off by default; they dominate file size
+        this.thumbnails = options.thumbnails !== undefined ? options.thumbnails : process.env.RECORD_THUMBNAILS === '1';
+        this.thumbnailIntervalMs = options.thumbnailIntervalMs || 1000;
+        this.thumbnailWidth = options.thumbnailWidth || 160;
+
+        // Decoding and re-encoding a frame is CPU-bound; the server hands it to the
+        // inference workers so it never runs on the event loop
+        this.thumbnailer = options.thumbnailer || (async (imageData, width) => createThumbnail(imageData, width));
+
+        this.active = new Map(); // roomId -> open session
+    }
+
+    /**
+     * Append one detection result for a room, opening a session if none is active.
+     * `imageData` is the frame the result came from, used for keyframe thumbnails.
+     */
+    record(roomId, result, { source = null, imageData = null } = {}) {
+        if (!this.enabled) return;
+
+        const session = this.active.get(roomId) || this.open(roomId);
+        const now = Date.now();
+
+        this.write(session, {
+            type: 'frame',
+            ts: now,
+            source,
+            frame_id: result.frame_id,
+            capture_ts: result.capture_ts,
+            recv_ts: result.recv_ts,
+            inference_ts: result.inference_ts,
+            detections: result.detections
+        });
+        session.frames++;
+        session.lastFrameAt = now;
+
+        if (this.thumbnails && imageData && !session.keyframePending &&
+            now - session.lastKeyframeAt >= this.thumbnailIntervalMs) {
+            this.writeKeyframe(session, result, imageData, now);
+        }
+
+        // Sessions end once a room stops producing results
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => this.close(roomId), this.idleTimeoutMs);
+    }
+
+    async writeKeyframe(session, result, imageData, now) {
+        // One thumbnail at a time per session keeps keyframes in order
+        session.keyframePending = true;
+        session.lastKeyframeAt = now;
+
+        try {
+            const thumbnail = await this.thumbnailer(imageData, this.thumbnailWidth);
+
+            // The session may have closed while the thumbnail was being made
+            if (this.active.get(session.roomId) !== session) return;
+
+            this.write(session, {
+                type: 'keyframe',
+                ts: now,
+                frame_id: result.frame_id,
+                mime: 'image/jpeg',
+                data: Buffer.from(thumbnail).toString('base64')
+            });
+            session.keyframes++;
+        } catch (error) {
+            // A frame we cannot decode (or no free worker) just goes without a thumbnail
+            if (!session.thumbnailErrorLogged) {
+                session.thumbnailErrorLogged = true;
+                console.warn(`⚠️ Keyframe thumbnail failed in session ${session.id}:`, error.message);
+            }
+        } finally {
+            session.keyframePending = false;
+        }
+    }
+
+    open(roomId) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const startedAt = new Date();
+        const safeRoom = String(roomId).replace(/[^\w-]/g, '_');
+        const id = `${safeRoom}-${timestampId(startedAt)}-${crypto.randomBytes(2).toString('hex')}`;
+
+        const session = {
+            id,
+            roomId,
+            filePath: this.filePath(id),
+            stream: null,
+            startedAt: startedAt.getTime(),
+            lastFrameAt: startedAt.getTime(),
+            lastKeyframeAt: 0,
+            keyframePending: false,
+            thumbnailErrorLogged: false,
+            frames: 0,
+            keyframes: 0,
+            idleTimer: null
+        };
+
+        session.stream = fs.createWriteStream(session.filePath, { flags: 'a' });
+        session.stream.on('error', (error) => {
+            console.error(`❌ Session ${id} write failed:`, error.message);
+        });
+
+        this.write(session, { type: 'session', version: 1, id, roomId, startedAt: session.startedAt });
+        this.active.set(roomId, session);
+
+        console.log(`⏺️ Recording session ${id}`);
+        this.emit('session-started', this.describeActive(session));
+
+        this.prune().catch(error => console.error('❌ Failed to prune old sessions:', error.message));
+        return session;
+    }
+
+    /**
+     * Delete finished sessions older than maxAgeMs, then the oldest ones until
+     * the directory fits in maxBytes. Active sessions are never touched.
+     */
+    async prune(now = Date.now()) {
+        const lastWrite = session => session.endedAt || session.startedAt;
+        const finished = (await this.listSessions())
+            .filter(session => !session.active)
+            .sort((a, b) => lastWrite(a) - lastWrite(b));
+        let total = finished.reduce((sum, session) => sum + session.size, 0);
+        let removed = 0;
+
+        for (const session of finished) {
+            const age = now - lastWrite(session);
+            if (age <= this.maxAgeMs && total <= this.maxBytes) break;
+
+            await fs.promises.unlink(this.filePath(session.id)).catch(() => {});
+            total -= session.size;
+            removed++;
+        }
+
+        if (removed > 0) {
+            console.log(`🧹 Pruned ${removed} old session(s)`);
+        }
+        return removed;
+    }
+
+    write(session, record) {
+        session.stream.write(JSON.stringify(record) + '\n');
+    }
+
+    close(roomId) {
+        const session = this.active.get(roomId);
+        if (!session) return Promise.resolve();
+
+        clearTimeout(session.idleTimer);
+        this.active.delete(roomId);
+
+        const endedAt = session.lastFrameAt;
+        this.write(session, { type: 'end', endedAt, frames: session.frames, keyframes: session.keyframes });
+
+        console.log(`⏹️ Session ${session.id} closed (${session.frames} frames)`);
+        this.emit('session-ended', { ...this.describeActive(session), endedAt, active: false });
+
+        return new Promise(resolve => session.stream.end(resolve));
+    }
+
+    async closeAll() {
+        await Promise.all(Array.from(this.active.keys()).map(roomId => this.close(roomId)));
+    }
+
+    filePath(id) {
+        return path.join(this.directory, `${id}.jsonl`);
+    }
+
+    isValidId(id) {
+        // Ids become file names, so nothing that could escape the sessions directory
+        return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+    }
+
+    findActive(id) {
+        for (const session of this.active.values()) {
+            if (session.id === id) return session;
+        }
+        return null;
+    }
+
+    describeActive(session) {
+        return {
+            id: session.id,
+            roomId: session.roomId,
+            startedAt: session.startedAt,
+            endedAt: null,
+            frames: session.frames,
+            keyframes: session.keyframes,
+            active: true
+        };
+    }
+
+    async readSummary(id) {
+        const filePath = this.filePath(id);
+        const handle = await fs.promises.open(filePath, 'r');
+
+        try {
+            const { size } = await handle.stat();
+
+            // The header is the first line; a closed session ends with its end record
+            const head = Buffer.alloc(Math.min(size, TAIL_BYTES));
+            await handle.read(head, 0, head.length, 0);
+            const header = JSON.parse(head.toString('utf8').split('\n')[0]);
+
+            const tail = Buffer.alloc(Math.min(size, TAIL_BYTES));
+            await handle.read(tail, 0, tail.length, size - tail.length);
+            const lastLine = tail.toString('utf8').trimEnd().split('\n').pop();
+
+            let end = null;
+            try {
+                const record = JSON.parse(lastLine);
+                if (record.type === 'end') end = record;
+            } catch (error) {
+                // Truncated by a crash; the session has no end record
+            }
+
+            return {
+                id: header.id,
+                roomId: header.roomId,
+                startedAt: header.startedAt,
+                endedAt: end ? end.endedAt : null,
+                frames: end ? end.frames : null,
+                keyframes: end ? end.keyframes : null,
+                active: false,
+                complete: Boolean(end),
+                size
+            };
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async getSession(id) {
+        if (!this.isValidId(id)) return null;
+
+        const active = this.findActive(id);
+        if (active) {
+            const { size } = await fs.promises.stat(active.filePath).catch(() => ({ size: 0 }));
+            return { ...this.describeActive(active), complete: false, size };
+        }
+
+        try {
+            return await this.readSummary(id);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async listSessions({ roomId = null } = {}) {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const sessions = [];
+        for (const file of files) {
+            if (!file.endsWith('.jsonl')) continue;
+
+            try {
+                const session = await this.getSession(file.slice(0, -'.jsonl'.length));
+                if (session && (!roomId || session.roomId === roomId)) {
+                    sessions.push(session);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable session file ${file}:`, error.message);
+            }
+        }
+
+        // Newest first
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    async deleteSession(id) {
+        const session = await this.getSession(id);
+        if (!session) return false;
+
+        const active = this.findActive(id);
+        if (active) {
+            await this.close(active.roomId);
+        }
+
+        await fs.promises.unlink(this.filePath(id));
+        return true;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            thumbnails: this.thumbnails,
+            activeSessions: Array.from(this.active.values()).map(session => this.describeActive(session))
+        };
+    }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('./session-recorder');
+
+let directory;
+
+function readLines(recorder, id) {
+    return fs.readFileSync(recorder.filePath(id), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function result(frameId) {
+    return { frame_id: frameId, capture_ts: 1000 + frameId, recv_ts: 1001 + frameId, inference_ts: 1002 + frameId, detections: [] };
+}
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('SessionRecorder', () => {
+    test('is off unless RECORD_SESSIONS=1', () => {
+        const previous = process.env.RECORD_SESSIONS;
+        delete process.env.RECORD_SESSIONS;
+
+        const recorder = new SessionRecorder({ directory });
+        recorder.record('lobby', result(1));
+
+        expect(recorder.enabled).toBe(false);
+        expect(fs.readdirSync(directory)).toHaveLength(0);
+
+        if (previous !== undefined) process.env.RECORD_SESSIONS = previous;
+    });
+
+    test('writes a header, one line per result and an end record', async () => {
+        const recorder = new SessionRecorder({ directory, enabled: true });
+
+        recorder.record('lobby', result(1), { source: 'phone' });
+        recorder.record('lobby', result(2), { source: 'phone' });
+        const session = recorder.active.get('lobby');
+        await recorder.close('lobby');
+
+        const lines = readLines(recorder, session.id);
+        expect(lines.map(line => line.type)).toEqual(['session', 'frame', 'frame', 'end']);
+        expect(lines[0]).toMatchObject({ roomId: 'lobby', version: 1 });
+        expect(lines[1]).toMatchObject({ source: 'phone', frame_id: 1, capture_ts: 1001 });
+        expect(lines[3]).toMatchObject({ frames: 2, keyframes: 0 });
+
+        expect(await recorder.getSession(session.id)).toMatchObject({ roomId: 'lobby', frames: 2, complete: true });
+    });
+
+    test('keeps one session per room', async () => {
+        const recorder = new SessionRecorder({ directory, enabled: true });
+
+        recorder.record('a', result(1));
+        recorder.record('b', result(1));
+        recorder.record('a', result(2));
+        await recorder.closeAll();
+
+        const sessions = await recorder.listSessions();
+        expect(sessions.map(session => session.roomId).sort()).toEqual(['a', 'b']);
+        expect((await recorder.listSessions({ roomId: 'a' }))[0].frames).toBe(2);
+    });
+
+    test('adds keyframes from the thumbnailer, one at a time', async () => {
+        let finish;
+        const thumbnailer = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+        const recorder = new SessionRecorder({ directory, enabled: true, thumbnails: true, thumbnailIntervalMs: 1, thumbnailer });
+
+        recorder.record('lobby', result(1), { imageData: Buffer.from('jpeg') });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        recorder.record('lobby', result(2), { imageData: Buffer.from('jpeg') });
+        expect(thumbnailer).toHaveBeenCalledTimes(1);
+
+        finish(Uint8Array.from([0xFF, 0xD8, 0xFF]));
+        await new Promise(resolve => setImmediate(resolve));
+        const session = recorder.active.get('lobby');
+        await recorder.close('lobby');
+
+        const keyframe = readLines(recorder, session.id).find(line => line.type === 'keyframe');
+        expect(keyframe).toMatchObject({ frame_id: 1, mime: 'image/jpeg', data: '/9j/' });
+    });
+
+    test('logs a failing thumbnailer once per session and keeps recording', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const thumbnailer = jest.fn(() => Promise.reject(new Error('No inference worker has capacity')));
+        const recorder = new SessionRecorder({ directory, enabled: true, thumbnails: true, thumbnailIntervalMs: 1, thumbnailer });
+
+        for (let frameId = 1; frameId <= 3; frameId++) {
+            recorder.record('lobby', result(frameId), { imageData: Buffer.from('jpeg') });
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        await recorder.closeAll();
+
+        expect(thumbnailer).toHaveBeenCalledTimes(3);
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls[0][1]).toBe('No inference worker has capacity');
+    });
+
+    test('prunes finished sessions past the age or size limit, oldest first', async () => {
+        const day = 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        const recorder = new SessionRecorder({ directory, enabled: true, maxAgeMs: 7 * day, maxBytes: 10 * 1024 * 1024 });
+        jest.spyOn(recorder, 'prune').mockResolvedValue(0);
+
+        // Sessions that ended 10, 3 and 1 day(s) ago
+        const clock = jest.spyOn(Date, 'now');
+        for (const [room, daysAgo] of [['old', 10], ['mid', 3], ['new', 1]]) {
+            clock.mockReturnValue(now - daysAgo * day);
+            recorder.record(room, result(1));
+            await recorder.close(room);
+        }
+        clock.mockRestore();
+        recorder.prune.mockRestore();
+
+        const sessions = await recorder.listSessions();
+        const byRoom = Object.fromEntries(sessions.map(session => [session.roomId, session]));
+
+        // Only the session that ended more than maxAgeMs ago goes
+        expect(await recorder.prune(now)).toBe(1);
+        expect((await recorder.listSessions()).map(session => session.roomId).sort()).toEqual(['mid', 'new']);
+
+        // Over the size cap, the oldest remaining session goes next
+        recorder.maxBytes = byRoom.new.size;
+        expect(await recorder.prune(now)).toBe(1);
+        expect((await recorder.listSessions()).map(session => session.roomId)).toEqual(['new']);
+    });
+
+    test('never prunes an active session', async () => {
+        const recorder = new SessionRecorder({ directory, enabled: true, maxBytes: 1 });
+
+        recorder.record('live', result(1));
+        expect(await recorder.prune()).toBe(0);
+        await recorder.closeAll();
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Frame Codec
+ * Decodes the binary frame framing sent by phone/desktop clients
+ *
+ * Every chunk carries a 32-byte little-endian header followed by encoded image bytes:
+ *   0  'FRM'        magic
+ *   3  u8           version
+ *   4  u8           codec (1 = jpeg, 2 = webp, 3 = png)
+ *   5  u8           reserved
+ *   6  u16          chunk index
+ *   8  u16          chunk count
+ *   10 u16          width
+ *   12 u16          height
+ *   14 u16          reserved
+ *   16 f64          frameId
+ *   24 f64          captureTs
+ *
+ * Keep in sync with client/src/webrtc/frame-codec.js.
+ */
+
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 32;
+
+const FRAME_CODECS = {
+    jpeg: 1,
+    webp: 2,
+    png: 3
+};
+
+// decodeImage() reads JPEG and PNG only; WebP frames are for browser peers
+const SERVER_CODECS = ['jpeg', 'png'];
+
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+}
+
+function isFrameMessage(data) {
+    const buffer = toBuffer(data);
+    return Boolean(buffer) &&
+        buffer.length >= HEADER_SIZE &&
+        buffer[0] === 0x46 && buffer[1] === 0x52 && buffer[2] === 0x4D &&
+        buffer[3] === FRAME_VERSION;
+}
+
+function decodeChunk(data) {
+    if (!isFrameMessage(data)) {
+        throw new Error('Not a binary frame message');
+    }
+
+    const buffer = toBuffer(data);
+    const codecId = buffer.readUInt8(4);
+    const codec = Object.keys(FRAME_CODECS).find(name => FRAME_CODECS[name] === codecId);
+
+    if (!codec) {
+        throw new Error(`Unknown frame codec id: ${codecId}`);
+    }
+
+    if (!SERVER_CODECS.includes(codec)) {
+        throw new Error(`Frame codec ${codec} cannot be decoded on the server`);
+    }
+
+    return {
+        codec,
+        chunkIndex: buffer.readUInt16LE(6),
+        chunkCount: buffer.readUInt16LE(8),
+        width: buffer.readUInt16LE(10),
+        height: buffer.readUInt16LE(12),
+        frameId: buffer.readDoubleLE(16),
+        captureTs: buffer.readDoubleLE(24),
+        payload: buffer.subarray(HEADER_SIZE)
+    };
+}
+
+/**
+ * Encode a frame ({ frameId, captureTs, width, height, codec, payload }) into
+ * Buffer chunks of at most chunkSize bytes each.
+ */
+function encodeFrame(frame, chunkSize = Infinity) {
+    const codecId = FRAME_CODECS[frame.codec];
+    if (!codecId) {
+        throw new Error(`Unsupported frame codec: ${frame.codec}`);
+    }
+
+    const payload = toBuffer(frame.payload);
+    const chunkPayloadSize = Math.max(1, chunkSize - HEADER_SIZE);
+    const chunkCount = Math.max(1, Math.ceil(payload.length / chunkPayloadSize));
+
+    if (chunkCount > 0xFFFF) {
+        throw new Error(`Frame too large: ${payload.length} bytes`);
+    }
+
+    const chunks = [];
+    for (let index = 0; index < chunkCount; index++) {
+        const part = payload.subarray(index * chunkPayloadSize, (index + 1) * chunkPayloadSize);
+        const header = Buffer.alloc(HEADER_SIZE);
+
+        header.write('FRM', 0, 'ascii');
+        header.writeUInt8(FRAME_VERSION, 3);
+        header.writeUInt8(codecId, 4);
+        header.writeUInt16LE(index, 6);
+        header.writeUInt16LE(chunkCount, 8);
+        header.writeUInt16LE(frame.width || 0, 10);
+        header.writeUInt16LE(frame.height || 0, 12);
+        header.writeDoubleLE(frame.frameId, 16);
+        header.writeDoubleLE(frame.captureTs, 24);
+
+        chunks.push(Buffer.concat([header, part]));
+    }
+
+    return chunks;
+}
+
+/**
+ * Reassembles chunked frames. push() returns the complete frame once its last
+ * chunk arrives, otherwise null. Partial frames older than a completed one are
+ * discarded, as are partials that stall for longer than timeoutMs.
+ */
+class FrameAssembler {
+    constructor(timeoutMs = 2000) {
+        this.timeoutMs = timeoutMs;
+        this.pending = new Map();
+        this.discarded = 0;
+    }
+
+    push(data) {
+        const chunk = decodeChunk(data);
+        const now = Date.now();
+
+        // A malformed or hostile header must not write past parts or leave holes in a frame
+        if (chunk.chunkCount === 0 || chunk.chunkIndex >= chunk.chunkCount) {
+            this.discarded++;
+            return null;
+        }
+
+        if (chunk.chunkCount === 1) {
+            this.discardOlderThan(chunk.frameId);
+            return this.toFrame(chunk, chunk.payload);
+        }
+
+        let entry = this.pending.get(chunk.frameId);
+        if (!entry) {
+            entry = { chunk, parts: new Array(chunk.chunkCount), received: 0, startedAt: now };
+            this.pending.set(chunk.frameId, entry);
+        }
+
+        if (entry.chunk.chunkCount !== chunk.chunkCount) {
+            this.discarded++;
+            return null;
+        }
+
+        if (!entry.parts[chunk.chunkIndex]) {
+            entry.parts[chunk.chunkIndex] = chunk.payload;
+            entry.received++;
+        }
+
+        this.expire(now);
+
+        if (entry.received < chunk.chunkCount) {
+            return null;
+        }
+
+        this.pending.delete(chunk.frameId);
+        this.discardOlderThan(chunk.frameId);
+
+        return this.toFrame(entry.chunk, Buffer.concat(entry.parts));
+    }
+
+    toFrame(chunk, payload) {
+        return {
+            frameId: chunk.frameId,
+            captureTs: chunk.captureTs,
+            width: chunk.width,
+            height: chunk.height,
+            codec: chunk.codec,
+            payload
+        };
+    }
+
+    discardOlderThan(frameId) {
+        // A newer frame is complete, so older partial frames are no longer worth finishing
+        for (const id of Array.from(this.pending.keys())) {
+            if (id < frameId) {
+                this.pending.delete(id);
+                this.discarded++;
+            }
+        }
+    }
+
+    expire(now) {
+        for (const [id, entry] of Array.from(this.pending)) {
+            if (now - entry.startedAt > this.timeoutMs) {
+                this.pending.delete(id);
+                this.discarded++;
+            }
+        }
+    }
+}
+
+module.exports = {
+    FRAME_CODECS,
+    isFrameMessage,
+    decodeChunk,
+    encodeFrame,
+    FrameAssembler
+};
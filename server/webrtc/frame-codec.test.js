@@ -0,0 +1,133 @@
+const { FRAME_CODECS, isFrameMessage, decodeChunk, encodeFrame, FrameAssembler } = require('./frame-codec');
+
+function frame(overrides = {}) {
+    return {
+        frameId: 1000,
+        captureTs: 1234.5,
+        width: 640,
+        height: 480,
+        codec: 'jpeg',
+        payload: Buffer.from(Array.from({ length: 100 }, (_, i) => i)),
+        ...overrides
+    };
+}
+
+describe('encodeFrame / decodeChunk', () => {
+    test('round-trips the header and payload of a single chunk', () => {
+        const [chunk] = encodeFrame(frame());
+
+        expect(isFrameMessage(chunk)).toBe(true);
+        expect(decodeChunk(chunk)).toMatchObject({
+            codec: 'jpeg',
+            chunkIndex: 0,
+            chunkCount: 1,
+            width: 640,
+            height: 480,
+            frameId: 1000,
+            captureTs: 1234.5
+        });
+        expect(decodeChunk(chunk).payload).toEqual(frame().payload);
+    });
+
+    test('splits the payload so no chunk exceeds chunkSize', () => {
+        const chunks = encodeFrame(frame(), 64);
+
+        expect(chunks).toHaveLength(4);
+        chunks.forEach((chunk, index) => {
+            expect(chunk.length).toBeLessThanOrEqual(64);
+            expect(decodeChunk(chunk)).toMatchObject({ chunkIndex: index, chunkCount: 4 });
+        });
+    });
+
+    test('rejects messages without the magic header', () => {
+        expect(isFrameMessage(Buffer.from('{"imageData":"x"}'))).toBe(false);
+        expect(() => decodeChunk(Buffer.alloc(40))).toThrow('Not a binary frame message');
+    });
+
+    test('refuses WebP frames, which the server cannot decode', () => {
+        const [chunk] = encodeFrame(frame({ codec: 'webp' }));
+
+        expect(FRAME_CODECS.webp).toBe(2);
+        expect(() => decodeChunk(chunk)).toThrow('webp');
+    });
+});
+
+describe('FrameAssembler', () => {
+    test('returns the frame once every chunk has arrived, in any order', () => {
+        const assembler = new FrameAssembler();
+        const chunks = encodeFrame(frame(), 64);
+
+        expect(assembler.push(chunks[2])).toBeNull();
+        expect(assembler.push(chunks[0])).toBeNull();
+        expect(assembler.push(chunks[3])).toBeNull();
+        const result = assembler.push(chunks[1]);
+
+        expect(result).toMatchObject({ frameId: 1000, captureTs: 1234.5, codec: 'jpeg' });
+        expect(result.payload).toEqual(frame().payload);
+        expect(assembler.pending.size).toBe(0);
+    });
+
+    test('ignores a repeated chunk', () => {
+        const assembler = new FrameAssembler();
+        const chunks = encodeFrame(frame(), 64);
+
+        assembler.push(chunks[0]);
+        assembler.push(chunks[0]);
+        assembler.push(chunks[1]);
+        assembler.push(chunks[2]);
+
+        expect(assembler.push(chunks[3]).payload).toEqual(frame().payload);
+    });
+
+    test('discards a chunk whose index is not below its count', () => {
+        const assembler = new FrameAssembler();
+        const chunk = encodeFrame(frame(), 64)[0];
+        chunk.writeUInt16LE(9, 6);
+
+        expect(assembler.push(chunk)).toBeNull();
+        expect(assembler.discarded).toBe(1);
+        expect(assembler.pending.size).toBe(0);
+    });
+
+    test('discards a chunk whose count disagrees with the rest of its frame', () => {
+        const assembler = new FrameAssembler();
+        const chunks = encodeFrame(frame(), 64);
+        const forged = Buffer.from(chunks[1]);
+        forged.writeUInt16LE(2, 8);
+
+        assembler.push(chunks[0]);
+        expect(assembler.push(forged)).toBeNull();
+        expect(assembler.discarded).toBe(1);
+
+        // The genuine chunks still complete the frame
+        assembler.push(chunks[1]);
+        assembler.push(chunks[2]);
+        expect(assembler.push(chunks[3]).payload).toEqual(frame().payload);
+    });
+
+    test('drops older partial frames once a newer frame completes', () => {
+        const assembler = new FrameAssembler();
+        const older = encodeFrame(frame({ frameId: 1 }), 64);
+        const [newer] = encodeFrame(frame({ frameId: 2 }));
+
+        assembler.push(older[0]);
+        expect(assembler.push(newer)).toMatchObject({ frameId: 2 });
+        expect(assembler.pending.size).toBe(0);
+        expect(assembler.discarded).toBe(1);
+    });
+
+    test('expires partial frames that stall past the timeout', () => {
+        const assembler = new FrameAssembler(1000);
+        const stalled = encodeFrame(frame({ frameId: 1 }), 64);
+        const other = encodeFrame(frame({ frameId: 5 }), 64);
+        const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+        assembler.push(stalled[0]);
+        now.mockReturnValue(11500);
+        assembler.push(other[0]);
+
+        expect(Array.from(assembler.pending.keys())).toEqual([5]);
+        expect(assembler.discarded).toBe(1);
+        now.mockRestore();
+    });
+});
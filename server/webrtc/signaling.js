@@ -240,6 +240,14 @@ class WebRTCSignaling {
         return rooms;
     }
     
+    emitToType(type, event, data) {
+        for (const client of this.clients.values()) {
+            if (client.type === type) {
+                client.socket.emit(event, data);
+            }
+        }
+    }
+    
     getClientCount() {
         return this.clients.size;
     }
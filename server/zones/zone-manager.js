@@ -0,0 +1,455 @@
+/**
+ * Zone Manager
+ * Named polygon zones and tripwire lines per room, with enter/exit/cross counting per tracked object
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DEFAULT_ROOM = 'main-room';
+const DEFAULT_FILE = path.join(__dirname, '../../data/zones.json');
+
+const ZONE_TYPES = {
+    polygon: { minPoints: 3, maxPoints: 64 },
+    tripwire: { minPoints: 2, maxPoints: 2 }
+};
+
+// Which point of a box stands for the object: its centre, or where it touches the ground
+const ANCHORS = ['bottom', 'center'];
+
+class ZoneError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ZoneError';
+        this.status = status;
+    }
+}
+
+function anchorPoint(detection, anchor) {
+    return {
+        x: (detection.xmin + detection.xmax) / 2,
+        y: anchor === 'center' ? (detection.ymin + detection.ymax) / 2 : detection.ymax
+    };
+}
+
+function pointInPolygon(point, polygon) {
+    // Ray casting: count crossings of a horizontal ray from the point
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function sideOf(point, a, b) {
+    // Positive on the right of a→b as drawn on screen (y grows downwards)
+    return Math.sign((b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x));
+}
+
+/**
+ * Direction in which the movement from → to crosses the line a→b:
+ * 'forward' (left to right of a→b), 'backward', or null if it does not cross.
+ */
+function crossingDirection(from, to, a, b) {
+    const before = sideOf(from, a, b);
+    const after = sideOf(to, a, b);
+    if (before === 0 || after === 0 || before === after) return null;
+
+    // The line through a→b is crossed; check the segment itself is
+    if (sideOf(a, from, to) === sideOf(b, from, to) && sideOf(a, from, to) !== 0) return null;
+
+    return after > 0 ? 'forward' : 'backward';
+}
+
+function emptyCounts(type) {
+    return type === 'tripwire'
+        ? { forward: {}, backward: {} }
+        : { enter: {}, exit: {}, occupancy: {} };
+}
+
+function increment(counter, label) {
+    counter[label] = (counter[label] || 0) + 1;
+}
+
+class ZoneManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || process.env.ZONES_FILE || DEFAULT_FILE;
+        this.trackTimeoutMs = options.trackTimeoutMs || 5000;
+
+        this.rooms = new Map();       // roomId -> Map(zoneId -> zone)
+        this.counts = new Map();      // zoneId -> counts by event and class
+        this.trackStates = new Map(); // roomId -> Map(source:trackId -> state)
+
+        this.saving = Promise.resolve();
+    }
+
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            console.error(`❌ Failed to read zones from ${this.filePath}:`, error.message);
+            return;
+        }
+
+        let total = 0;
+        for (const [roomId, zones] of Object.entries(data.rooms || {})) {
+            const room = this.getRoom(roomId, true);
+            for (const zone of zones) {
+                room.set(zone.id, zone);
+                this.counts.set(zone.id, emptyCounts(zone.type));
+                total++;
+            }
+        }
+
+        console.log(`📐 Loaded ${total} zone(s) from ${this.filePath}`);
+    }
+
+    save() {
+        const rooms = {};
+        for (const [roomId, zones] of this.rooms) {
+            if (zones.size > 0) {
+                rooms[roomId] = Array.from(zones.values());
+            }
+        }
+        const json = JSON.stringify({ version: 1, rooms }, null, 2);
+
+        // Writes are chained so they land in order; rename keeps the file whole on a crash
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, json);
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+
+        return this.saving;
+    }
+
+    getRoom(roomId, create = false) {
+        let room = this.rooms.get(roomId);
+        if (!room && create) {
+            room = new Map();
+            this.rooms.set(roomId, room);
+        }
+        return room || null;
+    }
+
+    listZones(roomId) {
+        const room = this.getRoom(roomId);
+        if (!room) return [];
+        return Array.from(room.values()).map(zone => this.describe(roomId, zone));
+    }
+
+    getZone(roomId, zoneId) {
+        const room = this.getRoom(roomId);
+        const zone = room && room.get(zoneId);
+        if (!zone) {
+            throw new ZoneError(`Unknown zone: ${zoneId}`, 404);
+        }
+        return zone;
+    }
+
+    describe(roomId, zone) {
+        return { ...zone, counts: this.getCounts(roomId, zone) };
+    }
+
+    getCounts(roomId, zone) {
+        const counts = this.counts.get(zone.id);
+        if (zone.type === 'polygon') {
+            counts.occupancy = this.getOccupancy(roomId, zone.id);
+        }
+        return counts;
+    }
+
+    validate(input, existing = null) {
+        const zone = { ...existing, ...input };
+
+        if (typeof zone.name !== 'string' || !zone.name.trim()) {
+            throw new ZoneError('Zone name is required');
+        }
+        zone.name = zone.name.trim().slice(0, 64);
+
+        const limits = ZONE_TYPES[zone.type];
+        if (!limits) {
+            throw new ZoneError(`Zone type must be one of: ${Object.keys(ZONE_TYPES).join(', ')}`);
+        }
+        if (existing && zone.type !== existing.type) {
+            throw new ZoneError('Zone type cannot be changed');
+        }
+
+        // Points are normalized to the frame, like detection boxes
+        if (!Array.isArray(zone.points) ||
+            zone.points.length < limits.minPoints || zone.points.length > limits.maxPoints) {
+            const count = limits.minPoints === limits.maxPoints
+                ? `${limits.minPoints}`
+                : `${limits.minPoints}-${limits.maxPoints}`;
+            throw new ZoneError(`A ${zone.type} needs ${count} points`);
+        }
+        zone.points = zone.points.map((point) => {
+            const [x, y] = Array.isArray(point) ? point : [point && point.x, point && point.y];
+            if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 1 || y < 0 || y > 1) {
+                throw new ZoneError('Zone points must be normalized {x, y} coordinates in [0, 1]');
+            }
+            return { x, y };
+        });
+
+        if (zone.classes === undefined || zone.classes === null) {
+            zone.classes = [];
+        }
+        if (!Array.isArray(zone.classes) || zone.classes.some(label => typeof label !== 'string')) {
+            throw new ZoneError('Zone classes must be a list of labels');
+        }
+
+        zone.anchor = zone.anchor || 'bottom';
+        if (!ANCHORS.includes(zone.anchor)) {
+            throw new ZoneError(`Zone anchor must be one of: ${ANCHORS.join(', ')}`);
+        }
+
+        if (zone.color !== undefined && typeof zone.color !== 'string') {
+            throw new ZoneError('Zone color must be a CSS color string');
+        }
+
+        return {
+            id: zone.id,
+            name: zone.name,
+            type: zone.type,
+            points: zone.points,
+            classes: zone.classes,
+            anchor: zone.anchor,
+            ...(zone.color ? { color: zone.color } : {}),
+            createdAt: zone.createdAt,
+            updatedAt: zone.updatedAt
+        };
+    }
+
+    async createZone(roomId, input) {
+        const now = new Date().toISOString();
+        const zone = this.validate({ ...input, id: crypto.randomUUID(), createdAt: now, updatedAt: now });
+
+        this.getRoom(roomId, true).set(zone.id, zone);
+        this.counts.set(zone.id, emptyCounts(zone.type));
+        await this.save();
+
+        this.emit('zones-changed', { roomId, zones: this.listZones(roomId) });
+        return this.describe(roomId, zone);
+    }
+
+    async updateZone(roomId, zoneId, input) {
+        const existing = this.getZone(roomId, zoneId);
+        const zone = this.validate({
+            ...input,
+            id: existing.id,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        }, existing);
+
+        this.getRoom(roomId).set(zoneId, zone);
+
+        // Reshaping a zone invalidates which tracks are inside it
+        if (input.points) {
+            this.counts.set(zoneId, emptyCounts(zone.type));
+            this.forgetZone(roomId, zoneId);
+        }
+        await this.save();
+
+        this.emit('zones-changed', { roomId, zones: this.listZones(roomId) });
+        return this.describe(roomId, zone);
+    }
+
+    async deleteZone(roomId, zoneId) {
+        this.getZone(roomId, zoneId);
+
+        this.getRoom(roomId).delete(zoneId);
+        this.counts.delete(zoneId);
+        this.forgetZone(roomId, zoneId);
+        await this.save();
+
+        this.emit('zones-changed', { roomId, zones: this.listZones(roomId) });
+    }
+
+    resetCounts(roomId, zoneId = null) {
+        const zones = zoneId ? [this.getZone(roomId, zoneId)] : this.listZones(roomId);
+
+        for (const zone of zones) {
+            // Occupancy is recomputed from the tracks still inside
+            this.counts.set(zone.id, emptyCounts(zone.type));
+        }
+
+        this.emitCounts(roomId);
+    }
+
+    forgetZone(roomId, zoneId) {
+        const tracks = this.trackStates.get(roomId);
+        if (!tracks) return;
+        for (const state of tracks.values()) {
+            state.inside.delete(zoneId);
+        }
+    }
+
+    getOccupancy(roomId, zoneId) {
+        const occupancy = {};
+        const tracks = this.trackStates.get(roomId);
+        if (!tracks) return occupancy;
+
+        for (const state of tracks.values()) {
+            if (state.inside.has(zoneId)) {
+                increment(occupancy, state.label);
+            }
+        }
+        return occupancy;
+    }
+
+    /**
+     * Evaluate one frame of tracked detections from `source` (the client that
+     * produced them; track IDs are only unique per source). Returns the events.
+     */
+    processDetections(roomId, detections, { source = 'default', timestamp = Date.now() } = {}) {
+        const room = this.getRoom(roomId);
+        if (!room || room.size === 0) return [];
+
+        let tracks = this.trackStates.get(roomId);
+        if (!tracks) {
+            tracks = new Map();
+            this.trackStates.set(roomId, tracks);
+        }
+
+        const events = [];
+        const zones = Array.from(room.values());
+
+        for (const detection of detections) {
+            // Only confirmed tracks can be followed from frame to frame
+            if (detection.trackId === undefined || detection.trackId === null) continue;
+
+            const key = `${source}:${detection.trackId}`;
+            let state = tracks.get(key);
+            const isNew = !state;
+            if (isNew) {
+                state = { label: detection.label, points: {}, inside: new Set(), lastSeen: timestamp };
+                tracks.set(key, state);
+            }
+            state.lastSeen = timestamp;
+
+            for (const zone of zones) {
+                if (zone.classes.length > 0 && !zone.classes.includes(detection.label)) continue;
+
+                const point = anchorPoint(detection, zone.anchor);
+                const previous = state.points[zone.anchor];
+                const event = {
+                    roomId,
+                    zoneId: zone.id,
+                    zoneName: zone.name,
+                    trackId: detection.trackId,
+                    label: detection.label,
+                    source,
+                    timestamp
+                };
+
+                if (zone.type === 'polygon') {
+                    const inside = pointInPolygon(point, zone.points);
+                    const wasInside = state.inside.has(zone.id);
+
+                    if (inside) state.inside.add(zone.id);
+                    else state.inside.delete(zone.id);
+
+                    // A track's first sighting sets where it is; only moves count as events
+                    if (isNew || inside === wasInside) continue;
+                    events.push({ ...event, type: inside ? 'enter' : 'exit' });
+                } else if (previous) {
+                    const direction = crossingDirection(previous, point, zone.points[0], zone.points[1]);
+                    if (direction) {
+                        events.push({ ...event, type: 'cross', direction });
+                    }
+                }
+            }
+
+            for (const anchor of ANCHORS) {
+                state.points[anchor] = anchorPoint(detection, anchor);
+            }
+        }
+
+        this.expireTracks(roomId, timestamp);
+
+        for (const event of events) {
+            const counts = this.counts.get(event.zoneId);
+            increment(counts[event.type === 'cross' ? event.direction : event.type], event.label);
+            this.emit('zone-event', event);
+        }
+
+        if (events.length > 0) {
+            this.emitCounts(roomId);
+        }
+
+        return events;
+    }
+
+    expireTracks(roomId, now) {
+        // Tracks the tracker has given up on leave occupancy without an exit event
+        const tracks = this.trackStates.get(roomId);
+        let expired = false;
+
+        for (const [key, state] of tracks) {
+            if (now - state.lastSeen > this.trackTimeoutMs) {
+                expired = expired || state.inside.size > 0;
+                tracks.delete(key);
+            }
+        }
+
+        if (expired) {
+            this.emitCounts(roomId);
+        }
+    }
+
+    emitCounts(roomId) {
+        const room = this.getRoom(roomId);
+        if (!room) return;
+
+        const counts = {};
+        for (const zone of room.values()) {
+            counts[zone.id] = this.getCounts(roomId, zone);
+        }
+
+        this.emit('counts-changed', { roomId, counts });
+    }
+
+    removeSource(source) {
+        // A client's track IDs mean nothing once it disconnects
+        for (const [roomId, tracks] of this.trackStates) {
+            let changed = false;
+            for (const key of Array.from(tracks.keys())) {
+                if (key.startsWith(`${source}:`)) {
+                    changed = changed || tracks.get(key).inside.size > 0;
+                    tracks.delete(key);
+                }
+            }
+            if (changed) {
+                this.emitCounts(roomId);
+            }
+        }
+    }
+
+    async flush() {
+        await this.saving;
+    }
+
+    getStatus() {
+        let zones = 0;
+        let tracks = 0;
+        for (const room of this.rooms.values()) zones += room.size;
+        for (const roomTracks of this.trackStates.values()) tracks += roomTracks.size;
+
+        return { rooms: this.rooms.size, zones, trackedObjects: tracks };
+    }
+}
+
+module.exports = ZoneManager;
+module.exports.ZoneError = ZoneError;
+module.exports.DEFAULT_ROOM = DEFAULT_ROOM;